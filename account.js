@@ -0,0 +1,68 @@
+// Account helpers: labels, readable auth errors and the rules for merging a
+// guest's data into an existing account.
+
+// Every subcollection under users/{uid}. `identity` decides when a guest
+// document duplicates one the account already has; documents without one
+// only clash on their id (e.g. the "preferences" settings document).
+// `derived` collections are computed from the others, so a merge rebuilds
+// them instead of copying them.
+export const USER_COLLECTIONS = [
+  { name: "transactions" },
+  { name: "imports" },
+  { name: "recurring" },
+  { name: "clients" },
+  { name: "invoices" },
+  { name: "categories", identity: (data) => data.key },
+  { name: "taxPayments" },
+  {
+    name: "budgets",
+    identity: (data) => `${data.category}|${data.period}`,
+  },
+  { name: "timeEntries" },
+  { name: "aiSummaries" },
+  { name: "settings" },
+  { name: "trash" },
+  { name: "rollups", derived: true },
+];
+
+// Collections nested under each transaction. They sit under
+// transactions/{id} whether the transaction is live or in the trash.
+export const TRANSACTION_SUBCOLLECTIONS = ["history"];
+
+const AUTH_ERROR_MESSAGES = {
+  "auth/invalid-email": "That email address doesn't look right.",
+  "auth/missing-password": "Enter a password.",
+  "auth/weak-password": "Use a password with at least 6 characters.",
+  "auth/email-already-in-use":
+    "An account with this email already exists. Use Sign In instead.",
+  "auth/invalid-credential": "The email or password is incorrect.",
+  "auth/wrong-password": "The email or password is incorrect.",
+  "auth/user-not-found": "The email or password is incorrect.",
+  "auth/too-many-requests": "Too many attempts. Wait a moment and try again.",
+  "auth/popup-blocked": "Allow pop-ups for this site to sign in with Google.",
+  "auth/network-request-failed": "You need to be online to sign in.",
+};
+
+export function getAuthErrorMessage(error) {
+  return (
+    AUTH_ERROR_MESSAGES[error.code] || "Something went wrong. Please try again."
+  );
+}
+
+export function describeAccount(user) {
+  if (!user || user.isAnonymous) return "Guest (saved in this browser only)";
+  return user.email || user.displayName || "Signed in";
+}
+
+// docs: [{ id, data }]. Returns the source documents the target lacks.
+export function planMerge(sourceDocs, targetDocs, identity) {
+  const targetIds = new Set(targetDocs.map((d) => d.id));
+  const targetIdentities = new Set(
+    identity ? targetDocs.map((d) => identity(d.data)) : []
+  );
+  return sourceDocs.filter(
+    (d) =>
+      !targetIds.has(d.id) &&
+      !(identity && targetIdentities.has(identity(d.data)))
+  );
+}
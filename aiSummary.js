@@ -0,0 +1,290 @@
+import { formatCurrency } from "./utils.js";
+import { getPercentChange } from "./reports.js";
+
+// The report's AI snapshot. A provider looks like
+// { id, model, cacheable, offline, stream({ prompt, facts, signal }) } where
+// stream is an async generator of text chunks. An offline provider ignores
+// the prompt and writes from the facts, so it can't be asked anything else.
+// Which one is used comes from the Vite env:
+//   VITE_AI_PROVIDER     "gemini", "openai" or "template"; by default Gemini
+//                        when it has a key, then an OpenAI-compatible server
+//                        when one is configured, then the offline template
+//   VITE_GEMINI_API_KEY, VITE_GEMINI_MODEL
+//   VITE_AI_BASE_URL     e.g. http://localhost:11434/v1 for Ollama or
+//                        http://localhost:8080/v1 for llama.cpp
+//   VITE_AI_API_KEY, VITE_AI_MODEL
+
+const DEFAULT_GEMINI_MODEL = "gemini-2.0-flash";
+const DEFAULT_OPENAI_MODEL = "llama3.2";
+
+// Yields the `data:` payload of each server-sent event in the response.
+async function* readServerSentEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  while (true) {
+    const { done, value } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+    const lines = buffer.split(/\r?\n/);
+    buffer = done ? "" : lines.pop();
+    for (const line of lines) {
+      if (line.startsWith("data:")) yield line.slice(5).trim();
+    }
+    if (done) return;
+  }
+}
+
+async function postForStream(url, headers, body, signal) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!response.ok) {
+    throw new Error(`API responded with status: ${response.status}`);
+  }
+  return response;
+}
+
+export function createGeminiProvider({ apiKey, model = DEFAULT_GEMINI_MODEL }) {
+  return {
+    id: "gemini",
+    model,
+    cacheable: true,
+    async *stream({ prompt, signal }) {
+      const response = await postForStream(
+        `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`,
+        {},
+        { contents: [{ parts: [{ text: prompt }] }] },
+        signal
+      );
+      for await (const data of readServerSentEvents(response)) {
+        const parts = JSON.parse(data).candidates?.[0]?.content?.parts || [];
+        for (const part of parts) if (part.text) yield part.text;
+      }
+    },
+  };
+}
+
+// Works with anything serving the OpenAI chat completions API, including
+// local Ollama and llama.cpp servers, which need no key.
+export function createOpenAICompatibleProvider({
+  baseUrl,
+  apiKey,
+  model = DEFAULT_OPENAI_MODEL,
+}) {
+  return {
+    id: "openai",
+    model,
+    cacheable: true,
+    async *stream({ prompt, signal }) {
+      const response = await postForStream(
+        `${baseUrl.replace(/\/+$/, "")}/chat/completions`,
+        apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        { model, stream: true, messages: [{ role: "user", content: prompt }] },
+        signal
+      );
+      for await (const data of readServerSentEvents(response)) {
+        if (data === "[DONE]") return;
+        const text = JSON.parse(data).choices?.[0]?.delta?.content;
+        if (text) yield text;
+      }
+    },
+  };
+}
+
+const describeChange = (current, previous, label) => {
+  const change = getPercentChange(current, previous);
+  if (change === null) return "";
+  const rounded = Math.round(change);
+  if (rounded === 0) return `${label} is level with`;
+  return `${label} is ${rounded > 0 ? "up" : "down"} ${Math.abs(rounded)}% on`;
+};
+
+// Writes the summary from the facts alone, so it works offline, costs
+// nothing and always gives the same text for the same data.
+export function createTemplateProvider() {
+  return {
+    id: "template",
+    model: "template",
+    cacheable: false,
+    offline: true,
+    async *stream({ facts }) {
+      const sentences = [];
+      if (!facts.income && !facts.expenses) {
+        yield "No transactions were recorded in this period.";
+        return;
+      }
+      sentences.push(
+        `You earned ${formatCurrency(facts.income)} and spent ${formatCurrency(
+          facts.expenses
+        )}, ${
+          facts.net >= 0
+            ? `keeping ${formatCurrency(facts.net)} in profit`
+            : `a shortfall of ${formatCurrency(-facts.net)}`
+        }.`
+      );
+      const versusPrevious = facts.previous
+        ? describeChange(facts.net, facts.previous.net, "Net profit")
+        : "";
+      if (versusPrevious)
+        sentences.push(`${versusPrevious} the previous period.`);
+      const [largest] = facts.categories;
+      if (largest) {
+        sentences.push(
+          `${largest.name} was the largest expense at ${formatCurrency(
+            largest.amount
+          )} (${Math.round(largest.share)}% of spending).`
+        );
+      }
+      const rising = facts.categories
+        .filter((c) => c.previousAmount > 0 && c.amount > c.previousAmount)
+        .sort(
+          (a, b) => b.amount - b.previousAmount - (a.amount - a.previousAmount)
+        )[0];
+      if (rising) {
+        sentences.push(
+          `${rising.name} spending rose from ${formatCurrency(
+            rising.previousAmount
+          )} to ${formatCurrency(rising.amount)}, which is worth a look.`
+        );
+      } else if (facts.previous && facts.previous.expenses > 0) {
+        sentences.push(
+          "No category grew compared with the previous period, so spending is under control."
+        );
+      }
+      for (const [index, sentence] of sentences.entries()) {
+        yield index === 0 ? sentence : ` ${sentence}`;
+      }
+    },
+  };
+}
+
+// The whole reply to a one-off prompt, for callers that parse it rather
+// than show it as it arrives.
+export async function generateText(provider, prompt) {
+  let text = "";
+  for await (const chunk of provider.stream({ prompt })) text += chunk;
+  return text;
+}
+
+export function createAIProvider(env) {
+  const choice =
+    env.VITE_AI_PROVIDER ||
+    (env.VITE_GEMINI_API_KEY
+      ? "gemini"
+      : env.VITE_AI_BASE_URL
+      ? "openai"
+      : "template");
+  if (choice === "gemini" && env.VITE_GEMINI_API_KEY) {
+    return createGeminiProvider({
+      apiKey: env.VITE_GEMINI_API_KEY,
+      model: env.VITE_GEMINI_MODEL || undefined,
+    });
+  }
+  if (choice === "openai" && env.VITE_AI_BASE_URL) {
+    return createOpenAICompatibleProvider({
+      baseUrl: env.VITE_AI_BASE_URL,
+      apiKey: env.VITE_AI_API_KEY,
+      model: env.VITE_AI_MODEL || undefined,
+    });
+  }
+  // A provider picked without its settings falls back to the template too.
+  return createTemplateProvider();
+}
+
+// current/previous/lastYear: summarizePeriod results, the last two with
+// their { startDate, endDate } range. Amounts are in the base currency.
+export function buildSummaryFacts({
+  startDate,
+  endDate,
+  currency,
+  current,
+  previous,
+  lastYear,
+  getCategoryName,
+}) {
+  const describePeriod = (period) =>
+    period && {
+      startDate: period.startDate,
+      endDate: period.endDate,
+      income: period.income,
+      expenses: period.expense,
+      net: period.net,
+    };
+  return {
+    startDate,
+    endDate,
+    currency,
+    income: current.income,
+    expenses: current.expense,
+    net: current.net,
+    categories: Object.entries(current.categories).map(([key, amount]) => ({
+      name: getCategoryName(key),
+      amount,
+      share: current.expense ? (amount / current.expense) * 100 : 0,
+      previousAmount: previous ? previous.categories[key] || 0 : null,
+    })),
+    previous: describePeriod(previous),
+    lastYear: describePeriod(lastYear),
+  };
+}
+
+export function buildSummaryPrompt(facts) {
+  const money = (amount) => formatCurrency(amount);
+  const describeComparison = (label, period) => {
+    if (!period) return "";
+    const changes = [
+      ["income", facts.income, period.income],
+      ["expenses", facts.expenses, period.expenses],
+      ["net profit", facts.net, period.net],
+    ]
+      .map(([name, current, before]) => {
+        const change = getPercentChange(current, before);
+        return `${name} ${money(before)}${
+          change === null
+            ? ""
+            : ` (now ${change >= 0 ? "+" : ""}${change.toFixed(0)}%)`
+        }`;
+      })
+      .join(", ");
+    return `\n${label} (${period.startDate} to ${period.endDate}): ${changes}.`;
+  };
+  const categoryLines = facts.categories.length
+    ? facts.categories
+        .map(
+          (c) =>
+            `\n- ${c.name}: ${money(c.amount)} (${c.share.toFixed(
+              0
+            )}% of spending${
+              c.previousAmount === null
+                ? ""
+                : `, previous period ${money(c.previousAmount)}`
+            })`
+        )
+        .join("")
+    : "\n- No expenses";
+  return `You are a helpful and encouraging financial assistant for a freelancer. Based on the following data, write a short, insightful summary (3-4 sentences max). Be positive but also point out one area for improvement if applicable, using the category changes where they help. Format the response as a single paragraph.
+
+Period: ${facts.startDate} to ${facts.endDate}
+Total Income: ${money(facts.income)}
+Total Expenses: ${money(facts.expenses)}
+Net Profit: ${money(facts.net)}
+Expenses by category:${categoryLines}${describeComparison(
+    "Previous period",
+    facts.previous
+  )}${describeComparison("Same period last year", facts.lastYear)}`;
+}
+
+// SHA-256 of the facts, so a cached summary is reused only while the data
+// behind it is unchanged. Null where Web Crypto is unavailable (pages not
+// served over HTTPS or localhost), which turns caching off.
+export async function hashFacts(facts) {
+  if (!globalThis.crypto || !crypto.subtle) return null;
+  const bytes = new TextEncoder().encode(JSON.stringify(facts));
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+}
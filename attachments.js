@@ -0,0 +1,50 @@
+// Receipts and other documents attached to transactions. A transaction
+// keeps an `attachments` list of { id, name, type, size, path }; `path` is
+// relative to the user's storage folder, so copying data to another account
+// or backend only has to copy the files.
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+export function isImageAttachment(attachment) {
+  return attachment.type.startsWith("image/");
+}
+
+// Returns a message explaining why the file can't be attached, or null.
+export function validateAttachment(file) {
+  if (!file.type.startsWith("image/") && file.type !== "application/pdf")
+    return `${file.name} is not an image or PDF.`;
+  if (file.size > MAX_ATTACHMENT_SIZE)
+    return `${file.name} is larger than ${formatFileSize(
+      MAX_ATTACHMENT_SIZE
+    )}.`;
+  return null;
+}
+
+export function createAttachment(transactionId, file) {
+  const id = `${Date.now().toString(36)}${Math.random()
+    .toString(36)
+    .slice(2, 8)}`;
+  return {
+    id,
+    name: file.name,
+    type: file.type,
+    size: file.size,
+    path: `attachments/${transactionId}/${id}`,
+  };
+}
+
+export function getAttachments(transaction) {
+  return Array.isArray(transaction.attachments) ? transaction.attachments : [];
+}
+
+export function isMissingReceipt(transaction) {
+  return (
+    transaction.type === "expense" && getAttachments(transaction).length === 0
+  );
+}
+
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,60 @@
+import { toDateString } from "./dates.js";
+
+// Budget periods and the thresholds used for overspend warnings.
+// A budget looks like: { category, period, amount } with amount in the
+// base currency.
+
+export const BUDGET_PERIODS = {
+  monthly: { label: "Monthly", averageDays: 365.25 / 12 },
+  quarterly: { label: "Quarterly", averageDays: 365.25 / 4 },
+  yearly: { label: "Yearly", averageDays: 365.25 },
+};
+export const WARNING_THRESHOLDS = [0.8, 1];
+
+// Calendar period (UTC) containing the given "YYYY-MM-DD" date.
+export function getBudgetPeriodRange(period, dateString) {
+  const [year, month] = dateString.split("-").map(Number);
+  let start;
+  let end;
+  switch (period) {
+    case "yearly":
+      start = new Date(Date.UTC(year, 0, 1));
+      end = new Date(Date.UTC(year, 11, 31));
+      break;
+    case "quarterly": {
+      const quarterStart = Math.floor((month - 1) / 3) * 3;
+      start = new Date(Date.UTC(year, quarterStart, 1));
+      end = new Date(Date.UTC(year, quarterStart + 3, 0));
+      break;
+    }
+    default:
+      start = new Date(Date.UTC(year, month - 1, 1));
+      end = new Date(Date.UTC(year, month, 0));
+  }
+  return { start: toDateString(start), end: toDateString(end) };
+}
+
+export function getBudgetLevel(spent, amount) {
+  if (!amount) return "ok";
+  const ratio = spent / amount;
+  if (ratio >= 1) return "over";
+  if (ratio >= WARNING_THRESHOLDS[0]) return "warning";
+  return "ok";
+}
+
+// Returns the highest threshold crossed by going from `before` to `after`,
+// or null when no threshold was crossed.
+export function getCrossedThreshold(before, after, amount) {
+  if (!amount) return null;
+  const crossed = WARNING_THRESHOLDS.filter(
+    (threshold) => before / amount < threshold && after / amount >= threshold
+  );
+  return crossed.length ? crossed[crossed.length - 1] : null;
+}
+
+// Scales a budget to an arbitrary report range, e.g. a monthly budget over
+// a 90-day report.
+export function prorateBudget(budget, dayCount) {
+  const { averageDays } = BUDGET_PERIODS[budget.period];
+  return Math.round(((budget.amount * dayCount) / averageDays) * 100) / 100;
+}
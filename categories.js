@@ -0,0 +1,109 @@
+import { escapeHTML } from "./utils.js";
+
+// Per-user expense categories. Transactions store the category `key`, so
+// renaming or merging a category rewrites that field on every transaction.
+// A category looks like:
+// { id, key, name, color, icon, taxDeductible, scheduleCLine, archived }
+// where scheduleCLine is the IRS Schedule C line deductible spending goes on.
+
+export const FALLBACK_CATEGORY_KEY = "other";
+
+export const DEFAULT_CATEGORIES = [
+  {
+    key: "work",
+    name: "Work",
+    color: "#4c6ef5",
+    icon: "💼",
+    taxDeductible: true,
+    scheduleCLine: "22",
+  },
+  {
+    key: "travel",
+    name: "Travel",
+    color: "#15aabf",
+    icon: "✈️",
+    taxDeductible: true,
+    scheduleCLine: "24a",
+  },
+  {
+    key: "food",
+    name: "Food",
+    color: "#fab005",
+    icon: "🍽️",
+    taxDeductible: false,
+    scheduleCLine: "24b",
+  },
+  {
+    key: "software",
+    name: "Software",
+    color: "#7950f2",
+    icon: "💻",
+    taxDeductible: true,
+    scheduleCLine: "18",
+  },
+  {
+    key: "bill",
+    name: "Bill",
+    color: "#fd7e14",
+    icon: "🧾",
+    taxDeductible: true,
+    scheduleCLine: "25",
+  },
+  {
+    key: "other",
+    name: "Other",
+    color: "#868e96",
+    icon: "📦",
+    taxDeductible: false,
+    scheduleCLine: "27a",
+  },
+];
+
+export function slugifyCategory(name) {
+  return String(name || "")
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+export function findCategory(categories, key) {
+  return categories.find((category) => category.key === key) || null;
+}
+
+// Falls back to the capitalized key for categories that were deleted or
+// never stored (e.g. data written before categories were user-managed).
+export function getCategoryLabel(categories, key) {
+  const category = findCategory(categories, key);
+  if (category) return category.name;
+  return key ? key.charAt(0).toUpperCase() + key.slice(1) : "";
+}
+
+export function getCategoryColor(categories, key) {
+  const category = findCategory(categories, key);
+  return category ? category.color : "#868e96";
+}
+
+// options.includeAll adds an "All Categories" entry; options.keep keeps an
+// archived category visible when it is the current value.
+export function renderCategoryOptions(
+  select,
+  categories,
+  { includeAll = false, includeArchived = false, keep = null } = {}
+) {
+  const selected = select.value;
+  const visible = categories.filter(
+    (category) => includeArchived || !category.archived || category.key === keep
+  );
+  select.innerHTML = [
+    includeAll ? `<option value="all">All Categories</option>` : "",
+    ...visible.map(
+      (category) =>
+        `<option value="${escapeHTML(category.key)}">${escapeHTML(
+          `${category.icon ? category.icon + " " : ""}${category.name}`
+        )}${category.archived ? " (archived)" : ""}</option>`
+    ),
+  ].join("");
+  if (Array.from(select.options).some((option) => option.value === selected))
+    select.value = selected;
+}
@@ -0,0 +1,167 @@
+import { splitWords } from "./search.js";
+import { FALLBACK_CATEGORY_KEY } from "./categories.js";
+
+// Category suggestions learned from the user's own expenses: a naive Bayes
+// model over description words. The model looks like
+// { version, examples, categories: { key: count },
+//   tokens: { word: { key: count } } }
+// and kept to MAX_VOCABULARY words so it fits in one settings document. The
+// fallback category is never learned, since it means "not chosen yet".
+
+export const CATEGORY_MODEL_VERSION = 1;
+// Below this a suggestion is only a guess and the AI provider is asked.
+export const SUGGESTION_CONFIDENCE = 0.6;
+const MAX_WORDS = 12;
+// Past this the rarest words are dropped, down to PRUNED_VOCABULARY so it
+// doesn't happen again on the next example. Every word and count is a field,
+// and a Firestore document holds at most 20,000.
+const MAX_VOCABULARY = 2000;
+const PRUNED_VOCABULARY = 1800;
+// Light smoothing, so one example of a word already counts for something.
+const SMOOTHING = 0.1;
+const STOP_WORDS = new Set([
+  "and",
+  "for",
+  "from",
+  "the",
+  "to",
+  "of",
+  "at",
+  "on",
+  "in",
+  "with",
+  "payment",
+  "purchase",
+]);
+
+export function createCategoryModel() {
+  return {
+    version: CATEGORY_MODEL_VERSION,
+    examples: 0,
+    categories: {},
+    tokens: {},
+  };
+}
+
+// Distinct words worth learning: no numbers (dates, amounts, card digits)
+// and no filler.
+export function getDescriptionWords(description) {
+  return [
+    ...new Set(
+      splitWords(description).filter(
+        (word) =>
+          word.length > 1 && !/^\d+$/.test(word) && !STOP_WORDS.has(word)
+      )
+    ),
+  ].slice(0, MAX_WORDS);
+}
+
+const isLearnable = (category) =>
+  Boolean(category) && category !== FALLBACK_CATEGORY_KEY;
+
+// Adds (weight 1) or removes (weight -1) one example, in place.
+export function learnCategory(model, description, category, weight = 1) {
+  if (!isLearnable(category)) return model;
+  const adjust = (counts, key) => {
+    const next = (counts[key] || 0) + weight;
+    if (next > 0) counts[key] = next;
+    else delete counts[key];
+  };
+  model.examples = Math.max(0, model.examples + weight);
+  adjust(model.categories, category);
+  getDescriptionWords(description).forEach((word) => {
+    model.tokens[word] = model.tokens[word] || {};
+    adjust(model.tokens[word], category);
+    if (Object.keys(model.tokens[word]).length === 0) delete model.tokens[word];
+  });
+  return pruneVocabulary(model);
+}
+
+const countWord = (counts) =>
+  Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+// Words seen only once or twice say little about a category, so they go
+// first when the model outgrows its document.
+function pruneVocabulary(model) {
+  const words = Object.keys(model.tokens);
+  if (words.length <= MAX_VOCABULARY) return model;
+  words
+    .map((word) => [word, countWord(model.tokens[word])])
+    .sort((a, b) => b[1] - a[1])
+    .slice(PRUNED_VOCABULARY)
+    .forEach(([word]) => delete model.tokens[word]);
+  return model;
+}
+
+// Moves an old category's examples to its new one after a rename or merge.
+export function renameModelCategory(model, oldKey, newKey) {
+  const move = (counts) => {
+    if (!counts[oldKey]) return;
+    if (isLearnable(newKey))
+      counts[newKey] = (counts[newKey] || 0) + counts[oldKey];
+    delete counts[oldKey];
+  };
+  move(model.categories);
+  Object.keys(model.tokens).forEach((word) => {
+    move(model.tokens[word]);
+    if (Object.keys(model.tokens[word]).length === 0) delete model.tokens[word];
+  });
+  return model;
+}
+
+// transactions: expense data with description and category.
+export function buildCategoryModel(transactions) {
+  const model = createCategoryModel();
+  transactions.forEach((t) => learnCategory(model, t.description, t.category));
+  return model;
+}
+
+// Returns { category, confidence } for the likeliest of `categoryKeys`, or
+// null when none of the description's words have been seen before.
+export function suggestCategory(model, description, categoryKeys) {
+  const words = getDescriptionWords(description).filter(
+    (word) => model.tokens[word]
+  );
+  const candidates = categoryKeys.filter((key) => model.categories[key]);
+  if (!words.length || !candidates.length) return null;
+  const vocabularySize = Object.keys(model.tokens).length;
+  const scores = candidates.map((key) => {
+    const count = model.categories[key];
+    return words.reduce(
+      (score, word) =>
+        score +
+        Math.log(
+          ((model.tokens[word][key] || 0) + SMOOTHING) /
+            (count + SMOOTHING * vocabularySize)
+        ),
+      Math.log(count / model.examples)
+    );
+  });
+  const best = Math.max(...scores);
+  const weights = scores.map((score) => Math.exp(score - best));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const index = weights.indexOf(1);
+  return { category: candidates[index], confidence: weights[index] / total };
+}
+
+// --- AI FALLBACK ---
+export function buildCategorizePrompt(descriptions, categories) {
+  const options = categories
+    .filter((c) => !c.archived)
+    .map((c) => `${c.key} (${c.name})`)
+    .join(", ");
+  return `Pick the best expense category for each of these freelancer business expenses. Categories: ${options}. Reply with only a JSON array of category keys, one per expense in the same order, using null when none fits.
+
+${descriptions.map((d, i) => `${i + 1}. ${d}`).join("\n")}`;
+}
+
+// Keys the model made up, or skipped, come back as null.
+export function readCategorizeResponse(text, count, categoryKeys) {
+  const start = text.indexOf("[");
+  const end = text.lastIndexOf("]");
+  if (start === -1 || end < start) throw new Error("No JSON array in reply.");
+  const keys = JSON.parse(text.slice(start, end + 1));
+  return Array.from({ length: count }, (_, i) =>
+    categoryKeys.includes(keys[i]) ? keys[i] : null
+  );
+}
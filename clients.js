@@ -0,0 +1,62 @@
+// Clients and their projects. A client looks like
+// { name, email, address, projects: [name] }, and transactions refer to one
+// with `clientId` plus an optional `project` name from that list.
+
+export const NO_CLIENT_LABEL = "No client";
+
+export function getClientProjects(client) {
+  return client && Array.isArray(client.projects) ? client.projects : [];
+}
+
+export function addProjectName(projects, name) {
+  const exists = projects.some(
+    (project) => project.toLowerCase() === name.toLowerCase()
+  );
+  return exists
+    ? projects
+    : [...projects, name].sort((a, b) => a.localeCompare(b));
+}
+
+export function getClientLabel(clients, clientId, project) {
+  const client = clients.find((c) => c.id === clientId);
+  if (!client) return "";
+  return project ? `${client.name} / ${project}` : client.name;
+}
+
+// Revenue, directly attributable expenses and margin per client over the
+// given transactions, highest revenue first. Untagged transactions are
+// summed into a final row so the totals still add up.
+export function buildClientProfitability(transactions, clients) {
+  const rows = new Map();
+  transactions.forEach((t) => {
+    const clientId = clients.some((c) => c.id === t.clientId)
+      ? t.clientId
+      : null;
+    if (!rows.has(clientId)) {
+      const client = clients.find((c) => c.id === clientId);
+      rows.set(clientId, {
+        clientId,
+        name: client ? client.name : NO_CLIENT_LABEL,
+        revenue: 0,
+        expenses: 0,
+      });
+    }
+    const row = rows.get(clientId);
+    if (t.type === "income") row.revenue += t.amount;
+    else row.expenses += t.amount;
+  });
+  return [...rows.values()]
+    .map((row) => {
+      const profit = row.revenue - row.expenses;
+      return {
+        ...row,
+        profit,
+        margin: row.revenue > 0 ? (profit / row.revenue) * 100 : null,
+      };
+    })
+    .sort((a, b) => {
+      if ((a.clientId === null) !== (b.clientId === null))
+        return a.clientId === null ? 1 : -1;
+      return b.revenue - a.revenue || b.profit - a.profit;
+    });
+}
@@ -0,0 +1,117 @@
+// Base currency, the locally editable exchange-rate table and conversions.
+// Rates are stored as "1 unit of CODE = rate units of the base currency",
+// and every transaction's `amount` is kept in the base currency so Firestore
+// aggregations keep working; the original figure lives in `originalAmount`.
+
+export const SUPPORTED_CURRENCIES = [
+  "USD",
+  "EUR",
+  "GBP",
+  "CAD",
+  "AUD",
+  "NZD",
+  "CHF",
+  "JPY",
+  "SEK",
+  "NOK",
+  "DKK",
+  "PLN",
+  "INR",
+  "MXN",
+  "BRL",
+  "ZAR",
+  "SGD",
+  "HKD",
+];
+const BASE_CURRENCY_KEY = "freelanceFinance.baseCurrency";
+const EXCHANGE_RATES_KEY = "freelanceFinance.exchangeRates";
+const DEFAULT_BASE_CURRENCY = "USD";
+
+const round = (number, places = 2) =>
+  Math.round(number * 10 ** places) / 10 ** places;
+
+// --- SETTINGS ---
+export function getBaseCurrency() {
+  return localStorage.getItem(BASE_CURRENCY_KEY) || DEFAULT_BASE_CURRENCY;
+}
+export function setBaseCurrency(code) {
+  localStorage.setItem(BASE_CURRENCY_KEY, code);
+}
+export function getExchangeRates() {
+  try {
+    return JSON.parse(localStorage.getItem(EXCHANGE_RATES_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+export function setExchangeRates(rates) {
+  localStorage.setItem(EXCHANGE_RATES_KEY, JSON.stringify(rates));
+}
+
+// Returns how many base units one unit of `code` is worth, or null if the
+// table has no rate for it.
+export function getRate(code, rates = getExchangeRates()) {
+  if (!code || code === getBaseCurrency()) return 1;
+  return rates[code] || null;
+}
+
+// Re-expresses a rate table against a new base currency.
+export function rebaseRates(rates, oldBase, newBase) {
+  if (oldBase === newBase) return { ...rates };
+  const newBaseInOld = rates[newBase];
+  if (!newBaseInOld) return null;
+  const rebased = { [oldBase]: round(1 / newBaseInOld, 6) };
+  Object.entries(rates).forEach(([code, rate]) => {
+    if (code !== newBase) rebased[code] = round(rate / newBaseInOld, 6);
+  });
+  return rebased;
+}
+
+// Builds the currency fields stored on a transaction.
+export function convertToBase(originalAmount, currency, rate) {
+  const exchangeRate = currency === getBaseCurrency() ? 1 : rate;
+  return {
+    amount: round(originalAmount * exchangeRate),
+    originalAmount,
+    currency,
+    exchangeRate,
+  };
+}
+
+// --- RATES FILE IMPORT ---
+// Accepts either JSON in the common `{ base, rates: { CODE: unitsPerBase } }`
+// shape published by rate APIs, or CSV lines of `CODE,rate` where rate is
+// already "1 CODE = rate base units".
+export function parseRatesFile(fileName, text, baseCurrency) {
+  if (fileName.toLowerCase().endsWith(".json") || text.trim().startsWith("{")) {
+    const data = JSON.parse(text);
+    const fileRates = { ...(data.rates || data) };
+    const fileBase = (
+      data.base ||
+      data.base_code ||
+      baseCurrency
+    ).toUpperCase();
+    fileRates[fileBase] = 1;
+    const baseInFile = fileRates[baseCurrency];
+    if (!baseInFile) {
+      throw new Error(`The file has no rate for ${baseCurrency}.`);
+    }
+    const rates = {};
+    Object.entries(fileRates).forEach(([code, unitsPerFileBase]) => {
+      const upper = code.toUpperCase();
+      if (upper !== baseCurrency && Number(unitsPerFileBase) > 0) {
+        rates[upper] = round(baseInFile / Number(unitsPerFileBase), 6);
+      }
+    });
+    return rates;
+  }
+  const rates = {};
+  text.split(/\r?\n/).forEach((line) => {
+    const [code, rate] = line.split(/[,;\t]/).map((cell) => cell.trim());
+    const value = parseFloat(rate);
+    if (/^[A-Za-z]{3}$/.test(code || "") && value > 0) {
+      rates[code.toUpperCase()] = value;
+    }
+  });
+  return rates;
+}
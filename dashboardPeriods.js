@@ -0,0 +1,78 @@
+import { getComparisonRanges } from "./reports.js";
+import { daysBetween, shiftDays, shiftMonths } from "./dates.js";
+
+// Date ranges for the dashboard's period picker, each with the previous
+// period it is compared against. Ranges are inclusive "YYYY-MM-DD" strings
+// in UTC, like the reports'. Quarters and years follow the fiscal year,
+// which starts on the first of `fiscalYearStart` (1-12).
+
+export const DASHBOARD_PERIODS = {
+  month: "This month",
+  quarter: "This quarter",
+  ytd: "Year to date",
+  "last-year": "Last year",
+  custom: "Custom range",
+};
+export const DEFAULT_DASHBOARD_PERIOD = "ytd";
+
+// The first day of the `months`-long block holding `today`, counting blocks
+// from the fiscal year start: months 1, 3 and 12 give the month, quarter
+// and fiscal year.
+function getBlockStart(today, months, fiscalYearStart) {
+  const month = Number(today.split("-")[1]);
+  const offset = (((month - fiscalYearStart) % months) + months) % months;
+  return shiftMonths(today, -offset);
+}
+
+// From the block's start to today, against the same number of days into
+// the block before, cut off at its end (March 31 compares with the whole of
+// February).
+function getToDateRange(today, months, fiscalYearStart) {
+  const startDate = getBlockStart(today, months, fiscalYearStart);
+  const previousStart = shiftMonths(startDate, -months);
+  const previousEnd = shiftDays(previousStart, daysBetween(startDate, today));
+  const blockBefore = shiftDays(startDate, -1);
+  return {
+    startDate,
+    endDate: today,
+    previous: {
+      startDate: previousStart,
+      endDate: previousEnd < blockBefore ? previousEnd : blockBefore,
+    },
+  };
+}
+
+// selection: { period, startDate, endDate }, the dates only for "custom".
+// Returns { startDate, endDate, previous: { startDate, endDate } }, or null
+// for an incomplete custom range.
+export function getDashboardRange(selection, today, fiscalYearStart = 1) {
+  switch (selection.period) {
+    case "month":
+      return getToDateRange(today, 1, fiscalYearStart);
+    case "quarter":
+      return getToDateRange(today, 3, fiscalYearStart);
+    case "last-year": {
+      const yearStart = getBlockStart(today, 12, fiscalYearStart);
+      const startDate = shiftMonths(yearStart, -12);
+      return {
+        startDate,
+        endDate: shiftDays(yearStart, -1),
+        previous: {
+          startDate: shiftMonths(yearStart, -24),
+          endDate: shiftDays(startDate, -1),
+        },
+      };
+    }
+    case "custom": {
+      const { startDate, endDate } = selection;
+      if (!startDate || !endDate || startDate > endDate) return null;
+      return {
+        startDate,
+        endDate,
+        previous: getComparisonRanges(startDate, endDate).previous,
+      };
+    }
+    default:
+      return getToDateRange(today, 12, fiscalYearStart);
+  }
+}
@@ -0,0 +1,35 @@
+// Helpers for "YYYY-MM-DD" date strings, which are read and written in UTC
+// everywhere, so the same string is the same day in every timezone. Only
+// "today" comes from the user's clock: it is their calendar day.
+
+export const toDateString = (date) => date.toISOString().split("T")[0];
+
+export function getTodayDateString() {
+  const now = new Date();
+  return toDateString(
+    new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()))
+  );
+}
+
+export const getDateStringDaysAgo = (days) =>
+  shiftDays(getTodayDateString(), -days);
+
+export function shiftDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+}
+
+// The first of the month `months` away from the one dateString is in.
+export function shiftMonths(dateString, months) {
+  const [year, month] = dateString.split("-").map(Number);
+  return toDateString(new Date(Date.UTC(year, month - 1 + months, 1)));
+}
+
+// Days from startDate to endDate, 0 when they are the same day.
+export function daysBetween(startDate, endDate) {
+  return Math.round(
+    (new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) /
+      86400000
+  );
+}
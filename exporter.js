@@ -0,0 +1,124 @@
+// Builds accountant-friendly exports (CSV, JSON, QIF) from transaction data.
+
+export const EXPORT_FORMATS = {
+  csv: { extension: "csv", mimeType: "text/csv" },
+  json: { extension: "json", mimeType: "application/json" },
+  qif: { extension: "qif", mimeType: "application/qif" },
+};
+
+const round = (number) => Math.round(number * 100) / 100;
+
+// transactions: [{ description, amount, date: "YYYY-MM-DD", type, category,
+// currency, originalAmount, exchangeRate }] sorted ascending by date, with
+// `amount` in the base currency, and taxRate the effective rate of the tax
+// year the export ends in. Running totals use the same formulas as the
+// dashboard summary so the last row matches the cards for the same data.
+export function buildExportRows(transactions, { taxRate, savingsRate }) {
+  let runningIncome = 0;
+  let runningExpenses = 0;
+  let runningTaxJar = 0;
+  return transactions.map((t) => {
+    if (t.type === "income") runningIncome += t.amount;
+    else runningExpenses += t.amount;
+    const runningNet = runningIncome - runningExpenses;
+    // A row's tax jar is what it adds to the running one, so an expense
+    // lowers it.
+    const previousTaxJar = runningTaxJar;
+    runningTaxJar = Math.max(0, runningNet * taxRate);
+    return {
+      date: t.date,
+      description: t.description,
+      type: t.type,
+      category: t.category || "",
+      amount: round(t.amount),
+      currency: t.currency,
+      originalAmount: t.originalAmount,
+      exchangeRate: t.exchangeRate,
+      signedAmount: round(t.type === "income" ? t.amount : -t.amount),
+      runningIncome: round(runningIncome),
+      runningExpenses: round(runningExpenses),
+      runningNet: round(runningNet),
+      taxJar: round(runningTaxJar - previousTaxJar),
+      runningTaxJar: round(runningTaxJar),
+      runningSavings: round(Math.max(0, runningNet * savingsRate)),
+    };
+  });
+}
+
+const CSV_COLUMNS = [
+  ["date", "Date"],
+  ["description", "Description"],
+  ["type", "Type"],
+  ["category", "Category"],
+  ["signedAmount", "Amount"],
+  ["currency", "Original Currency"],
+  ["originalAmount", "Original Amount"],
+  ["exchangeRate", "Exchange Rate"],
+  ["runningIncome", "Running Income"],
+  ["runningExpenses", "Running Expenses"],
+  ["runningNet", "Running Net Profit"],
+  ["taxJar", "Tax Jar"],
+  ["runningTaxJar", "Running Tax Jar"],
+  ["runningSavings", "Running Savings Goal"],
+];
+
+function escapeCSVField(value) {
+  const str = String(value ?? "");
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function toCSV(rows) {
+  const header = CSV_COLUMNS.map(([, label]) => label).join(",");
+  const lines = rows.map((row) =>
+    CSV_COLUMNS.map(([key]) => escapeCSVField(row[key])).join(",")
+  );
+  return [header, ...lines].join("\r\n");
+}
+
+// meta: { startDate, endDate, filter, taxRate, savingsRate }
+export function toJSON(rows, meta) {
+  const last = rows[rows.length - 1];
+  return JSON.stringify(
+    {
+      ...meta,
+      generatedAt: new Date().toISOString(),
+      totals: {
+        income: last ? last.runningIncome : 0,
+        expenses: last ? last.runningExpenses : 0,
+        netProfit: last ? last.runningNet : 0,
+        taxJar: last ? last.runningTaxJar : 0,
+        savingsGoal: last ? last.runningSavings : 0,
+      },
+      transactions: rows,
+    },
+    null,
+    2
+  );
+}
+
+export function toQIF(rows) {
+  const lines = ["!Type:Bank"];
+  rows.forEach((row) => {
+    const [year, month, day] = row.date.split("-");
+    lines.push(
+      `D${month}/${day}/${year}`,
+      `T${row.signedAmount.toFixed(2)}`,
+      `P${row.description}`
+    );
+    if (row.category) lines.push(`L${row.category}`);
+    lines.push("^");
+  });
+  return lines.join("\r\n") + "\r\n";
+}
+
+export function downloadFile(fileName, content, mimeType) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
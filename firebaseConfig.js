@@ -1,7 +1,12 @@
 // Import the functions you need from the SDKs you need
 import { initializeApp } from "firebase/app";
-import { getFirestore } from "firebase/firestore";
-import { getAuth } from "firebase/auth";
+import {
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+} from "firebase/firestore";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
+import { getStorage, connectStorageEmulator } from "firebase/storage";
 
 // Your web app's Firebase configuration using Vite's env variables
 const firebaseConfig = {
@@ -16,6 +21,25 @@ const firebaseConfig = {
 // Initialize Firebase
 const app = initializeApp(firebaseConfig);
 
-// Initialize Cloud Firestore and get a reference to the service
-export const db = getFirestore(app);
-export const auth = getAuth(app);
\ No newline at end of file
+// Initialize Cloud Firestore with an IndexedDB cache so the app works
+// offline and queues writes until the connection comes back
+export const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({
+    tabManager: persistentMultipleTabManager(),
+  }),
+});
+export const auth = getAuth(app);
+export const storage = getStorage(app);
+
+// Run `firebase emulators:start --only auth` and set VITE_AUTH_EMULATOR_URL
+// (e.g. http://127.0.0.1:9099) in .env.local to test sign-in locally
+if (import.meta.env.VITE_AUTH_EMULATOR_URL) {
+  connectAuthEmulator(auth, import.meta.env.VITE_AUTH_EMULATOR_URL);
+}
+
+// Likewise `firebase emulators:start --only auth,storage` with
+// VITE_STORAGE_EMULATOR_URL (e.g. http://127.0.0.1:9199) for attachments
+if (import.meta.env.VITE_STORAGE_EMULATOR_URL) {
+  const { hostname, port } = new URL(import.meta.env.VITE_STORAGE_EMULATOR_URL);
+  connectStorageEmulator(storage, hostname, Number(port));
+}
@@ -0,0 +1,150 @@
+import {
+  collection,
+  doc,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  getDocs,
+  getDocsFromCache,
+  getDoc,
+  addDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  writeBatch,
+  runTransaction,
+  getAggregateFromServer,
+  count,
+  sum,
+  waitForPendingWrites,
+  serverTimestamp,
+  increment,
+} from "firebase/firestore";
+import {
+  ref as storageRef,
+  uploadBytes,
+  getBlob,
+  getDownloadURL,
+  deleteObject,
+} from "firebase/storage";
+import { db, storage } from "./firebaseConfig.js";
+import {
+  toQuery,
+  resolveServerTimestamps,
+  resolveIncrements,
+} from "./repository.js";
+
+// Cloud backend: data lives under users/{uid} in Firestore, with the
+// IndexedDB cache configured in firebaseConfig.js for offline use. Files go
+// to Cloud Storage under the same users/{uid} path.
+
+const CONSTRAINTS = {
+  where: (c) => where(c.field, c.op, c.value),
+  orderBy: (c) => orderBy(c.field, c.direction),
+  limit: (c) => limit(c.count),
+  startAfter: (c) => startAfter(c.cursor),
+};
+
+function toFirestoreQuery(source) {
+  const { ref, constraints } = toQuery(source);
+  return query(ref, ...constraints.map((c) => CONSTRAINTS[c.type](c)));
+}
+
+const resolve = (data) =>
+  resolveIncrements(resolveServerTimestamps(data, serverTimestamp), (by) =>
+    increment(by)
+  );
+
+export function createFirestoreRepository(uid) {
+  const wrapWrites = (target) => {
+    const wrapper = {
+      set(ref, data, options = {}) {
+        target.set(ref, resolve(data), options);
+        return wrapper;
+      },
+      update(ref, data) {
+        target.update(ref, resolve(data));
+        return wrapper;
+      },
+      delete(ref) {
+        target.delete(ref);
+        return wrapper;
+      },
+    };
+    return wrapper;
+  };
+
+  const fileRef = (path) => storageRef(storage, `users/${uid}/${path}`);
+
+  return {
+    backend: "firestore",
+    collection: (name) => collection(db, "users", uid, ...name.split("/")),
+    doc: (collectionRef, id) =>
+      id === undefined ? doc(collectionRef) : doc(collectionRef, id),
+    // getDocs waits for the server before falling back to the cache, which
+    // makes every read slow offline.
+    getDocs: (source) =>
+      navigator.onLine
+        ? getDocs(toFirestoreQuery(source))
+        : getDocsFromCache(toFirestoreQuery(source)),
+    getDoc: (ref) => getDoc(ref),
+    addDoc: (ref, data) => addDoc(ref, resolve(data)),
+    setDoc: (ref, data, options = {}) => setDoc(ref, resolve(data), options),
+    updateDoc: (ref, data) => updateDoc(ref, resolve(data)),
+    deleteDoc: (ref) => deleteDoc(ref),
+    writeBatch() {
+      const batch = writeBatch(db);
+      return Object.assign(wrapWrites(batch), {
+        commit: () => batch.commit(),
+      });
+    },
+    runTransaction: (updateFunction) =>
+      runTransaction(db, (tx) =>
+        updateFunction(
+          Object.assign(wrapWrites(tx), { get: (ref) => tx.get(ref) })
+        )
+      ),
+    // getAggregateFromServer needs a connection, so offline the figures
+    // are computed from the documents in the local cache.
+    async aggregate(source, field = "amount") {
+      const q = toFirestoreQuery(source);
+      if (navigator.onLine) {
+        try {
+          const snapshot = await getAggregateFromServer(q, {
+            count: count(),
+            total: sum(field),
+          });
+          return {
+            count: snapshot.data().count,
+            total: snapshot.data().total || 0,
+          };
+        } catch (e) {
+          if (e.code !== "unavailable") throw e;
+        }
+      }
+      const snapshot = await getDocsFromCache(q);
+      return {
+        count: snapshot.size,
+        total: snapshot.docs.reduce(
+          (total, d) => total + (d.data()[field] || 0),
+          0
+        ),
+      };
+    },
+    waitForPendingWrites: () => waitForPendingWrites(db),
+    uploadFile: (path, file) =>
+      uploadBytes(fileRef(path), file, { contentType: file.type }),
+    readFile: (path) => getBlob(fileRef(path)),
+    getFileURL: (path) => getDownloadURL(fileRef(path)),
+    // A file that is already gone counts as deleted.
+    async deleteFile(path) {
+      try {
+        await deleteObject(fileRef(path));
+      } catch (e) {
+        if (e.code !== "storage/object-not-found") throw e;
+      }
+    },
+  };
+}
@@ -0,0 +1,168 @@
+// Cash-flow forecast. Income and each expense category are projected at
+// their average over the last few complete months. A known future-dated
+// transaction is usually a bill entered early rather than an extra one, so a
+// month's projection is the larger of the average and what is already known.
+// Months are "YYYY-MM" keys in UTC, like the rest of the app's dates.
+
+export const FORECAST_LOOKBACK_MONTHS = 6;
+// Width of the confidence band: roughly an 80% interval.
+const CONFIDENCE_Z = 1.28;
+
+export function getMonthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+export function addMonths(monthKey, count) {
+  const [year, month] = monthKey.split("-").map(Number);
+  return getMonthKey(new Date(Date.UTC(year, month - 1 + count, 1)));
+}
+
+export function getMonthStart(monthKey) {
+  return `${monthKey}-01`;
+}
+
+export function getMonthEnd(monthKey) {
+  const [year, month] = monthKey.split("-").map(Number);
+  return new Date(Date.UTC(year, month, 0)).toISOString().split("T")[0];
+}
+
+// History covers the complete months before today's; the forecast runs from
+// today's month to `horizon` months after it.
+export function getForecastWindow(todayString, horizon) {
+  const currentMonth = todayString.slice(0, 7);
+  const historyMonths = Array.from(
+    { length: FORECAST_LOOKBACK_MONTHS },
+    (_, i) => addMonths(currentMonth, i - FORECAST_LOOKBACK_MONTHS)
+  );
+  const forecastMonths = Array.from({ length: horizon + 1 }, (_, i) =>
+    addMonths(currentMonth, i)
+  );
+  return {
+    historyMonths,
+    forecastMonths,
+    historyStart: getMonthStart(historyMonths[0]),
+    forecastEnd: getMonthEnd(forecastMonths[forecastMonths.length - 1]),
+  };
+}
+
+const getBucket = (t) =>
+  t.type === "income" ? "income" : `expense:${t.category || ""}`;
+
+function sumByMonthAndBucket(transactions) {
+  const totals = {};
+  transactions.forEach((t) => {
+    const month = getMonthKey(t.date.toDate());
+    const bucket = getBucket(t);
+    totals[month] = totals[month] || {};
+    totals[month][bucket] = (totals[month][bucket] || 0) + t.amount;
+  });
+  return totals;
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+}
+
+function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  return Math.sqrt(
+    values.reduce((sum, v) => sum + (v - average) ** 2, 0) / (values.length - 1)
+  );
+}
+
+export function getMonthlyTotals(transactions, months) {
+  const totals = Object.fromEntries(
+    months.map((month) => [month, { income: 0, expense: 0 }])
+  );
+  transactions.forEach((t) => {
+    const month = totals[getMonthKey(t.date.toDate())];
+    if (month) month[t.type === "income" ? "income" : "expense"] += t.amount;
+  });
+  return months.map((month) => totals[month]);
+}
+
+// Months with nothing in a bucket count as zero, so a one-off purchase is
+// spread thinly rather than repeated every month.
+export function getBucketAverages(history, historyMonths) {
+  const totals = sumByMonthAndBucket(history);
+  const buckets = new Set(history.map(getBucket).concat("income"));
+  const averages = {};
+  buckets.forEach((bucket) => {
+    averages[bucket] = mean(
+      historyMonths.map((month) => (totals[month] || {})[bucket] || 0)
+    );
+  });
+  return averages;
+}
+
+// history: transactions in the complete months before today's.
+// actual: today's month up to today. upcoming: dated after today.
+// Returns one row per forecast month with the safe-to-spend balance after
+// setting aside tax and savings on any profit.
+export function buildForecast({
+  history,
+  actual,
+  upcoming,
+  todayString,
+  horizon,
+  startingBalance,
+  reserveRate,
+}) {
+  const { historyMonths, forecastMonths } = getForecastWindow(
+    todayString,
+    horizon
+  );
+  const averages = getBucketAverages(history, historyMonths);
+  const historyTotals = sumByMonthAndBucket(history);
+  const netByMonth = historyMonths.map((month) =>
+    Object.entries(historyTotals[month] || {}).reduce(
+      (net, [bucket, amount]) =>
+        bucket === "income" ? net + amount : net - amount,
+      0
+    )
+  );
+  const netDeviation = standardDeviation(netByMonth);
+  const actualTotals = sumByMonthAndBucket(actual);
+  const upcomingTotals = sumByMonthAndBucket(upcoming);
+  let balance = startingBalance;
+  return forecastMonths.map((month, index) => {
+    const monthActual = actualTotals[month] || {};
+    const monthUpcoming = upcomingTotals[month] || {};
+    const buckets = new Set([
+      ...Object.keys(averages),
+      ...Object.keys(monthActual),
+      ...Object.keys(monthUpcoming),
+    ]);
+    let income = 0;
+    let expense = 0;
+    let change = 0;
+    buckets.forEach((bucket) => {
+      const soFar = monthActual[bucket] || 0;
+      const projected = Math.max(
+        soFar + (monthUpcoming[bucket] || 0),
+        averages[bucket] || 0
+      );
+      // The starting balance already includes what has happened so far.
+      const remaining = projected - soFar;
+      if (bucket === "income") {
+        income += projected;
+        change += remaining;
+      } else {
+        expense += projected;
+        change -= remaining;
+      }
+    });
+    balance += change - Math.max(0, change) * reserveRate;
+    const spread =
+      CONFIDENCE_Z * netDeviation * Math.sqrt(index + 1) * (1 - reserveRate);
+    return {
+      month,
+      income,
+      expense,
+      balance,
+      low: balance - spread,
+      high: balance + spread,
+    };
+  });
+}
@@ -0,0 +1,123 @@
+import { formatCurrency } from "./utils.js";
+import { getCategoryLabel } from "./categories.js";
+import { getClientLabel } from "./clients.js";
+
+// Edit history and trash for transactions. Every change to a transaction
+// adds an entry to transactions/{id}/history:
+// { action, source, changes: { field: { from, to } }, at }
+// Deleted transactions move to the "trash" collection under the same id
+// (with a deletedAt timestamp), so nothing that reads transactions needs
+// to filter them out, and their history stays where it was.
+
+export const TRASH_RETENTION_DAYS = 30;
+
+const ACTION_LABELS = {
+  create: "Created",
+  update: "Edited",
+  delete: "Moved to trash",
+  restore: "Restored from trash",
+};
+
+// Where the change came from, when it wasn't the transaction forms.
+const SOURCE_LABELS = {
+  import: "by a statement import",
+  rollback: "by rolling back its import",
+  recurring: "by a repeating schedule",
+  series: "with its whole series",
+  categories: "by a category change",
+  review: "from the category review",
+  bulk: "with a bulk action",
+  currency: "by a base currency change",
+  undo: "by undo",
+};
+
+const FIELD_LABELS = {
+  description: "Description",
+  amount: "Amount",
+  originalAmount: "Original amount",
+  currency: "Currency",
+  exchangeRate: "Exchange rate",
+  date: "Date",
+  type: "Type",
+  category: "Category",
+  clientId: "Client",
+  project: "Project",
+  attachments: "Receipts",
+};
+const TRACKED_FIELDS = Object.keys(FIELD_LABELS);
+
+// Firestore can't store undefined, and Timestamps only compare by value.
+const normalize = (value) => (value === undefined ? null : value);
+const isSameValue = (a, b) =>
+  a && b && typeof a.toMillis === "function" && typeof b.toMillis === "function"
+    ? a.toMillis() === b.toMillis()
+    : normalize(a) === normalize(b);
+
+// Changes between a transaction and the fields being written over it.
+// Attachments are recorded as counts, not file lists.
+export function diffTransaction(before, updates) {
+  const changes = {};
+  TRACKED_FIELDS.filter((field) => field in updates).forEach((field) => {
+    if (field === "attachments") {
+      const from = (before.attachments || []).length;
+      const to = (updates.attachments || []).length;
+      if (from !== to) changes.attachments = { from, to };
+    } else if (!isSameValue(before[field], updates[field])) {
+      changes[field] = {
+        from: normalize(before[field]),
+        to: normalize(updates[field]),
+      };
+    }
+  });
+  return changes;
+}
+
+// The fields to write back to undo `changes`.
+export function revertChanges(changes) {
+  return Object.fromEntries(
+    Object.entries(changes)
+      .filter(([field]) => field !== "attachments")
+      .map(([field, change]) => [field, change.from])
+  );
+}
+
+export function getTrashExpiry(deletedAt) {
+  const expiry = deletedAt.toDate();
+  expiry.setDate(expiry.getDate() + TRASH_RETENTION_DAYS);
+  return expiry;
+}
+
+export function getTrashDaysLeft(deletedAt, now = new Date()) {
+  return Math.max(
+    0,
+    Math.ceil((getTrashExpiry(deletedAt) - now) / (24 * 60 * 60 * 1000))
+  );
+}
+
+// context: { categories, clients }
+function formatValue(field, value, context) {
+  if (value === null || value === "") return "none";
+  if (field === "date") return value.toDate().toISOString().split("T")[0];
+  if (field === "amount") return formatCurrency(value);
+  if (field === "category")
+    return getCategoryLabel(context.categories, value) || value;
+  if (field === "clientId")
+    return getClientLabel(context.clients, value) || "a deleted client";
+  return String(value);
+}
+
+export function describeHistoryEntry(entry, context) {
+  const source = SOURCE_LABELS[entry.source];
+  const title = `${ACTION_LABELS[entry.action] || entry.action}${
+    source ? ` ${source}` : ""
+  }`;
+  const details = Object.entries(entry.changes || {}).map(
+    ([field, { from, to }]) =>
+      `${FIELD_LABELS[field] || field}: ${formatValue(
+        field,
+        from,
+        context
+      )} → ${formatValue(field, to, context)}`
+  );
+  return { title, details };
+}
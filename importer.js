@@ -0,0 +1,360 @@
+// Parsers and helpers for importing bank/card statement exports.
+// Every parser returns normalized records of the shape:
+// { description, amount, date: "YYYY-MM-DD", type: "income" | "expense", category }
+
+export const IMPORT_FIELDS = [
+  "date",
+  "description",
+  "amount",
+  "debit",
+  "credit",
+  "type",
+  "category",
+];
+const DUPLICATE_DATE_TOLERANCE_DAYS = 3;
+
+// --- FORMAT DETECTION ---
+export function detectFormat(fileName, text) {
+  const extension = (fileName.split(".").pop() || "").toLowerCase();
+  if (extension === "ofx" || extension === "qfx" || /<OFX>/i.test(text))
+    return "ofx";
+  if (extension === "qif" || /^!Type:/im.test(text)) return "qif";
+  return "csv";
+}
+
+// --- VALUE PARSING ---
+export function parseAmount(value) {
+  if (typeof value === "number") return value;
+  let str = String(value || "").trim();
+  if (!str) return NaN;
+  let negative = false;
+  if (/^\(.*\)$/.test(str)) {
+    negative = true;
+    str = str.slice(1, -1);
+  }
+  if (str.endsWith("-")) {
+    negative = true;
+    str = str.slice(0, -1);
+  }
+  str = str.replace(/[^\d.,-]/g, "");
+  // "1.234,56" style: comma is the decimal separator
+  if (/,\d{1,2}$/.test(str) && str.indexOf(",") > str.lastIndexOf(".")) {
+    str = str.replace(/\./g, "").replace(",", ".");
+  } else {
+    str = str.replace(/,/g, "");
+  }
+  const number = parseFloat(str);
+  if (isNaN(number)) return NaN;
+  return negative ? -Math.abs(number) : number;
+}
+
+function toDateString(year, month, day) {
+  const y = Number(year);
+  const m = Number(month);
+  const d = Number(day);
+  if (!y || !m || !d || m > 12 || d > 31) return null;
+  const fullYear = y < 100 ? 2000 + y : y;
+  return `${fullYear}-${String(m).padStart(2, "0")}-${String(d).padStart(
+    2,
+    "0"
+  )}`;
+}
+
+export function parseDate(value, format = "auto") {
+  const str = String(value || "").trim();
+  if (!str) return null;
+  let match = str.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (match && !/[-/.]/.test(str.slice(0, 8))) {
+    return toDateString(match[1], match[2], match[3]);
+  }
+  match = str.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (match) return toDateString(match[1], match[2], match[3]);
+  match = str.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+  if (match) {
+    let [, first, second, year] = match;
+    const dayFirst =
+      format === "dmy" || (format === "auto" && Number(first) > 12);
+    return dayFirst
+      ? toDateString(year, second, first)
+      : toDateString(year, first, second);
+  }
+  const parsed = new Date(str);
+  if (isNaN(parsed)) return null;
+  return toDateString(
+    parsed.getFullYear(),
+    parsed.getMonth() + 1,
+    parsed.getDate()
+  );
+}
+
+// --- CSV ---
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/)[0] || "";
+  const candidates = [",", ";", "\t"];
+  return candidates.reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length
+      ? candidate
+      : best
+  );
+}
+
+export function parseCSV(text) {
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field.trim());
+      if (row.some((cell) => cell !== "")) rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  row.push(field.trim());
+  if (row.some((cell) => cell !== "")) rows.push(row);
+  return rows;
+}
+
+export function guessColumnMapping(headers) {
+  const patterns = {
+    date: /date|posted|booking/i,
+    description: /desc|payee|memo|narrative|details|merchant|name/i,
+    amount: /amount|value|sum/i,
+    debit: /debit|withdrawal|money out|paid out/i,
+    credit: /credit|deposit|money in|paid in/i,
+    type: /^type$|transaction type|dr\/cr/i,
+    category: /categ/i,
+  };
+  const mapping = {};
+  const used = new Set();
+  IMPORT_FIELDS.forEach((field) => {
+    const index = headers.findIndex(
+      (header, i) => !used.has(i) && patterns[field].test(header)
+    );
+    mapping[field] = index;
+    if (index !== -1) used.add(index);
+  });
+  return mapping;
+}
+
+// mapping: { [field]: columnIndex | -1 }
+// options.signConvention: "negative-expense" (bank) or "positive-expense" (card)
+export function mapCSVRows(rows, mapping, options = {}) {
+  const { dateFormat = "auto", signConvention = "negative-expense" } = options;
+  const cell = (row, field) =>
+    mapping[field] >= 0 && mapping[field] < row.length
+      ? row[mapping[field]]
+      : "";
+  return rows.map((row) => {
+    let amount;
+    let type = null;
+    const debit = parseAmount(cell(row, "debit"));
+    const credit = parseAmount(cell(row, "credit"));
+    if (mapping.debit >= 0 || mapping.credit >= 0) {
+      if (!isNaN(debit) && debit !== 0) {
+        amount = Math.abs(debit);
+        type = "expense";
+      } else if (!isNaN(credit) && credit !== 0) {
+        amount = Math.abs(credit);
+        type = "income";
+      }
+    }
+    if (type === null) {
+      const signed = parseAmount(cell(row, "amount"));
+      amount = Math.abs(signed);
+      const isNegative = signed < 0;
+      type =
+        isNegative === (signConvention === "negative-expense")
+          ? "expense"
+          : "income";
+    }
+    const typeCell = cell(row, "type").toLowerCase();
+    if (/^(debit|dr|expense|withdrawal)/.test(typeCell)) type = "expense";
+    if (/^(credit|cr|income|deposit)/.test(typeCell)) type = "income";
+    return {
+      description: cell(row, "description"),
+      amount,
+      date: parseDate(cell(row, "date"), dateFormat),
+      type,
+      category: cell(row, "category"),
+    };
+  });
+}
+
+// --- OFX ---
+function getOFXTag(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, "i"));
+  return match ? match[1].trim() : "";
+}
+
+export function parseOFX(text) {
+  const blocks = text.split(/<STMTTRN>/i).slice(1);
+  return blocks.map((rawBlock) => {
+    const block = rawBlock.split(/<\/STMTTRN>/i)[0];
+    const signed = parseAmount(getOFXTag(block, "TRNAMT"));
+    const name = getOFXTag(block, "NAME");
+    const memo = getOFXTag(block, "MEMO");
+    return {
+      description: name || memo,
+      amount: Math.abs(signed),
+      date: parseDate(getOFXTag(block, "DTPOSTED")),
+      type: signed < 0 ? "expense" : "income",
+      category: "",
+    };
+  });
+}
+
+// --- QIF ---
+export function parseQIF(text, options = {}) {
+  const { dateFormat = "auto" } = options;
+  const records = [];
+  let current = {};
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("!")) return;
+    const code = line[0];
+    const value = line.slice(1).trim();
+    switch (code) {
+      case "D":
+        // QIF dates use an apostrophe for years after 1999, e.g. 10/3'24
+        current.date = parseDate(value.replace("'", "/"), dateFormat);
+        break;
+      case "T":
+      case "U":
+        current.signed = parseAmount(value);
+        break;
+      case "P":
+        current.payee = value;
+        break;
+      case "M":
+        current.memo = value;
+        break;
+      case "L":
+        current.category = value.replace(/^\[|\]$/g, "");
+        break;
+      case "^":
+        if (current.signed !== undefined) {
+          records.push({
+            description: current.payee || current.memo || "",
+            amount: Math.abs(current.signed),
+            date: current.date || null,
+            type: current.signed < 0 ? "expense" : "income",
+            category: current.category || "",
+          });
+        }
+        current = {};
+        break;
+      default:
+        break;
+    }
+  });
+  return records;
+}
+
+// --- VALIDATION & DUPLICATES ---
+export function validateRecord(record) {
+  if (!record.date) return "Unreadable date";
+  if (!record.amount || isNaN(record.amount)) return "Missing amount";
+  if (!record.description) return "Missing description";
+  return null;
+}
+
+// Resolves a free-form category from the file to one of the app's categories.
+export function normalizeCategory(rawCategory, knownCategories) {
+  const value = String(rawCategory || "")
+    .toLowerCase()
+    .trim();
+  if (!value) return "other";
+  const exact = knownCategories.find((c) => c === value);
+  if (exact) return exact;
+  const partial = knownCategories.find(
+    (c) => value.includes(c) || c.includes(value)
+  );
+  return partial || "other";
+}
+
+function normalizeDescription(description) {
+  return String(description || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function daysBetween(a, b) {
+  return (
+    Math.abs(new Date(a + "T12:00:00Z") - new Date(b + "T12:00:00Z")) /
+    (1000 * 60 * 60 * 24)
+  );
+}
+
+function isLikelyDuplicate(record, other) {
+  if (record.type !== other.type) return false;
+  if (Math.abs(record.amount - other.amount) >= 0.005) return false;
+  const gap = daysBetween(record.date, other.date);
+  if (gap > DUPLICATE_DATE_TOLERANCE_DAYS) return false;
+  if (gap === 0) return true;
+  // Posting dates drift by a day or two, so when they differ require the
+  // descriptions to share at least one word.
+  const words = new Set(normalizeDescription(other.description).split(" "));
+  return normalizeDescription(record.description)
+    .split(" ")
+    .some((word) => word && words.has(word));
+}
+
+// existing: [{ description, amount, date: "YYYY-MM-DD", type }]
+// Returns a copy of records with `duplicateOf` set to the matching
+// description (or "earlier row in this file") when a likely duplicate exists.
+export function flagDuplicates(records, existing) {
+  const seen = [];
+  return records.map((record) => {
+    let duplicateOf = null;
+    if (!validateRecord(record)) {
+      const match = existing.find((other) => isLikelyDuplicate(record, other));
+      if (match) {
+        duplicateOf = match.description;
+      } else if (
+        seen.some(
+          (other) =>
+            other.date === record.date &&
+            other.type === record.type &&
+            Math.abs(other.amount - record.amount) < 0.005 &&
+            normalizeDescription(other.description) ===
+              normalizeDescription(record.description)
+        )
+      ) {
+        duplicateOf = "earlier row in this file";
+      }
+      seen.push(record);
+    }
+    return { ...record, duplicateOf };
+  });
+}
+
+export function getDateBounds(records) {
+  const dates = records
+    .map((r) => r.date)
+    .filter(Boolean)
+    .sort();
+  if (dates.length === 0) return null;
+  return { start: dates[0], end: dates[dates.length - 1] };
+}
@@ -0,0 +1,146 @@
+import { formatCurrency, escapeHTML } from "./utils.js";
+
+// Invoice math, status rules and the printable invoice document.
+// An invoice looks like:
+// { number, clientId, clientName, issueDate: "YYYY-MM-DD", dueDate,
+//   lineItems: [{ description, quantity, rate }], taxRate (percent), notes,
+//   currency, status: "draft" | "sent" | "overdue" | "paid", paidDate,
+//   transactionId, total, baseTotal (total in the base currency) }
+
+export const INVOICE_STATUSES = ["draft", "sent", "overdue", "paid"];
+export const OUTSTANDING_STATUSES = ["sent", "overdue"];
+
+const round = (number) => Math.round(number * 100) / 100;
+
+export function calculateLineTotal(item) {
+  return round((Number(item.quantity) || 0) * (Number(item.rate) || 0));
+}
+
+export function calculateInvoiceTotals(invoice) {
+  const subtotal = round(
+    (invoice.lineItems || []).reduce(
+      (sum, item) => sum + calculateLineTotal(item),
+      0
+    )
+  );
+  const tax = round(subtotal * ((Number(invoice.taxRate) || 0) / 100));
+  return { subtotal, tax, total: round(subtotal + tax) };
+}
+
+export function isOverdue(invoice, todayString) {
+  return invoice.status === "sent" && invoice.dueDate < todayString;
+}
+
+export function formatInvoiceNumber(sequence) {
+  return `INV-${String(sequence).padStart(4, "0")}`;
+}
+
+// Picks the next number after the highest existing "INV-####".
+export function getNextInvoiceNumber(existingNumbers) {
+  const highest = existingNumbers.reduce((max, number) => {
+    const match = String(number || "").match(/(\d+)$/);
+    return match ? Math.max(max, parseInt(match[1])) : max;
+  }, 0);
+  return formatInvoiceNumber(highest + 1);
+}
+
+function formatLongDate(dateString) {
+  if (!dateString) return "";
+  return new Date(dateString + "T12:00:00Z").toLocaleDateString("en-US", {
+    month: "long",
+    day: "numeric",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+// Returns a standalone HTML document suitable for printing or saving.
+export function renderInvoiceHTML(invoice, client = {}) {
+  const { subtotal, tax, total } = calculateInvoiceTotals(invoice);
+  const money = (number) => formatCurrency(number, invoice.currency);
+  const rows = (invoice.lineItems || [])
+    .map(
+      (item) => `
+        <tr>
+          <td>${escapeHTML(item.description)}</td>
+          <td class="num">${Number(item.quantity) || 0}</td>
+          <td class="num">${money(Number(item.rate))}</td>
+          <td class="num">${money(calculateLineTotal(item))}</td>
+        </tr>`
+    )
+    .join("");
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>Invoice ${escapeHTML(invoice.number)}</title>
+    <style>
+      body { font-family: "Inter", Arial, sans-serif; color: #212529; margin: 40px; }
+      header { display: flex; justify-content: space-between; margin-bottom: 2rem; }
+      h1 { margin: 0; font-size: 2rem; }
+      .status { text-transform: uppercase; font-weight: 700; color: #6c757d; }
+      .meta p, .client p { margin: 0.2rem 0; }
+      table { width: 100%; border-collapse: collapse; margin-top: 2rem; }
+      th, td { padding: 10px; border-bottom: 1px solid #dee2e6; text-align: left; }
+      th { background: #f8f9fa; }
+      .num { text-align: right; }
+      .totals { margin-left: auto; margin-top: 1rem; width: 280px; }
+      .totals div { display: flex; justify-content: space-between; padding: 4px 0; }
+      .totals .grand { font-size: 1.2rem; font-weight: 700; border-top: 2px solid #212529; }
+      .notes { margin-top: 2rem; color: #6c757d; white-space: pre-wrap; }
+      .print-btn { margin-top: 2rem; padding: 10px 18px; }
+      @media print { .print-btn { display: none; } body { margin: 0; } }
+    </style>
+  </head>
+  <body>
+    <header>
+      <div>
+        <h1>Invoice</h1>
+        <p class="status">${escapeHTML(invoice.status)}</p>
+      </div>
+      <div class="meta">
+        <p><strong>Invoice #:</strong> ${escapeHTML(invoice.number)}</p>
+        <p><strong>Issued:</strong> ${formatLongDate(invoice.issueDate)}</p>
+        <p><strong>Due:</strong> ${formatLongDate(invoice.dueDate)}</p>
+        ${
+          invoice.paidDate
+            ? `<p><strong>Paid:</strong> ${formatLongDate(
+                invoice.paidDate
+              )}</p>`
+            : ""
+        }
+      </div>
+    </header>
+    <section class="client">
+      <p><strong>Bill To:</strong></p>
+      <p>${escapeHTML(client.name || invoice.clientName)}</p>
+      ${client.email ? `<p>${escapeHTML(client.email)}</p>` : ""}
+      ${
+        client.address
+          ? `<p>${escapeHTML(client.address).replace(/\n/g, "<br />")}</p>`
+          : ""
+      }
+    </section>
+    <table>
+      <thead>
+        <tr>
+          <th>Description</th>
+          <th class="num">Qty</th>
+          <th class="num">Rate</th>
+          <th class="num">Amount</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <div class="totals">
+      <div><span>Subtotal</span><span>${money(subtotal)}</span></div>
+      <div><span>Tax (${Number(invoice.taxRate) || 0}%)</span><span>${money(
+    tax
+  )}</span></div>
+      <div class="grand"><span>Total</span><span>${money(total)}</span></div>
+    </div>
+    ${invoice.notes ? `<p class="notes">${escapeHTML(invoice.notes)}</p>` : ""}
+    <button class="print-btn" onclick="window.print()">Print</button>
+  </body>
+</html>`;
+}
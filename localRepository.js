@@ -0,0 +1,424 @@
+import {
+  Timestamp,
+  toQuery,
+  resolveServerTimestamps,
+  resolveIncrements,
+} from "./repository.js";
+
+// On-device backend. Every document lives in one IndexedDB object store
+// keyed by "collection/id". Queries load the collection and filter, sort
+// and page it in memory, which is plenty for one person's books. Writes
+// from several tabs are serialized with the Web Locks API. Attached files
+// are kept as Blobs in a second store keyed by their path.
+
+const DB_NAME = "freelance-finance";
+const DB_VERSION = 2;
+const STORE_NAME = "documents";
+const FILE_STORE_NAME = "files";
+const LOCK_NAME = "freelance-finance-local-writes";
+const AUTO_ID_CHARS =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+
+let databasePromise = null;
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const database = request.result;
+        if (event.oldVersion < 1) {
+          const store = database.createObjectStore(STORE_NAME, {
+            keyPath: "key",
+          });
+          store.createIndex("collection", "collection");
+        }
+        if (event.oldVersion < 2)
+          database.createObjectStore(FILE_STORE_NAME, { keyPath: "path" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return databasePromise;
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function withLock(callback) {
+  return navigator.locks
+    ? navigator.locks.request(LOCK_NAME, callback)
+    : callback();
+}
+
+function generateId() {
+  const values = crypto.getRandomValues(new Uint8Array(20));
+  return Array.from(
+    values,
+    (v) => AUTO_ID_CHARS[v % AUTO_ID_CHARS.length]
+  ).join("");
+}
+
+// --- VALUES ---
+// IndexedDB drops class instances to plain objects, so Timestamps are
+// tagged on the way in and rebuilt on the way out.
+function encode(value) {
+  if (value instanceof Timestamp)
+    return { __timestamp: [value.seconds, value.nanoseconds] };
+  if (Array.isArray(value)) return value.map(encode);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, v]) => v !== undefined)
+        .map(([k, v]) => [k, encode(v)])
+    );
+  }
+  return value;
+}
+
+function decode(value) {
+  if (Array.isArray(value)) return value.map(decode);
+  if (value && typeof value === "object") {
+    if (value.__timestamp) return new Timestamp(...value.__timestamp);
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, decode(v)])
+    );
+  }
+  return value;
+}
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Timestamp);
+
+// Same as Firestore's set with { merge: true }: nested maps are merged.
+function deepMerge(target, source) {
+  const merged = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(target[key])
+        ? deepMerge(target[key], value)
+        : value;
+  });
+  return merged;
+}
+
+// Firestore's cross-type ordering, reduced to the types this app stores.
+function typeRank(value) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === "boolean") return 1;
+  if (typeof value === "number") return 2;
+  if (value instanceof Timestamp) return 3;
+  if (typeof value === "string") return 4;
+  if (Array.isArray(value)) return 5;
+  return 6;
+}
+
+function compareValues(a, b) {
+  const rankDifference = typeRank(a) - typeRank(b);
+  if (rankDifference !== 0) return rankDifference;
+  if (a instanceof Timestamp) return a.toMillis() - b.toMillis();
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const difference = compareValues(a[i], b[i]);
+      if (difference !== 0) return difference;
+    }
+    return a.length - b.length;
+  }
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+const equals = (a, b) =>
+  typeRank(a) === typeRank(b) && compareValues(a, b) === 0;
+
+// Range filters only match values of the same type, as in Firestore.
+function matchesFilter(data, { field, op, value }) {
+  const fieldValue = data[field];
+  const inRange = (test) =>
+    fieldValue !== undefined &&
+    typeRank(fieldValue) === typeRank(value) &&
+    test(compareValues(fieldValue, value));
+  switch (op) {
+    case "==":
+      return equals(fieldValue, value);
+    case "!=":
+      return fieldValue !== undefined && !equals(fieldValue, value);
+    case "<":
+      return inRange((d) => d < 0);
+    case "<=":
+      return inRange((d) => d <= 0);
+    case ">":
+      return inRange((d) => d > 0);
+    case ">=":
+      return inRange((d) => d >= 0);
+    case "in":
+      return value.some((v) => equals(fieldValue, v));
+    case "not-in":
+      return (
+        fieldValue !== undefined && !value.some((v) => equals(fieldValue, v))
+      );
+    case "array-contains":
+      return (
+        Array.isArray(fieldValue) && fieldValue.some((v) => equals(v, value))
+      );
+    case "array-contains-any":
+      return (
+        Array.isArray(fieldValue) &&
+        fieldValue.some((v) => value.some((candidate) => equals(v, candidate)))
+      );
+    default:
+      throw new Error(`Unsupported filter operator "${op}".`);
+  }
+}
+
+// Ties are broken by document id in the direction of the last ordering,
+// which is what Firestore does.
+function createComparator(orderings) {
+  const idDirection =
+    orderings.length && orderings[orderings.length - 1].direction === "desc"
+      ? -1
+      : 1;
+  return (a, b) => {
+    for (const { field, direction } of orderings) {
+      const difference = compareValues(a.data[field], b.data[field]);
+      if (difference !== 0)
+        return direction === "desc" ? -difference : difference;
+    }
+    return a.id < b.id ? -idDirection : a.id > b.id ? idDirection : 0;
+  };
+}
+
+function runQuery(entries, constraints) {
+  const filters = constraints.filter((c) => c.type === "where");
+  const orderings = constraints.filter((c) => c.type === "orderBy");
+  const cursor = constraints.find((c) => c.type === "startAfter");
+  const limitConstraint = constraints.find((c) => c.type === "limit");
+  const compare = createComparator(orderings);
+  let results = entries
+    .filter(({ data }) =>
+      filters.every((filter) => matchesFilter(data, filter))
+    )
+    // Documents missing an ordered field are left out, as in Firestore.
+    .filter(({ data }) =>
+      orderings.every(({ field }) => data[field] !== undefined)
+    )
+    .sort(compare);
+  if (cursor) {
+    const after = { id: cursor.cursor.id, data: cursor.cursor.data() };
+    results = results.filter((entry) => compare(entry, after) > 0);
+  }
+  if (limitConstraint) results = results.slice(0, limitConstraint.count);
+  return results;
+}
+
+// --- REPOSITORY ---
+export function createLocalRepository() {
+  const collectionRef = (name) => ({
+    type: "collection",
+    id: name,
+    path: name,
+  });
+  const docRef = (collection, id) => ({
+    type: "document",
+    id,
+    collection: collection.id,
+    path: `${collection.id}/${id}`,
+  });
+
+  const snapshotOf = (ref, data) => ({
+    id: ref.id,
+    ref,
+    exists: () => data !== undefined,
+    data: () => data,
+    metadata: { hasPendingWrites: false, fromCache: true },
+  });
+
+  const readDocument = async (ref) => {
+    const database = await openDatabase();
+    const record = await promisify(
+      database.transaction(STORE_NAME).objectStore(STORE_NAME).get(ref.path)
+    );
+    return record ? decode(record.data) : undefined;
+  };
+
+  const readCollection = async (name) => {
+    const database = await openDatabase();
+    const records = await promisify(
+      database
+        .transaction(STORE_NAME)
+        .objectStore(STORE_NAME)
+        .index("collection")
+        .getAll(name)
+    );
+    return records.map((record) => ({
+      id: record.id,
+      data: decode(record.data),
+    }));
+  };
+
+  const getDocs = async (source) => {
+    const { ref, constraints } = toQuery(source);
+    const entries = runQuery(await readCollection(ref.id), constraints);
+    const docs = entries.map(({ id, data }) =>
+      snapshotOf(docRef(ref, id), data)
+    );
+    return { docs, empty: docs.length === 0, size: docs.length };
+  };
+
+  // Applies queued writes in one IndexedDB transaction. Existing documents
+  // are read first so update and merge can build on them.
+  const applyWrites = async (writes) => {
+    const current = new Map();
+    for (const { ref } of writes) {
+      if (!current.has(ref.path))
+        current.set(ref.path, await readDocument(ref));
+    }
+    const refs = new Map();
+    writes.forEach(({ kind, ref, data, options }) => {
+      const existing = current.get(ref.path);
+      let next;
+      if (kind === "delete") {
+        next = undefined;
+      } else {
+        const merging = kind === "update" || (options && options.merge);
+        const resolved = resolveIncrements(
+          resolveServerTimestamps(data, Timestamp.now),
+          (by, current) => (typeof current === "number" ? current : 0) + by,
+          merging ? existing : {}
+        );
+        if (kind === "update") {
+          if (existing === undefined)
+            throw new Error(`No document to update: ${ref.path}`);
+          next = { ...existing, ...resolved };
+        } else {
+          next =
+            options && options.merge && existing
+              ? deepMerge(existing, resolved)
+              : resolved;
+        }
+      }
+      current.set(ref.path, next);
+      refs.set(ref.path, ref);
+    });
+    const database = await openDatabase();
+    const transaction = database.transaction(STORE_NAME, "readwrite");
+    const store = transaction.objectStore(STORE_NAME);
+    refs.forEach((ref) => {
+      const data = current.get(ref.path);
+      if (data === undefined) store.delete(ref.path);
+      else
+        store.put({
+          key: ref.path,
+          collection: ref.collection,
+          id: ref.id,
+          data: encode(data),
+        });
+    });
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  const createWriteQueue = () => {
+    const writes = [];
+    const queue = {
+      writes,
+      set(ref, data, options = {}) {
+        writes.push({ kind: "set", ref, data, options });
+        return queue;
+      },
+      update(ref, data) {
+        writes.push({ kind: "update", ref, data });
+        return queue;
+      },
+      delete(ref) {
+        writes.push({ kind: "delete", ref });
+        return queue;
+      },
+    };
+    return queue;
+  };
+
+  const runFileRequest = async (mode, callback) => {
+    const database = await openDatabase();
+    return promisify(
+      callback(
+        database.transaction(FILE_STORE_NAME, mode).objectStore(FILE_STORE_NAME)
+      )
+    );
+  };
+  const readFile = async (path) => {
+    const record = await runFileRequest("readonly", (store) => store.get(path));
+    if (!record) throw new Error(`No file at ${path}`);
+    return record.blob;
+  };
+
+  const commitOne = (kind, ref, data, options) =>
+    withLock(() => applyWrites([{ kind, ref, data, options }]));
+
+  return {
+    backend: "local",
+    collection: collectionRef,
+    doc: (collection, id) => docRef(collection, id ?? generateId()),
+    getDocs,
+    getDoc: async (ref) => snapshotOf(ref, await readDocument(ref)),
+    async addDoc(collection, data) {
+      const ref = docRef(collection, generateId());
+      await commitOne("set", ref, data);
+      return ref;
+    },
+    setDoc: (ref, data, options = {}) => commitOne("set", ref, data, options),
+    updateDoc: (ref, data) => commitOne("update", ref, data),
+    deleteDoc: (ref) => commitOne("delete", ref),
+    writeBatch() {
+      const queue = createWriteQueue();
+      return Object.assign(queue, {
+        commit: () => withLock(() => applyWrites(queue.writes)),
+      });
+    },
+    // Reads see committed data; the lock keeps other tabs from writing in
+    // between, which is what the Firestore transaction guards against.
+    runTransaction: (updateFunction) =>
+      withLock(async () => {
+        const queue = createWriteQueue();
+        const result = await updateFunction(
+          Object.assign(queue, {
+            get: async (ref) => snapshotOf(ref, await readDocument(ref)),
+          })
+        );
+        await applyWrites(queue.writes);
+        return result;
+      }),
+    async aggregate(source, field = "amount") {
+      const { docs } = await getDocs(source);
+      return {
+        count: docs.length,
+        total: docs.reduce((total, d) => {
+          const value = d.data()[field];
+          return typeof value === "number" ? total + value : total;
+        }, 0),
+      };
+    },
+    waitForPendingWrites: async () => {},
+    uploadFile: (path, file) =>
+      runFileRequest("readwrite", (store) =>
+        store.put({ path, blob: new Blob([file], { type: file.type }) })
+      ),
+    readFile,
+    // Callers revoke the object URL once the preview is closed.
+    getFileURL: async (path) => URL.createObjectURL(await readFile(path)),
+    deleteFile: (path) =>
+      runFileRequest("readwrite", (store) => store.delete(path)),
+  };
+}
@@ -1,24 +1,214 @@
-import { db, auth } from "./firebaseConfig.js";
-import { signInAnonymously, onAuthStateChanged } from "firebase/auth";
+import { auth } from "./firebaseConfig.js";
 import {
-  collection,
-  addDoc,
-  orderBy,
-  query,
+  signInAnonymously,
+  onAuthStateChanged,
+  EmailAuthProvider,
+  GoogleAuthProvider,
+  linkWithCredential,
+  linkWithPopup,
+  signInWithCredential,
+  createUserWithEmailAndPassword,
+  signOut,
+} from "firebase/auth";
+import {
+  Timestamp,
   serverTimestamp,
-  doc,
-  deleteDoc,
-  updateDoc,
+  query,
+  where,
+  orderBy,
   limit,
   startAfter,
-  getCountFromServer,
-  getDocs,
-  where,
-  sum,
-  getAggregateFromServer,
-  Timestamp,
-} from "firebase/firestore";
+  STORAGE_BACKENDS,
+  getStorageBackend,
+  setStorageBackend,
+} from "./repository.js";
+import { createFirestoreRepository } from "./firestoreRepository.js";
+import { createLocalRepository } from "./localRepository.js";
 import Chart from "chart.js/auto";
+import { formatCurrency, escapeHTML } from "./utils.js";
+import {
+  SUPPORTED_CURRENCIES,
+  getBaseCurrency,
+  setBaseCurrency,
+  getExchangeRates,
+  setExchangeRates,
+  getRate,
+  rebaseRates,
+  convertToBase,
+  parseRatesFile,
+} from "./currency.js";
+import {
+  FILING_STATUSES,
+  TAX_PROFILES,
+  estimateTax,
+  getEstimatedPaymentSchedule,
+} from "./tax.js";
+import {
+  FALLBACK_CATEGORY_KEY,
+  DEFAULT_CATEGORIES,
+  slugifyCategory,
+  findCategory,
+  getCategoryLabel,
+  getCategoryColor,
+  renderCategoryOptions,
+} from "./categories.js";
+import {
+  IMPORT_FIELDS,
+  detectFormat,
+  parseCSV,
+  guessColumnMapping,
+  mapCSVRows,
+  parseOFX,
+  parseQIF,
+  validateRecord,
+  normalizeCategory,
+  flagDuplicates,
+  getDateBounds,
+} from "./importer.js";
+import {
+  EXPORT_FORMATS,
+  buildExportRows,
+  toCSV,
+  toJSON,
+  toQIF,
+  downloadFile,
+} from "./exporter.js";
+import {
+  MAX_OCCURRENCES_PER_RUN,
+  getDueOccurrences,
+  getOccurrenceId,
+  describeSchedule,
+} from "./recurring.js";
+import {
+  OUTSTANDING_STATUSES,
+  calculateLineTotal,
+  calculateInvoiceTotals,
+  isOverdue,
+  getNextInvoiceNumber,
+  renderInvoiceHTML,
+} from "./invoices.js";
+import {
+  BUDGET_PERIODS,
+  getBudgetPeriodRange,
+  getBudgetLevel,
+  getCrossedThreshold,
+  prorateBudget,
+} from "./budgets.js";
+import {
+  SEARCH_INDEX_VERSION,
+  MAX_SEARCH_CATEGORIES,
+  buildSearchTokens,
+  getSearchToken,
+  isSearchEmpty,
+  describeSearch,
+} from "./search.js";
+import {
+  USER_COLLECTIONS,
+  TRANSACTION_SUBCOLLECTIONS,
+  getAuthErrorMessage,
+  describeAccount,
+  planMerge,
+} from "./account.js";
+import {
+  isImageAttachment,
+  validateAttachment,
+  createAttachment,
+  getAttachments,
+  isMissingReceipt,
+  formatFileSize,
+} from "./attachments.js";
+import {
+  getElapsedMs,
+  msToHours,
+  getEntryHours,
+  getEntryAmount,
+  summarizeEntries,
+  formatTimer,
+  formatHours,
+  groupEntriesByClient,
+  describeBilledEntries,
+  getEffectiveHourlyRate,
+} from "./timeTracking.js";
+import {
+  NO_CLIENT_LABEL,
+  getClientProjects,
+  addProjectName,
+  getClientLabel,
+  buildClientProfitability,
+} from "./clients.js";
+import {
+  getMonthKey,
+  getMonthStart,
+  getForecastWindow,
+  getMonthlyTotals,
+  buildForecast,
+} from "./forecast.js";
+import {
+  getComparisonRanges,
+  getExpenseBreakdown,
+  getPercentChange,
+} from "./reports.js";
+import {
+  createAIProvider,
+  buildSummaryFacts,
+  buildSummaryPrompt,
+  hashFacts,
+  generateText,
+} from "./aiSummary.js";
+import {
+  SCHEDULE_C_LINES,
+  PROFIT_LOSS_NOTES,
+  getScheduleCLine,
+  buildProfitAndLoss,
+  getProfitLossRows,
+  renderProfitLossHTML,
+} from "./profitLoss.js";
+import { createReportPDF } from "./pdf.js";
+import {
+  CATEGORY_MODEL_VERSION,
+  SUGGESTION_CONFIDENCE,
+  createCategoryModel,
+  learnCategory,
+  renameModelCategory,
+  buildCategoryModel,
+  suggestCategory,
+  buildCategorizePrompt,
+  readCategorizeResponse,
+} from "./categorizer.js";
+import {
+  TRASH_RETENTION_DAYS,
+  diffTransaction,
+  revertChanges,
+  getTrashDaysLeft,
+  describeHistoryEntry,
+} from "./history.js";
+import {
+  ROLLUP_VERSION,
+  addRollupDelta,
+  getRollupWrites,
+  buildRollups,
+  affectsRollups,
+  summarizeRollups,
+  getRollupEntries,
+  getClientRollupEntries,
+  getRollupTotals,
+} from "./rollups.js";
+import {
+  DASHBOARD_PERIODS,
+  DEFAULT_DASHBOARD_PERIOD,
+  getDashboardRange,
+} from "./dashboardPeriods.js";
+import {
+  daysBetween,
+  getDateStringDaysAgo,
+  getTodayDateString,
+  shiftDays,
+} from "./dates.js";
+import {
+  parseQuickEntries,
+  buildQuickEntryPrompt,
+  readQuickEntryResponse,
+} from "./quickEntry.js";
 
 // --- DOM ELEMENTS ---
 const transactionList = document.getElementById("transaction-list");
@@ -29,10 +219,71 @@ const taxSavedAmountEl = document.getElementById("tax-saved-amount");
 const profitProgressBar = document.getElementById("profit-bar");
 const lossProgressBar = document.getElementById("loss-bar");
 const profitMarginText = document.getElementById("profit-margin-text");
+const dashboardPeriodSelect = document.getElementById("dashboard-period");
+const dashboardPeriodRangeEl = document.getElementById(
+  "dashboard-period-range"
+);
+const dashboardCustomRangeEl = document.getElementById(
+  "dashboard-custom-range"
+);
+const dashboardStartDateInput = document.getElementById("dashboard-start-date");
+const dashboardEndDateInput = document.getElementById("dashboard-end-date");
+const fiscalYearStartSelect = document.getElementById("fiscal-year-start");
+const totalIncomeChangeEl = document.getElementById("total-income-change");
+const totalExpensesChangeEl = document.getElementById("total-expenses-change");
+const netProfitChangeEl = document.getElementById("net-profit-change");
+const receivablesChangeEl = document.getElementById(
+  "outstanding-receivables-change"
+);
+const availableBalanceChangeEl = document.getElementById(
+  "available-balance-change"
+);
+const taxSavedChangeEl = document.getElementById("tax-saved-amount-change");
+const savingsChangeEl = document.getElementById(
+  "savings-recommended-amount-change"
+);
+const profitMarginChangeEl = document.getElementById("profit-margin-change");
+const hourlyRateChangeEl = document.getElementById(
+  "effective-hourly-rate-change"
+);
 const prevPageBtn = document.getElementById("prev-page-btn");
 const nextPageBtn = document.getElementById("next-page-btn");
 const pageInfoEl = document.getElementById("page-info");
 const transactionForm = document.getElementById("transaction-form");
+const bulkBar = document.getElementById("bulk-bar");
+const selectPageInput = document.getElementById("select-page");
+const bulkSelectionEl = document.getElementById("bulk-selection");
+const selectMatchingBtn = document.getElementById("select-matching-btn");
+const bulkActionsEl = document.getElementById("bulk-actions");
+const bulkActionSelect = document.getElementById("bulk-action");
+const bulkCategoryDropdown = document.getElementById("bulk-category");
+const bulkTypeDropdown = document.getElementById("bulk-type");
+const bulkShiftDaysInput = document.getElementById("bulk-shift-days");
+const bulkClientDropdown = document.getElementById("bulk-client");
+const bulkApplyBtn = document.getElementById("bulk-apply-btn");
+const bulkClearBtn = document.getElementById("bulk-clear-btn");
+const trashBtn = document.getElementById("trash-btn");
+const trashModal = document.getElementById("trash-modal");
+const closeTrashModalBtn = document.getElementById("close-trash-modal-btn");
+const trashSummaryEl = document.getElementById("trash-summary");
+const trashBody = document.getElementById("trash-body");
+const emptyTrashBtn = document.getElementById("empty-trash-btn");
+const editHistoryEl = document.getElementById("edit-history");
+const editHistoryList = document.getElementById("edit-history-list");
+const reviewBtn = document.getElementById("review-btn");
+const reviewModal = document.getElementById("review-modal");
+const closeReviewModalBtn = document.getElementById("close-review-modal-btn");
+const reviewSummaryEl = document.getElementById("review-summary");
+const reviewBody = document.getElementById("review-body");
+const reviewSelectAllInput = document.getElementById("review-select-all");
+const acceptReviewBtn = document.getElementById("accept-review-btn");
+const quickEntryForm = document.getElementById("quick-entry-form");
+const quickEntryInput = document.getElementById("quick-entry-input");
+const quickEntryPreview = document.getElementById("quick-entry-preview");
+const quickEntrySummaryEl = document.getElementById("quick-entry-summary");
+const quickEntryBody = document.getElementById("quick-entry-body");
+const quickEntryAddBtn = document.getElementById("quick-entry-add-btn");
+const quickEntryCancelBtn = document.getElementById("quick-entry-cancel-btn");
 const typeDropdown = document.getElementById("type");
 const categoryDropdown = document.getElementById("category");
 const mainFilters = document.getElementById("main-filters");
@@ -57,6 +308,193 @@ const customDateRangeEl = document.getElementById("custom-date-range");
 const startDateInput = document.getElementById("start-date");
 const endDateInput = document.getElementById("end-date");
 const aiSummaryContent = document.getElementById("ai-summary-content");
+const importBtn = document.getElementById("import-btn");
+const importModal = document.getElementById("import-modal");
+const closeImportModalBtn = document.getElementById("close-import-modal-btn");
+const cancelImportBtn = document.getElementById("cancel-import-btn");
+const importFileInput = document.getElementById("import-file");
+const importMappingEl = document.getElementById("import-mapping");
+const importMappingFieldsEl = document.getElementById("import-mapping-fields");
+const importHasHeaderInput = document.getElementById("import-has-header");
+const importDateFormatSelect = document.getElementById("import-date-format");
+const importSignConventionSelect = document.getElementById(
+  "import-sign-convention"
+);
+const importPreviewEl = document.getElementById("import-preview");
+const importPreviewSummaryEl = document.getElementById(
+  "import-preview-summary"
+);
+const importPreviewBody = document.getElementById("import-preview-body");
+const importSelectAllInput = document.getElementById("import-select-all");
+const confirmImportBtn = document.getElementById("confirm-import-btn");
+const importHistoryList = document.getElementById("import-history-list");
+const exportFormatSelect = document.getElementById("export-format");
+const exportBtn = document.getElementById("export-btn");
+const profitLossPeriodSelect = document.getElementById("pnl-period");
+const profitLossViewBtn = document.getElementById("pnl-view-btn");
+const profitLossPdfBtn = document.getElementById("pnl-pdf-btn");
+const exportFilterNoteEl = document.getElementById("export-filter-note");
+const repeatDropdown = document.getElementById("repeat");
+const repeatEndDropdown = document.getElementById("repeat-end");
+const repeatEndDateInput = document.getElementById("repeat-end-date");
+const repeatCountInput = document.getElementById("repeat-count");
+const editRecurringGroup = document.getElementById("edit-recurring-group");
+const editRecurringInfoEl = document.getElementById("edit-recurring-info");
+const stopRecurringBtn = document.getElementById("stop-recurring-btn");
+const outstandingReceivablesEl = document.getElementById(
+  "outstanding-receivables"
+);
+const invoicesBtn = document.getElementById("invoices-btn");
+const invoicesModal = document.getElementById("invoices-modal");
+const closeInvoicesModalBtn = document.getElementById(
+  "close-invoices-modal-btn"
+);
+const invoiceListView = document.getElementById("invoice-list-view");
+const invoiceStatusFilter = document.getElementById("invoice-status-filter");
+const newInvoiceBtn = document.getElementById("new-invoice-btn");
+const invoiceList = document.getElementById("invoice-list");
+const invoiceForm = document.getElementById("invoice-form");
+const invoiceClientDropdown = document.getElementById("invoice-client");
+const newClientFields = document.getElementById("new-client-fields");
+const lineItemsBody = document.getElementById("line-items-body");
+const addLineItemBtn = document.getElementById("add-line-item-btn");
+const invoiceTotalsEl = document.getElementById("invoice-totals");
+const cancelInvoiceBtn = document.getElementById("cancel-invoice-btn");
+const currencyDropdown = document.getElementById("currency");
+const exchangeRateInput = document.getElementById("exchange-rate");
+const editCurrencyDropdown = document.getElementById("edit-currency");
+const editExchangeRateGroup = document.getElementById(
+  "edit-exchange-rate-group"
+);
+const editExchangeRateInput = document.getElementById("edit-exchange-rate");
+const invoiceCurrencyDropdown = document.getElementById("invoice-currency");
+const currencyBtn = document.getElementById("currency-btn");
+const currencyModal = document.getElementById("currency-modal");
+const closeCurrencyModalBtn = document.getElementById(
+  "close-currency-modal-btn"
+);
+const baseCurrencyDropdown = document.getElementById("base-currency");
+const ratesBaseLabel = document.getElementById("rates-base-label");
+const ratesList = document.getElementById("rates-list");
+const newRateCurrencyDropdown = document.getElementById("new-rate-currency");
+const newRateValueInput = document.getElementById("new-rate-value");
+const addRateBtn = document.getElementById("add-rate-btn");
+const ratesFileInput = document.getElementById("rates-file");
+const taxJarPeriodEl = document.getElementById("tax-jar-period");
+const taxJarDetailEl = document.getElementById("tax-jar-detail");
+const taxPlanBtn = document.getElementById("tax-plan-btn");
+const taxModal = document.getElementById("tax-modal");
+const closeTaxModalBtn = document.getElementById("close-tax-modal-btn");
+const taxModalYearEl = document.getElementById("tax-modal-year");
+const taxProfileDropdown = document.getElementById("tax-profile");
+const filingStatusGroup = document.getElementById("filing-status-group");
+const filingStatusDropdown = document.getElementById("filing-status");
+const flatTaxRateGroup = document.getElementById("flat-tax-rate-group");
+const flatTaxRateInput = document.getElementById("flat-tax-rate");
+const taxBreakdownList = document.getElementById("tax-breakdown");
+const taxScheduleBody = document.getElementById("tax-schedule-body");
+const taxPaymentForm = document.getElementById("tax-payment-form");
+const taxPaymentsList = document.getElementById("tax-payments-list");
+const editCategoryDropdown = document.getElementById("edit-category");
+const categoriesBtn = document.getElementById("categories-btn");
+const categoriesModal = document.getElementById("categories-modal");
+const closeCategoriesModalBtn = document.getElementById(
+  "close-categories-modal-btn"
+);
+const showArchivedCategoriesInput = document.getElementById(
+  "show-archived-categories"
+);
+const categoryManagerList = document.getElementById("category-manager-list");
+const categoryForm = document.getElementById("category-form");
+const budgetsBtn = document.getElementById("budgets-btn");
+const budgetsModal = document.getElementById("budgets-modal");
+const closeBudgetsModalBtn = document.getElementById("close-budgets-modal-btn");
+const budgetList = document.getElementById("budget-list");
+const budgetForm = document.getElementById("budget-form");
+const budgetCategoryDropdown = document.getElementById("budget-category");
+const budgetReportContainer = document.getElementById(
+  "budget-report-container"
+);
+const budgetReportList = document.getElementById("budget-report-list");
+const toastEl = document.getElementById("toast");
+const toastMessageEl = document.getElementById("toast-message");
+const toastActionBtn = document.getElementById("toast-action");
+const toastCloseBtn = document.getElementById("toast-close");
+const searchToggleBtn = document.getElementById("search-toggle-btn");
+const searchPanel = document.getElementById("search-panel");
+const searchForm = document.getElementById("search-form");
+const searchCategoriesDropdown = document.getElementById("search-categories");
+const clearSearchBtn = document.getElementById("clear-search-btn");
+const filteredTotalsEl = document.getElementById("filtered-totals");
+const syncStatusEl = document.getElementById("sync-status");
+const accountStatusEl = document.getElementById("account-status");
+const accountBtn = document.getElementById("account-btn");
+const signOutBtn = document.getElementById("sign-out-btn");
+const accountModal = document.getElementById("account-modal");
+const closeAccountModalBtn = document.getElementById("close-account-modal-btn");
+const accountForm = document.getElementById("account-form");
+const accountErrorEl = document.getElementById("account-error");
+const googleSignInBtn = document.getElementById("google-sign-in-btn");
+const storageBtn = document.getElementById("storage-btn");
+const storageModal = document.getElementById("storage-modal");
+const closeStorageModalBtn = document.getElementById("close-storage-modal-btn");
+const storageCurrentEl = document.getElementById("storage-current");
+const storageForm = document.getElementById("storage-form");
+const rebuildRollupsBtn = document.getElementById("rebuild-rollups-btn");
+const attachmentsInput = document.getElementById("attachments");
+const editAttachmentList = document.getElementById("edit-attachment-list");
+const editAttachmentsInput = document.getElementById("edit-attachments");
+const attachmentModal = document.getElementById("attachment-modal");
+const closeAttachmentModalBtn = document.getElementById(
+  "close-attachment-modal-btn"
+);
+const attachmentModalTitle = document.getElementById("attachment-modal-title");
+const attachmentPreviewEl = document.getElementById("attachment-preview");
+const missingReceiptsContainer = document.getElementById(
+  "missing-receipts-container"
+);
+const missingReceiptsSummaryEl = document.getElementById(
+  "missing-receipts-summary"
+);
+const missingReceiptsList = document.getElementById("missing-receipts-list");
+const timeBtn = document.getElementById("time-btn");
+const timerIndicatorEl = document.getElementById("timer-indicator");
+const timeModal = document.getElementById("time-modal");
+const closeTimeModalBtn = document.getElementById("close-time-modal-btn");
+const timerForm = document.getElementById("timer-form");
+const timerDisplayEl = document.getElementById("timer-display");
+const timerToggleBtn = document.getElementById("timer-toggle-btn");
+const timeEntryForm = document.getElementById("time-entry-form");
+const unbilledSummaryEl = document.getElementById("unbilled-summary");
+const unbilledList = document.getElementById("unbilled-list");
+const convertTimeBtn = document.getElementById("convert-time-btn");
+const hourlyRateCard = document.getElementById("hourly-rate-card");
+const effectiveHourlyRateEl = document.getElementById("effective-hourly-rate");
+const effectiveHourlyRateDetailEl = document.getElementById(
+  "effective-hourly-rate-detail"
+);
+const clientDropdown = document.getElementById("client");
+const projectDropdown = document.getElementById("project");
+const editClientDropdown = document.getElementById("edit-client");
+const editProjectGroup = document.getElementById("edit-project-group");
+const editProjectDropdown = document.getElementById("edit-project");
+const clientFilterDropdown = document.getElementById("client-filter");
+const clientReportContainer = document.getElementById(
+  "client-report-container"
+);
+const clientReportBody = document.getElementById("client-report-body");
+const forecastHorizonSelect = document.getElementById("forecast-horizon");
+const forecastWarningEl = document.getElementById("forecast-warning");
+const forecastNoteEl = document.getElementById("forecast-note");
+const reportViewSelect = document.getElementById("report-view");
+const comparisonContainer = document.getElementById("comparison-container");
+const comparisonBody = document.getElementById("comparison-body");
+const comparisonPreviousHeading = document.getElementById(
+  "comparison-previous-heading"
+);
+const comparisonLastYearHeading = document.getElementById(
+  "comparison-last-year-heading"
+);
 
 // --- CONSTANTS AND STATE ---
 const TAX_RATE = 0.25;
@@ -67,34 +505,138 @@ let currentPage = 1;
 let totalPages = 1;
 let isFetching = false;
 let pageCursors = [null];
+let matchingCount = 0;
+// Ticked transaction ids, kept across pages. `selectAllMatching` stands for
+// every transaction matching the current filter and search instead.
+let selectedIds = new Set();
+let selectAllMatching = false;
 let currentFilter = { type: "all" };
+let currentSearch = null;
 let transactionsChart = null;
-const GEMINI_API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
+const WRITE_BATCH_SIZE = 400;
+// Transactions per batch when each also writes a history entry, a trash
+// copy and its month's rollup, which keeps the batch under Firestore's 500
+// writes.
+const HISTORY_BATCH_SIZE = Math.floor(WRITE_BATCH_SIZE / 4);
+// settings/{ROLLUP_STATUS_ID} records which ROLLUP_VERSION the rollups were
+// last rebuilt for.
+const ROLLUP_STATUS_ID = "rollups";
+// Descriptions per AI categorization request.
+const AI_CATEGORIZE_BATCH_SIZE = 50;
+const LOCAL_USER_ID = "local";
+let importState = null;
+let clients = [];
+let invoices = [];
+const INVOICE_PAYMENT_TERMS_DAYS = 30;
+let taxSettings = {
+  profile: "us-federal",
+  filingStatus: "single",
+  flatRate: TAX_RATE,
+};
+let taxSummary = null;
+let categories = [];
+let budgets = [];
+let toastTimer = null;
+let pendingWriteCount = 0;
+let activeUserId = null;
+let isSwitchingAccount = false;
+let attachmentPreviewUrls = [];
+let missingReceipts = [];
+let missingReceiptsRange = null; // { startDateStr, endDateStr }
+let editAttachments = [];
+let timeEntries = [];
+let runningTimer = null;
+let timerInterval = null;
+// The balance as of today that the forecast starts from, whatever period
+// the dashboard shows.
+let safeToSpend = 0;
+// The dashboard period: { period, startDate, endDate }, the dates only used
+// for a custom range.
+let dashboardSelection = {
+  period: DEFAULT_DASHBOARD_PERIOD,
+  startDate: "",
+  endDate: "",
+};
+// The month (1-12) the fiscal year starts in.
+let fiscalYearStart = 1;
+// A base currency change that stopped part-way: { from, to }, or null.
+let currencyMigration = null;
+let summaryController = null;
+let quickEntries = [];
+let categoryModel = createCategoryModel();
+// Set once the user picks a category on the add form themselves, so a
+// suggestion never overrides it.
+let categoryPicked = false;
+let reviewItems = [];
+let trashDocs = [];
+// The monthly rollups, as last read for the dashboard.
+let rollups = [];
+const aiProvider = createAIProvider(import.meta.env);
 
 // --- HELPER FUNCTIONS ---
-function formatCurrency(number) {
-  if (typeof number !== "number") {
-    number = 0;
-  }
-  return number.toLocaleString("en-US", {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2,
-  });
-}
 function createTimezoneSafeDate(dateString) {
   return new Date(dateString + "T12:00:00Z");
 }
-function getTodayDateString() {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, "0");
-  const day = String(today.getDate()).padStart(2, "0");
-  return `${year}-${month}-${day}`;
+// Whole UTC days, the same days the monthly rollups are kept by.
+function getDateRangeConstraints(startDateStr, endDateStr, field = "date") {
+  return [
+    where(
+      field,
+      ">=",
+      Timestamp.fromDate(new Date(`${startDateStr}T00:00:00Z`))
+    ),
+    where(field, "<=", Timestamp.fromDate(new Date(`${endDateStr}T23:59:59Z`))),
+  ];
+}
+function populateCurrencyOptions(select, selected = getBaseCurrency()) {
+  select.innerHTML = SUPPORTED_CURRENCIES.map(
+    (code) =>
+      `<option value="${code}" ${
+        code === selected ? "selected" : ""
+      }>${code}</option>`
+  ).join("");
+}
+// Shows the rate input only for foreign currencies, prefilled from the table.
+function syncExchangeRateInput(currency, rateInput, rateContainer = rateInput) {
+  const isForeign = currency !== getBaseCurrency();
+  rateContainer.classList.toggle("hidden", !isForeign);
+  rateInput.required = isForeign;
+  rateInput.value = isForeign ? getRate(currency) || "" : "";
+}
+function chunkArray(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+// Shows a short message at the bottom of the screen. `onAction` adds a
+// button (e.g. "Undo") that runs once and closes the toast.
+function showToast(
+  message,
+  { variant = "", actionLabel = "", onAction = null, duration = 6000 } = {}
+) {
+  clearTimeout(toastTimer);
+  toastMessageEl.textContent = message;
+  toastEl.className = `toast ${variant}`.trim();
+  toastActionBtn.textContent = actionLabel;
+  toastActionBtn.classList.toggle("hidden", !onAction);
+  toastActionBtn.onclick = onAction
+    ? () => {
+        hideToast();
+        onAction();
+      }
+    : null;
+  toastTimer = setTimeout(hideToast, duration);
+}
+function hideToast() {
+  clearTimeout(toastTimer);
+  toastEl.classList.add("hidden");
 }
-function getDateStringDaysAgo(days) {
-  const date = new Date();
-  date.setDate(date.getDate() - days);
-  return date.toISOString().split("T")[0];
+function createRepository(backend, uid) {
+  return backend === "local"
+    ? createLocalRepository()
+    : createFirestoreRepository(uid);
 }
 function getStartOfWeek(date) {
   const d = new Date(date.getTime());
@@ -116,79 +658,616 @@ function getStartOfYear(date) {
   return new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
 }
 
-// --- AUTHENTICATION FLOW ---
-onAuthStateChanged(auth, (user) => {
-  if (user) {
-    initializeApp(user);
+// --- OFFLINE SUPPORT ---
+if ("serviceWorker" in navigator && import.meta.env.PROD) {
+  navigator.serviceWorker
+    .register(`${import.meta.env.BASE_URL}sw.js`)
+    .catch((e) => console.error("Error registering service worker:", e));
+}
+
+function updateSyncStatus() {
+  if (getStorageBackend() === "local") {
+    syncStatusEl.classList.add("hidden");
+    return;
+  }
+  const offline = !navigator.onLine;
+  const changes = `${pendingWriteCount} change${
+    pendingWriteCount === 1 ? "" : "s"
+  }`;
+  syncStatusEl.classList.toggle("hidden", !offline && pendingWriteCount === 0);
+  syncStatusEl.classList.toggle("offline", offline);
+  if (offline) {
+    syncStatusEl.textContent = `Offline${
+      pendingWriteCount ? ` · ${changes} waiting to sync` : ""
+    } · Totals are from data on this device.`;
   } else {
-    signInAnonymously(auth).catch((error) =>
-      console.error("Anonymous sign-in failed:", error)
+    syncStatusEl.textContent = `Syncing ${changes}...`;
+  }
+}
+
+// Firestore write promises resolve only once the server has the change,
+// which never happens offline. The change is already in the local cache by
+// then, so offline callers carry on and the write stays queued. Writes to
+// the on-device backend always settle straight away.
+function commitWrite(write) {
+  pendingWriteCount++;
+  updateSyncStatus();
+  const settled = write.finally(() => {
+    pendingWriteCount--;
+    updateSyncStatus();
+  });
+  if (navigator.onLine || getStorageBackend() === "local") return settled;
+  settled.catch((e) => console.error("Error syncing queued change:", e));
+  return Promise.resolve();
+}
+
+// --- ACCOUNTS ---
+function renderAccountStatus(user) {
+  const isGuest = !user || user.isAnonymous;
+  accountStatusEl.textContent = describeAccount(user);
+  accountBtn.classList.toggle("hidden", !isGuest);
+  signOutBtn.classList.toggle("hidden", isGuest);
+}
+
+function openAccountModal() {
+  accountForm.reset();
+  accountErrorEl.classList.add("hidden");
+  accountModal.classList.remove("hidden");
+}
+function closeAccountModal() {
+  accountModal.classList.add("hidden");
+}
+
+function showAccountError(error) {
+  console.error("Error signing in:", error);
+  accountErrorEl.textContent = getAuthErrorMessage(error);
+  accountErrorEl.classList.remove("hidden");
+}
+
+// Transactions' own collections (e.g. history), as { name } entries like
+// USER_COLLECTIONS with the full path for a name.
+function getNestedCollections(data) {
+  return [...data.transactions, ...data.trash].flatMap(({ id }) =>
+    TRANSACTION_SUBCOLLECTIONS.map((name) => ({
+      name: `transactions/${id}/${name}`,
+    }))
+  );
+}
+
+async function readUserData(repo) {
+  const data = {};
+  const readCollection = async (name) => {
+    const snapshot = await repo.getDocs(repo.collection(name));
+    data[name] = snapshot.docs.map((d) => ({ id: d.id, data: d.data() }));
+  };
+  for (const { name } of USER_COLLECTIONS) await readCollection(name);
+  for (const { name } of getNestedCollections(data)) await readCollection(name);
+  return data;
+}
+
+// Attached files aren't documents, so moving data copies them separately.
+// Their paths are relative to the user, which keeps the copies' paths valid.
+async function readAttachmentFiles(repo, transactionDocs) {
+  const files = [];
+  for (const { data } of transactionDocs) {
+    for (const attachment of getAttachments(data)) {
+      try {
+        files.push({
+          path: attachment.path,
+          blob: await repo.readFile(attachment.path),
+        });
+      } catch (e) {
+        console.error("Error reading attachment:", e);
+      }
+    }
+  }
+  return files;
+}
+async function writeAttachmentFiles(repo, files) {
+  for (const { path, blob } of files) {
+    await repo.uploadFile(path, blob);
+  }
+}
+
+// Copies the documents the target doesn't already have. Ids are kept so
+// recurring occurrences and category keys still line up. Derived
+// collections aren't copied; the target rebuilds them on its next start.
+async function mergeUserData(repo, sourceData) {
+  const writes = [];
+  for (const { name, identity, derived } of [
+    ...USER_COLLECTIONS,
+    ...getNestedCollections(sourceData),
+  ]) {
+    if (derived) continue;
+    const collectionRef = repo.collection(name);
+    const snapshot = await repo.getDocs(collectionRef);
+    const targetDocs = snapshot.docs.map((d) => ({ id: d.id, data: d.data() }));
+    planMerge(sourceData[name], targetDocs, identity).forEach((d) =>
+      writes.push([repo.doc(collectionRef, d.id), d.data])
+    );
+  }
+  for (const chunk of chunkArray(writes, WRITE_BATCH_SIZE)) {
+    const batch = repo.writeBatch();
+    chunk.forEach(([ref, data]) => batch.set(ref, data));
+    await batch.commit();
+  }
+  await repo.deleteDoc(repo.doc(repo.collection("settings"), ROLLUP_STATUS_ID));
+  return writes.length;
+}
+
+// Only the documents; their attached files go afterwards.
+async function deleteUserData(repo, data) {
+  const refs = [...USER_COLLECTIONS, ...getNestedCollections(data)].flatMap(
+    ({ name }) => data[name].map((d) => repo.doc(repo.collection(name), d.id))
+  );
+  for (const chunk of chunkArray(refs, WRITE_BATCH_SIZE)) {
+    const batch = repo.writeBatch();
+    chunk.forEach((ref) => batch.delete(ref));
+    await batch.commit();
+  }
+}
+
+// Linking keeps the guest's uid, so users/{uid}/... carries over as is.
+async function createAccount(email, password) {
+  const user = auth.currentUser;
+  if (user && user.isAnonymous) {
+    await linkWithCredential(
+      user,
+      EmailAuthProvider.credential(email, password)
     );
+    renderAccountStatus(auth.currentUser);
+  } else {
+    await createUserWithEmailAndPassword(auth, email, password);
+  }
+  closeAccountModal();
+}
+
+// Signing in to an account that already exists changes the uid. Security
+// rules stop one user reading another's data, so the guest's documents are
+// read before switching and offered for merging afterwards.
+async function switchToExistingAccount(credential) {
+  const guest = auth.currentUser;
+  let guestData = null;
+  let guestFiles = [];
+  if (guest && guest.isAnonymous) {
+    try {
+      const guestRepo = createFirestoreRepository(guest.uid);
+      guestData = await readUserData(guestRepo);
+      guestFiles = await readAttachmentFiles(guestRepo, [
+        ...guestData.transactions,
+        ...guestData.trash,
+      ]);
+    } catch (e) {
+      console.error("Error reading guest data:", e);
+    }
+  }
+  isSwitchingAccount = true;
+  let user;
+  try {
+    ({ user } = await signInWithCredential(auth, credential));
+  } catch (e) {
+    isSwitchingAccount = false;
+    throw e;
+  }
+  const guestTransactions = guestData ? guestData.transactions.length : 0;
+  if (guestTransactions > 0) {
+    const accountRepo = createFirestoreRepository(user.uid);
+    try {
+      const guestPreferences = guestData.settings.find(
+        (d) => d.id === "preferences"
+      );
+      const accountPreferences = await accountRepo.getDoc(
+        accountRepo.doc(accountRepo.collection("settings"), "preferences")
+      );
+      const guestBase = guestPreferences && guestPreferences.data.baseCurrency;
+      const accountBase =
+        accountPreferences.exists() && accountPreferences.data().baseCurrency;
+      const currencyWarning =
+        guestBase && accountBase && guestBase !== accountBase
+          ? `\n\nThis browser's amounts are in ${guestBase} and your account uses ${accountBase}. They will be copied without conversion.`
+          : "";
+      if (
+        confirm(
+          `Copy the ${guestTransactions} transactions from this browser into ${describeAccount(
+            user
+          )}? Otherwise they stay with the guest account and can't be opened again.${currencyWarning}`
+        )
+      ) {
+        await mergeUserData(accountRepo, guestData);
+        await writeAttachmentFiles(accountRepo, guestFiles);
+      }
+    } catch (e) {
+      console.error("Error merging guest data:", e);
+      alert("Some of the guest data could not be copied into your account.");
+    }
+  }
+  window.location.reload();
+}
+
+async function signInWithEmail(email, password) {
+  await switchToExistingAccount(EmailAuthProvider.credential(email, password));
+}
+
+async function continueWithGoogle() {
+  const provider = new GoogleAuthProvider();
+  try {
+    await linkWithPopup(auth.currentUser, provider);
+    renderAccountStatus(auth.currentUser);
+    closeAccountModal();
+  } catch (e) {
+    if (e.code !== "auth/credential-already-in-use") throw e;
+    await switchToExistingAccount(GoogleAuthProvider.credentialFromError(e));
+  }
+}
+
+async function signOutOfAccount() {
+  if (
+    !confirm(
+      "Sign out? You'll continue as a new guest until you sign in again."
+    )
+  )
+    return;
+  try {
+    await signOut(auth);
+  } catch (e) {
+    console.error("Error signing out:", e);
   }
-});
+}
+
+// --- AUTHENTICATION FLOW ---
+// initializeApp binds its collections and listeners to one uid, so a change
+// of user (sign-out, or signing in to another account) reloads the page.
+// The on-device backend needs no account at all.
+if (getStorageBackend() === "local") {
+  accountStatusEl.textContent = STORAGE_BACKENDS.local;
+  accountBtn.classList.add("hidden");
+  initializeApp({ uid: LOCAL_USER_ID, isAnonymous: true });
+} else {
+  onAuthStateChanged(auth, (user) => {
+    if (!user) {
+      signInAnonymously(auth).catch((error) =>
+        console.error("Anonymous sign-in failed:", error)
+      );
+      return;
+    }
+    renderAccountStatus(user);
+    if (activeUserId === null) {
+      activeUserId = user.uid;
+      initializeApp(user);
+    } else if (user.uid !== activeUserId && !isSwitchingAccount) {
+      window.location.reload();
+    }
+  });
+}
 
 // --- CORE APPLICATION LOGIC ---
 async function initializeApp(user) {
   const userId = user.uid;
-  const transactionsCollection = collection(
-    db,
-    "users",
-    userId,
-    "transactions"
+  const repo = createRepository(getStorageBackend(), userId);
+  const transactionsCollection = repo.collection("transactions");
+  const trashCollection = repo.collection("trash");
+  const getHistoryCollection = (transactionId) =>
+    repo.collection(`transactions/${transactionId}/history`);
+  const importsCollection = repo.collection("imports");
+  const recurringCollection = repo.collection("recurring");
+  const clientsCollection = repo.collection("clients");
+  const invoicesCollection = repo.collection("invoices");
+  const preferencesRef = repo.doc(repo.collection("settings"), "preferences");
+  const categoryModelRef = repo.doc(
+    repo.collection("settings"),
+    "categoryModel"
+  );
+  const categoriesCollection = repo.collection("categories");
+  const taxPaymentsCollection = repo.collection("taxPayments");
+  const budgetsCollection = repo.collection("budgets");
+  const timeEntriesCollection = repo.collection("timeEntries");
+  const aiSummariesCollection = repo.collection("aiSummaries");
+  const rollupsCollection = repo.collection("rollups");
+  const rollupStatusRef = repo.doc(
+    repo.collection("settings"),
+    ROLLUP_STATUS_ID
   );
 
   // --- QUERY BUILDER ---
-  const buildQuery = (isAggregation = false) => {
+  const buildFilterConstraints = () => {
     let constraints = [];
     if (currentFilter.type === "income") {
       constraints.push(where("type", "==", "income"));
     } else if (currentFilter.type === "expense") {
       constraints.push(where("type", "==", "expense"));
-      if (currentFilter.category && currentFilter.category !== "all") {
+      if (
+        currentFilter.category &&
+        currentFilter.category !== "all" &&
+        !(currentSearch && currentSearch.categories.length)
+      ) {
         constraints.push(where("category", "==", currentFilter.category));
       }
     }
+    if (currentFilter.clientId)
+      constraints.push(where("clientId", "==", currentFilter.clientId));
+    if (currentSearch) {
+      const { token, minAmount, maxAmount, startDate, endDate } = currentSearch;
+      if (token)
+        constraints.push(where("searchTokens", "array-contains", token));
+      if (currentSearch.categories.length)
+        constraints.push(where("category", "in", currentSearch.categories));
+      if (minAmount !== null)
+        constraints.push(where("amount", ">=", minAmount));
+      if (maxAmount !== null)
+        constraints.push(where("amount", "<=", maxAmount));
+      if (startDate)
+        constraints.push(
+          where(
+            "date",
+            ">=",
+            Timestamp.fromDate(createTimezoneSafeDate(startDate))
+          )
+        );
+      if (endDate)
+        constraints.push(
+          where(
+            "date",
+            "<=",
+            Timestamp.fromDate(new Date(endDate + "T23:59:59Z"))
+          )
+        );
+    }
+    return constraints;
+  };
+  const buildQuery = (isAggregation = false) => {
+    let constraints = buildFilterConstraints();
     if (!isAggregation) {
       constraints.push(orderBy("date", "desc"), orderBy("createdAt", "desc"));
     }
     return query(transactionsCollection, ...constraints);
   };
 
+  // --- DASHBOARD PERIOD ---
+  const renderDashboardControls = () => {
+    dashboardPeriodSelect.innerHTML = Object.entries(DASHBOARD_PERIODS)
+      .map(([id, label]) => `<option value="${id}">${label}</option>`)
+      .join("");
+    dashboardPeriodSelect.value = dashboardSelection.period;
+    dashboardStartDateInput.value = dashboardSelection.startDate;
+    dashboardEndDateInput.value = dashboardSelection.endDate;
+    fiscalYearStartSelect.innerHTML = Array.from(
+      { length: 12 },
+      (_, i) =>
+        `<option value="${i + 1}">${new Date(
+          Date.UTC(2000, i, 1)
+        ).toLocaleDateString("en-US", {
+          month: "long",
+          timeZone: "UTC",
+        })}</option>`
+    ).join("");
+    fiscalYearStartSelect.value = String(fiscalYearStart);
+  };
+
+  const saveDashboardSettings = async () => {
+    // A new custom range starts out as the period that was showing.
+    if (
+      dashboardPeriodSelect.value === "custom" &&
+      !dashboardStartDateInput.value &&
+      !dashboardEndDateInput.value
+    ) {
+      const shown = getDashboardRange(
+        dashboardSelection,
+        getTodayDateString(),
+        fiscalYearStart
+      );
+      if (shown) {
+        dashboardStartDateInput.value = shown.startDate;
+        dashboardEndDateInput.value = shown.endDate;
+      }
+    }
+    const selection = {
+      period: dashboardPeriodSelect.value,
+      startDate: dashboardStartDateInput.value,
+      endDate: dashboardEndDateInput.value,
+    };
+    // An unfinished custom range keeps showing the last period until it's
+    // complete, and is never saved.
+    if (!getDashboardRange(selection, getTodayDateString(), fiscalYearStart)) {
+      renderDashboardPeriod(null);
+      return;
+    }
+    dashboardSelection = selection;
+    fiscalYearStart = Number(fiscalYearStartSelect.value);
+    try {
+      await commitWrite(
+        repo.setDoc(
+          preferencesRef,
+          { dashboardPeriod: dashboardSelection, fiscalYearStart },
+          { merge: true }
+        )
+      );
+    } catch (e) {
+      console.error("Error saving dashboard settings:", e);
+    }
+    await updateGlobalSummary();
+  };
+
   // --- DATA HANDLING FUNCTIONS ---
+  const estimateYearTax = (netProfit, year) =>
+    estimateTax(taxSettings.profile, {
+      netProfit,
+      year,
+      filingStatus: taxSettings.filingStatus,
+      flatRate: taxSettings.flatRate,
+    });
+
+  // A tax year's estimated tax over its net profit, or 0 while it has no
+  // profit to tax.
+  const getEffectiveTaxRate = (monthRollups, year) => {
+    const yearProfit = summarizeRollups(
+      monthRollups,
+      `${year}-01-01`,
+      `${year}-12-31`
+    ).net;
+    return yearProfit > 0
+      ? estimateYearTax(yearProfit, year).total / yearProfit
+      : 0;
+  };
+
+  const fetchTrackedHours = async ({ startDate, endDate }) =>
+    (
+      await repo.aggregate(
+        query(
+          timeEntriesCollection,
+          ...getDateRangeConstraints(startDate, endDate, "start")
+        ),
+        "hours"
+      )
+    ).total;
+
+  // Every card covers the dashboard period and is compared with the period
+  // before it. Income and expense totals come from the monthly rollups.
   const updateGlobalSummary = async () => {
-    const allIncomesQuery = query(
-      transactionsCollection,
-      where("type", "==", "income")
-    );
-    const allExpensesQuery = query(
-      transactionsCollection,
-      where("type", "==", "expense")
-    );
+    const today = getTodayDateString();
+    const taxYear = Number(today.slice(0, 4));
+    const range = getDashboardRange(dashboardSelection, today, fiscalYearStart);
+    renderDashboardPeriod(range);
     try {
-      const incomePromise = getAggregateFromServer(allIncomesQuery, {
-        totalIncome: sum("amount"),
-      });
-      const expensePromise = getAggregateFromServer(allExpensesQuery, {
-        totalExpenses: sum("amount"),
-      });
-      const [incomeSnapshot, expenseSnapshot] = await Promise.all([
-        incomePromise,
-        expensePromise,
+      const [
+        monthRollups,
+        taxPaymentSnapshot,
+        outstandingSnapshot,
+        paidSnapshot,
+        trackedHours,
+        previousTrackedHours,
+      ] = await Promise.all([
+        loadRollups(),
+        repo.getDocs(taxPaymentsCollection),
+        range &&
+          repo.getDocs(
+            query(
+              invoicesCollection,
+              where("status", "in", OUTSTANDING_STATUSES)
+            )
+          ),
+        // Paid since the earlier period ended, so still unpaid at its end.
+        range &&
+          repo.getDocs(
+            query(
+              invoicesCollection,
+              where("paidDate", ">", range.previous.endDate)
+            )
+          ),
+        range && fetchTrackedHours(range),
+        range && fetchTrackedHours(range.previous),
       ]);
-      const totalIncome = incomeSnapshot.data().totalIncome || 0;
-      const totalExpenses = expenseSnapshot.data().totalExpenses || 0;
-      const netProfit = totalIncome - totalExpenses;
-      const taxToSave = totalIncome * TAX_RATE;
-      const recommendedSavings = Math.max(0, netProfit * SAVINGS_RATE);
-      const availableBalance = netProfit - taxToSave - recommendedSavings;
-      totalIncomeEl.textContent = `$${formatCurrency(totalIncome)}`;
-      totalExpensesEl.textContent = `$${formatCurrency(totalExpenses)}`;
-      netProfitEl.textContent = `$${formatCurrency(netProfit)}`;
-      taxSavedAmountEl.textContent = `$${formatCurrency(taxToSave)}`;
-      savingsRecommendedAmountEl.textContent = `$${formatCurrency(
-        recommendedSavings
-      )}`;
+      const taxPayments = taxPaymentSnapshot.docs.map((d) => d.data());
+      const sumPaid = (payments) =>
+        payments.reduce((sum, payment) => sum + (payment.amount || 0), 0);
+      const getYearNetProfit = (year) =>
+        summarizeRollups(monthRollups, `${year}-01-01`, `${year}-12-31`).net;
+
+      // The tax plan works on the whole tax year, and the forecast on the
+      // balance as of today.
+      const yearNetProfit = getYearNetProfit(taxYear);
+      const taxEstimate = estimateYearTax(yearNetProfit, taxYear);
+      const yearTaxPaid = sumPaid(
+        taxPayments.filter((payment) => payment.year === taxYear)
+      );
+      taxSummary = {
+        year: taxYear,
+        netProfit: yearNetProfit,
+        estimate: taxEstimate,
+        paid: yearTaxPaid,
+      };
+      // Transactions dated after today are left out, since the forecast
+      // adds them as upcoming.
+      const netProfitToDate = summarizeRollups(
+        monthRollups,
+        "0000-01-01",
+        today
+      ).net;
+      safeToSpend =
+        netProfitToDate -
+        sumPaid(taxPayments.filter((payment) => payment.date <= today)) -
+        Math.max(0, taxEstimate.total - yearTaxPaid) -
+        Math.max(0, netProfitToDate * SAVINGS_RATE);
+      if (!range) return;
+
+      // Receivables are a balance: what had been invoiced by a date and was
+      // still unpaid on it.
+      const invoices = [...outstandingSnapshot.docs, ...paidSnapshot.docs].map(
+        (d) => d.data()
+      );
+      const getReceivables = (date) =>
+        invoices
+          .filter(
+            (invoice) =>
+              invoice.issueDate <= date &&
+              !(invoice.paidDate && invoice.paidDate <= date)
+          )
+          .reduce((sum, invoice) => sum + (invoice.baseTotal || 0), 0);
+
+      // Tax on a period's profit at the effective rate of the tax year it
+      // ends in.
+      const estimatePeriodTax = (endDate, netProfit) =>
+        netProfit > 0
+          ? netProfit *
+            getEffectiveTaxRate(monthRollups, Number(endDate.slice(0, 4)))
+          : 0;
+      const summarizeDashboardPeriod = ({ startDate, endDate }, hours) => {
+        const inRange = (date) => date >= startDate && date <= endDate;
+        const { income, expense, net } = summarizeRollups(
+          monthRollups,
+          startDate,
+          endDate
+        );
+        const taxEstimated = estimatePeriodTax(endDate, net);
+        const taxPaid = sumPaid(
+          taxPayments.filter((payment) => inRange(payment.date))
+        );
+        const taxToSave = Math.max(0, taxEstimated - taxPaid);
+        const savings = Math.max(0, net * SAVINGS_RATE);
+        return {
+          income,
+          expense,
+          net,
+          receivables: getReceivables(endDate),
+          taxEstimated,
+          taxPaid,
+          taxToSave,
+          savings,
+          // Tax paid in the period has already left the account, and what is
+          // still owed on its profit has to stay in it.
+          availableBalance: net - taxPaid - taxToSave - savings,
+          profitMargin: income > 0 ? (net / income) * 100 : net < 0 ? -100 : 0,
+          hours,
+          hourlyRate: getEffectiveHourlyRate(net, hours),
+        };
+      };
+      const current = summarizeDashboardPeriod(range, trackedHours);
+      const previous = summarizeDashboardPeriod(
+        range.previous,
+        previousTrackedHours
+      );
+      const showChange = (el, field, options) =>
+        renderPeriodChange(el, current[field], previous[field], options);
+
+      totalIncomeEl.textContent = formatCurrency(current.income);
+      showChange(totalIncomeChangeEl, "income");
+      totalExpensesEl.textContent = formatCurrency(current.expense);
+      showChange(totalExpensesChangeEl, "expense", { higherIsBetter: false });
+      netProfitEl.textContent = formatCurrency(current.net);
+      showChange(netProfitChangeEl, "net");
+      outstandingReceivablesEl.textContent = formatCurrency(
+        current.receivables
+      );
+      showChange(receivablesChangeEl, "receivables", { higherIsBetter: null });
+      taxSavedAmountEl.textContent = formatCurrency(current.taxToSave);
+      taxJarPeriodEl.textContent = DASHBOARD_PERIODS[dashboardSelection.period];
+      taxJarDetailEl.textContent = `${formatCurrency(
+        current.taxEstimated
+      )} estimated, ${formatCurrency(current.taxPaid)} paid.`;
+      showChange(taxSavedChangeEl, "taxToSave", { higherIsBetter: null });
+      savingsRecommendedAmountEl.textContent = formatCurrency(current.savings);
+      showChange(savingsChangeEl, "savings");
 
+      const { availableBalance, profitMargin, hourlyRate } = current;
       // JAVASCRIPT CHANGE: Logic to dynamically set the color of "Safe to Spend"
       // First, remove any existing color classes to reset the state
       availableBalanceEl.classList.remove(
@@ -206,14 +1285,9 @@ async function initializeApp(user) {
         availableBalanceEl.classList.add("primary-color"); // Blue for zero
       }
 
-      availableBalanceEl.textContent = `$${formatCurrency(availableBalance)}`;
+      availableBalanceEl.textContent = formatCurrency(availableBalance);
+      showChange(availableBalanceChangeEl, "availableBalance");
 
-      let profitMargin =
-        totalIncome > 0
-          ? (netProfit / totalIncome) * 100
-          : netProfit < 0
-          ? -100
-          : 0;
       profitMarginText.textContent = `${profitMargin.toFixed(0)}%`;
       if (profitMargin >= 0) {
         profitProgressBar.style.display = "block";
@@ -231,17 +1305,35 @@ async function initializeApp(user) {
         profitMarginText.classList.remove("income-color");
         profitMarginText.classList.add("expense-color");
       }
+      showChange(profitMarginChangeEl, "profitMargin", { points: true });
+
+      hourlyRateCard.classList.toggle("hidden", hourlyRate === null);
+      if (hourlyRate !== null) {
+        effectiveHourlyRateEl.textContent = formatCurrency(hourlyRate);
+        effectiveHourlyRateDetailEl.textContent = `Net profit over ${formatHours(
+          current.hours
+        )} of tracked time.`;
+        showChange(hourlyRateChangeEl, "hourlyRate");
+      }
     } catch (e) {
       console.error("Error fetching aggregate summary:", e);
     }
   };
 
+  const isListFiltered = () =>
+    currentFilter.type !== "all" ||
+    (currentFilter.category && currentFilter.category !== "all") ||
+    !!currentFilter.clientId ||
+    currentSearch !== null;
+
+  // The unfiltered list counts everything, which the rollups already know.
   const updateTotalPages = async () => {
-    const q = buildQuery();
     try {
-      const snapshot = await getCountFromServer(q);
-      totalPages =
-        Math.ceil(snapshot.data().count / TRANSACTIONS_PER_PAGE) || 1;
+      const matches = isListFiltered()
+        ? (await repo.aggregate(buildQuery())).count
+        : getRollupTotals(rollups).count;
+      matchingCount = matches;
+      totalPages = Math.ceil(matches / TRANSACTIONS_PER_PAGE) || 1;
     } catch (e) {
       console.error("Error getting total transaction count:", e);
     }
@@ -256,12 +1348,13 @@ async function initializeApp(user) {
       let q = query(baseQuery, limit(TRANSACTIONS_PER_PAGE));
       if (cursor)
         q = query(baseQuery, startAfter(cursor), limit(TRANSACTIONS_PER_PAGE));
-      const documentSnapshots = await getDocs(q);
+      const documentSnapshots = await repo.getDocs(q);
       const lastDoc = documentSnapshots.docs[documentSnapshots.docs.length - 1];
       if (lastDoc) pageCursors[page] = lastDoc;
       transactions = documentSnapshots.docs.map((doc) => ({
         id: doc.id,
         ...doc.data(),
+        hasPendingWrites: doc.metadata.hasPendingWrites,
       }));
       renderTransactions();
       updatePaginationUI();
@@ -272,80 +1365,874 @@ async function initializeApp(user) {
     }
   };
 
+  // Totals for whatever the list is currently filtered to, shown above it.
+  const updateFilteredTotals = async () => {
+    const isFiltered = isListFiltered();
+    filteredTotalsEl.classList.toggle("hidden", !isFiltered);
+    if (!isFiltered) return;
+    const types =
+      currentFilter.type === "all"
+        ? ["income", "expense"]
+        : [currentFilter.type];
+    try {
+      const results = await Promise.all(
+        types.map((type) =>
+          repo.aggregate(
+            currentFilter.type === "all"
+              ? query(buildQuery(true), where("type", "==", type))
+              : buildQuery(true)
+          )
+        )
+      );
+      const totals = {};
+      let matches = 0;
+      results.forEach((result, i) => {
+        totals[types[i]] = result.total;
+        matches += result.count;
+      });
+      const parts = [
+        `${matches} matching transaction${matches === 1 ? "" : "s"}`,
+      ];
+      if ("income" in totals)
+        parts.push(`Income ${formatCurrency(totals.income)}`);
+      if ("expense" in totals)
+        parts.push(`Expenses ${formatCurrency(totals.expense)}`);
+      if (types.length === 2)
+        parts.push(`Net ${formatCurrency(totals.income - totals.expense)}`);
+      filteredTotalsEl.textContent = parts.join(" · ");
+    } catch (e) {
+      console.error(
+        "Error getting filtered totals. This search may need a database index:",
+        e
+      );
+      filteredTotalsEl.textContent =
+        "This search needs a database index. Check the browser console for a link to create it.";
+    }
+  };
+
   const refreshData = async () => {
     await updateTotalPages();
+    await updateFilteredTotals();
     await fetchTransactionsForPage(currentPage);
   };
+  // Also starts a new selection, since the filter or order has changed.
   const resetAndRefresh = async () => {
     currentPage = 1;
     pageCursors = [null];
+    clearSelection();
     await refreshData();
   };
 
-  const addTransaction = async (data) => {
+  // --- ROLLUPS ---
+  // Wraps a write batch, or the writer passed to runTransaction, so the
+  // rollups change in the same commit as the transactions. adjustRollups
+  // counts a transaction in (sign 1) or out (sign -1); the net change per
+  // month is written on commit, or by flushRollups inside runTransaction.
+  const createTransactionBatch = (writer = repo.writeBatch()) => {
+    let deltas = {};
+    const batch = {
+      set: (...args) => (writer.set(...args), batch),
+      update: (...args) => (writer.update(...args), batch),
+      delete: (...args) => (writer.delete(...args), batch),
+      adjustRollups: (data, sign = 1) => addRollupDelta(deltas, data, sign),
+      flushRollups: () => {
+        getRollupWrites(deltas).forEach(({ month, data }) =>
+          writer.set(repo.doc(rollupsCollection, month), data, { merge: true })
+        );
+        deltas = {};
+      },
+      commit: () => {
+        batch.flushRollups();
+        return writer.commit();
+      },
+    };
+    return batch;
+  };
+
+  const loadRollups = async () => {
+    const snapshot = await repo.getDocs(rollupsCollection);
+    rollups = snapshot.docs.map((d) => d.data());
+    return rollups;
+  };
+
+  // The rollups for the months the date range touches.
+  const fetchRollups = async (startDateStr, endDateStr) => {
     try {
-      await addDoc(transactionsCollection, {
-        ...data,
-        createdAt: serverTimestamp(),
-      });
-      await updateGlobalSummary();
-      await resetAndRefresh();
+      const snapshot = await repo.getDocs(
+        query(
+          rollupsCollection,
+          where("month", ">=", startDateStr.slice(0, 7)),
+          where("month", "<=", endDateStr.slice(0, 7))
+        )
+      );
+      return snapshot.docs.map((d) => d.data());
     } catch (e) {
-      console.error("Error adding document: ", e);
+      console.error("Error fetching monthly totals:", e);
+      return [];
+    }
+  };
+
+  // Rebuilds every rollup from the transactions, for a new ROLLUP_VERSION or
+  // when totals have drifted. Returns the number of months.
+  const rebuildRollups = async () => {
+    const [transactionSnapshot, rollupSnapshot] = await Promise.all([
+      repo.getDocs(transactionsCollection),
+      repo.getDocs(rollupsCollection),
+    ]);
+    const rebuilt = buildRollups(transactionSnapshot.docs.map((d) => d.data()));
+    const months = new Set(rebuilt.map((rollup) => rollup.month));
+    const writes = [
+      ...rollupSnapshot.docs
+        .filter((rollupDoc) => !months.has(rollupDoc.id))
+        .map((rollupDoc) => ({ ref: rollupDoc.ref, data: null })),
+      ...rebuilt.map((rollup) => ({
+        ref: repo.doc(rollupsCollection, rollup.month),
+        data: rollup,
+      })),
+    ];
+    for (const chunk of chunkArray(writes, WRITE_BATCH_SIZE)) {
+      const batch = repo.writeBatch();
+      chunk.forEach(({ ref, data }) =>
+        data ? batch.set(ref, data) : batch.delete(ref)
+      );
+      await commitWrite(batch.commit());
     }
+    await commitWrite(
+      repo.setDoc(rollupStatusRef, {
+        version: ROLLUP_VERSION,
+        rebuiltAt: serverTimestamp(),
+      })
+    );
+    rollups = rebuilt;
+    return rebuilt.length;
   };
 
-  const deleteTransaction = async (transactionId) => {
+  // Builds the rollups on first start, and again after a version bump.
+  const ensureRollups = async () => {
     try {
-      await deleteDoc(doc(db, "users", userId, "transactions", transactionId));
-      await updateGlobalSummary();
-      await updateTotalPages();
-      if (
-        currentPage > 1 &&
-        transactions.length === 1 &&
-        currentPage > totalPages
-      ) {
-        currentPage--;
-      }
-      const oldCursors = [...pageCursors];
-      pageCursors = [null];
-      for (let i = 1; i < currentPage; i++) {
-        const cursor = oldCursors[i - 1];
-        let q = query(buildQuery(), limit(TRANSACTIONS_PER_PAGE));
-        if (cursor)
-          q = query(
-            buildQuery(),
-            startAfter(cursor),
-            limit(TRANSACTIONS_PER_PAGE)
-          );
-        const snapshot = await getDocs(q);
-        const lastDoc = snapshot.docs[snapshot.docs.length - 1];
-        if (lastDoc) pageCursors[i] = lastDoc;
-        else break;
-      }
-      await fetchTransactionsForPage(currentPage);
+      const status = await repo.getDoc(rollupStatusRef);
+      if (status.exists() && status.data().version === ROLLUP_VERSION) return;
+      await rebuildRollups();
     } catch (e) {
-      console.error("Error removing document: ", e);
+      console.error("Error building monthly totals:", e);
+    }
+  };
+
+  // --- HISTORY AND TRASH ---
+  // Queues a history entry in the same batch (or runTransaction) as the
+  // change it describes.
+  const recordHistory = (
+    writer,
+    transactionId,
+    action,
+    { changes = {}, source = null } = {}
+  ) => {
+    writer.set(repo.doc(getHistoryCollection(transactionId)), {
+      action,
+      changes,
+      source,
+      at: serverTimestamp(),
+    });
+  };
+
+  // `before` is the transaction's current data, to record what changed.
+  // `batch` comes from createTransactionBatch. Returns the changes.
+  const queueTransactionUpdate = (
+    batch,
+    transactionId,
+    before,
+    updates,
+    source = null
+  ) => {
+    batch.update(repo.doc(transactionsCollection, transactionId), updates);
+    const changes = diffTransaction(before, updates);
+    if (Object.keys(changes).length)
+      recordHistory(batch, transactionId, "update", { changes, source });
+    if (affectsRollups(changes)) {
+      batch.adjustRollups(before, -1);
+      batch.adjustRollups({ ...before, ...updates });
+    }
+    return changes;
+  };
+
+  // items: [{ id, data }]. The transactions keep their ids in the trash.
+  const moveToTrash = async (items, source = null) => {
+    for (const chunk of chunkArray(items, HISTORY_BATCH_SIZE)) {
+      const batch = createTransactionBatch();
+      chunk.forEach(({ id, data }) => {
+        batch.set(repo.doc(trashCollection, id), {
+          ...data,
+          deletedAt: serverTimestamp(),
+        });
+        batch.delete(repo.doc(transactionsCollection, id));
+        batch.adjustRollups(data, -1);
+        recordHistory(batch, id, "delete", { source });
+      });
+      await commitWrite(batch.commit());
     }
   };
 
-  const updateTransaction = async (transactionId, data) => {
+  const restoreFromTrash = async (transactionIds, source = null) => {
     try {
-      await updateDoc(
-        doc(db, "users", userId, "transactions", transactionId),
-        data
+      const snapshots = await Promise.all(
+        transactionIds.map((id) => repo.getDoc(repo.doc(trashCollection, id)))
       );
+      const trashed = snapshots.filter((snapshot) => snapshot.exists());
+      for (const chunk of chunkArray(trashed, HISTORY_BATCH_SIZE)) {
+        const batch = createTransactionBatch();
+        chunk.forEach((snapshot) => {
+          const { deletedAt, ...data } = snapshot.data();
+          batch.set(repo.doc(transactionsCollection, snapshot.id), data);
+          batch.adjustRollups(data);
+          batch.delete(snapshot.ref);
+          recordHistory(batch, snapshot.id, "restore", { source });
+        });
+        await commitWrite(batch.commit());
+      }
       await updateGlobalSummary();
       await refreshData();
+      if (!trashModal.classList.contains("hidden")) await loadTrash();
+      return trashed.length;
     } catch (e) {
-      console.error("Error updating document:", e);
+      console.error("Error restoring from trash:", e);
+      alert("The transactions could not be restored. Please try again.");
+      return 0;
     }
   };
 
-  const openEditModal = (transaction) => {
-    editForm.elements["edit-id"].value = transaction.id;
-    editForm.elements["edit-description"].value = transaction.description;
-    editForm.elements["edit-amount"].value = transaction.amount;
+  // Deletes trashed transactions for good: the document, its history and
+  // its attached files.
+  const purgeFromTrash = async (trashDocs) => {
+    const refs = [];
+    for (const trashDoc of trashDocs) {
+      refs.push(trashDoc.ref);
+      const history = await repo.getDocs(getHistoryCollection(trashDoc.id));
+      history.docs.forEach((entry) => refs.push(entry.ref));
+    }
+    for (const chunk of chunkArray(refs, WRITE_BATCH_SIZE)) {
+      const batch = repo.writeBatch();
+      chunk.forEach((ref) => batch.delete(ref));
+      await commitWrite(batch.commit());
+    }
+    trashDocs.forEach((trashDoc) =>
+      deleteAttachmentFiles(getAttachments(trashDoc.data()))
+    );
+  };
+
+  // Runs on start-up, so the trash never holds anything past its retention.
+  const purgeExpiredTrash = async () => {
+    try {
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - TRASH_RETENTION_DAYS);
+      const snapshot = await repo.getDocs(
+        query(
+          trashCollection,
+          where("deletedAt", "<", Timestamp.fromDate(cutoff))
+        )
+      );
+      if (!snapshot.empty) await purgeFromTrash(snapshot.docs);
+    } catch (e) {
+      console.error("Error emptying expired trash:", e);
+    }
+  };
+
+  // Pending server timestamps read as null until the write syncs.
+  const getDeletedAt = (trashDoc) =>
+    trashDoc.data().deletedAt || Timestamp.now();
+
+  const renderTrash = () => {
+    trashSummaryEl.textContent = trashDocs.length
+      ? `${trashDocs.length} deleted ${
+          trashDocs.length === 1 ? "transaction" : "transactions"
+        }. Items are deleted for good ${TRASH_RETENTION_DAYS} days after they're moved here.`
+      : "The trash is empty.";
+    emptyTrashBtn.disabled = trashDocs.length === 0;
+    trashBody.innerHTML = trashDocs
+      .map((trashDoc) => {
+        const t = trashDoc.data();
+        const daysLeft = getTrashDaysLeft(getDeletedAt(trashDoc));
+        return `
+          <tr>
+            <td>${t.date.toDate().toISOString().split("T")[0]}</td>
+            <td>${escapeHTML(t.description)}</td>
+            <td class="${t.type}-color">${
+          t.type === "income" ? "+" : "-"
+        }${formatCurrency(t.amount)}</td>
+            <td class="import-status">${daysLeft} ${
+          daysLeft === 1 ? "day" : "days"
+        } left</td>
+            <td class="trash-actions">
+              <button class="btn btn-secondary btn-small restore-btn" data-id="${
+                trashDoc.id
+              }">Restore</button>
+              <button class="delete-btn" data-id="${
+                trashDoc.id
+              }" title="Delete for good">&times;</button>
+            </td>
+          </tr>`;
+      })
+      .join("");
+  };
+
+  const loadTrash = async () => {
+    try {
+      const snapshot = await repo.getDocs(trashCollection);
+      trashDocs = snapshot.docs.sort(
+        (a, b) => getDeletedAt(b).toMillis() - getDeletedAt(a).toMillis()
+      );
+      renderTrash();
+    } catch (e) {
+      console.error("Error loading trash:", e);
+      trashSummaryEl.textContent = "The trash could not be loaded.";
+    }
+  };
+
+  const deleteFromTrash = async (trashDocsToPurge) => {
+    try {
+      await purgeFromTrash(trashDocsToPurge);
+    } catch (e) {
+      console.error("Error deleting from trash:", e);
+      alert("Some transactions could not be deleted. Please try again.");
+    }
+    await loadTrash();
+  };
+
+  const openTrashModal = () => {
+    trashSummaryEl.textContent = "Loading...";
+    trashBody.innerHTML = "";
+    trashModal.classList.remove("hidden");
+    loadTrash();
+  };
+  const closeTrashModal = () => trashModal.classList.add("hidden");
+
+  const loadTransactionHistory = async (transactionId) => {
+    editHistoryList.innerHTML = "<li>Loading...</li>";
+    try {
+      const snapshot = await repo.getDocs(getHistoryCollection(transactionId));
+      // The modal may have moved on to another transaction meanwhile.
+      if (editForm.elements["edit-id"].value !== transactionId) return;
+      const entries = snapshot.docs
+        .map((entryDoc) => entryDoc.data())
+        .sort(
+          (a, b) =>
+            (b.at || Timestamp.now()).toMillis() -
+            (a.at || Timestamp.now()).toMillis()
+        );
+      editHistoryList.innerHTML = entries.length
+        ? entries
+            .map((entry) => {
+              const { title, details } = describeHistoryEntry(entry, {
+                categories,
+                clients,
+              });
+              return `
+                <li>
+                  <div class="history-title">
+                    <strong>${escapeHTML(title)}</strong>
+                    <span>${
+                      entry.at ? entry.at.toDate().toLocaleString() : "Just now"
+                    }</span>
+                  </div>
+                  ${details
+                    .map(
+                      (detail) =>
+                        `<div class="history-detail">${escapeHTML(
+                          detail
+                        )}</div>`
+                    )
+                    .join("")}
+                </li>`;
+            })
+            .join("")
+        : "<li>No changes recorded yet.</li>";
+    } catch (e) {
+      console.error("Error loading transaction history:", e);
+      editHistoryList.innerHTML = "<li>The history could not be loaded.</li>";
+    }
+  };
+
+  // --- TRANSACTIONS ---
+  // Adds a new transaction to the batch and returns its id, for writes that
+  // have to land together with it.
+  const queueNewTransaction = (batch, data) => {
+    const docRef = repo.doc(transactionsCollection);
+    batch.set(docRef, {
+      ...data,
+      searchTokens: buildSearchTokens(data.description),
+      createdAt: serverTimestamp(),
+    });
+    batch.adjustRollups(data);
+    recordHistory(batch, docRef.id, "create");
+    return docRef.id;
+  };
+
+  const addTransaction = async (data) => {
+    try {
+      const batch = createTransactionBatch();
+      const transactionId = queueNewTransaction(batch, data);
+      await commitWrite(batch.commit());
+      if (data.type === "expense")
+        recordCategoryChoice(data.description, data.category);
+      await updateGlobalSummary();
+      await resetAndRefresh();
+      return transactionId;
+    } catch (e) {
+      console.error("Error adding document: ", e);
+      return null;
+    }
+  };
+
+  const deleteTransaction = async (transactionId, { notify = true } = {}) => {
+    try {
+      const snapshot = await repo.getDoc(
+        repo.doc(transactionsCollection, transactionId)
+      );
+      if (!snapshot.exists()) return;
+      await moveToTrash([{ id: transactionId, data: snapshot.data() }]);
+      selectedIds.delete(transactionId);
+      await updateGlobalSummary();
+      await updateTotalPages();
+      if (
+        currentPage > 1 &&
+        transactions.length === 1 &&
+        currentPage > totalPages
+      ) {
+        currentPage--;
+      }
+      const oldCursors = [...pageCursors];
+      pageCursors = [null];
+      for (let i = 1; i < currentPage; i++) {
+        const cursor = oldCursors[i - 1];
+        let q = query(buildQuery(), limit(TRANSACTIONS_PER_PAGE));
+        if (cursor)
+          q = query(
+            buildQuery(),
+            startAfter(cursor),
+            limit(TRANSACTIONS_PER_PAGE)
+          );
+        const snapshot = await repo.getDocs(q);
+        const lastDoc = snapshot.docs[snapshot.docs.length - 1];
+        if (lastDoc) pageCursors[i] = lastDoc;
+        else break;
+      }
+      await fetchTransactionsForPage(currentPage);
+      if (notify)
+        showToast("Moved to trash.", {
+          actionLabel: "Undo",
+          onAction: () => restoreFromTrash([transactionId], "undo"),
+        });
+    } catch (e) {
+      console.error("Error removing document: ", e);
+    }
+  };
+
+  // Undo for transactions just added: they go to the trash like a delete.
+  const undoAdd = async (transactionIds) => {
+    try {
+      const snapshots = await Promise.all(
+        transactionIds.map((id) =>
+          repo.getDoc(repo.doc(transactionsCollection, id))
+        )
+      );
+      await moveToTrash(
+        snapshots
+          .filter((snapshot) => snapshot.exists())
+          .map((snapshot) => ({ id: snapshot.id, data: snapshot.data() })),
+        "undo"
+      );
+      await updateGlobalSummary();
+      await resetAndRefresh();
+    } catch (e) {
+      console.error("Error undoing add:", e);
+    }
+  };
+
+  const updateTransaction = async (
+    transactionId,
+    data,
+    { source = null, notify = true } = {}
+  ) => {
+    try {
+      const transactionRef = repo.doc(transactionsCollection, transactionId);
+      let before = null;
+      try {
+        const snapshot = await repo.getDoc(transactionRef);
+        if (snapshot.exists()) before = snapshot.data();
+      } catch (e) {
+        console.error("Error reading transaction before update:", e);
+      }
+      const batch = createTransactionBatch();
+      let changes = {};
+      if (before) {
+        changes = queueTransactionUpdate(
+          batch,
+          transactionId,
+          before,
+          data,
+          source
+        );
+      } else {
+        // The rollups can't follow an edit to an unknown transaction; the
+        // rebuild in Data Storage puts them right.
+        batch.update(transactionRef, data);
+        recordHistory(batch, transactionId, "update", { source });
+      }
+      await commitWrite(batch.commit());
+      if (
+        before &&
+        data.category !== undefined &&
+        before.category !== data.category
+      )
+        recordCategoryChoice(
+          data.description ?? before.description,
+          data.category,
+          before
+        );
+      await updateGlobalSummary();
+      await refreshData();
+      if (notify && Object.keys(changes).length)
+        showToast("Changes saved.", {
+          actionLabel: "Undo",
+          onAction: () => {
+            const reverted = revertChanges(changes);
+            if ("description" in reverted)
+              reverted.searchTokens = buildSearchTokens(reverted.description);
+            updateTransaction(transactionId, reverted, {
+              source: "undo",
+              notify: false,
+            });
+          },
+        });
+    } catch (e) {
+      console.error("Error updating document:", e);
+    }
+  };
+
+  // --- BULK ACTIONS ---
+  // The selected transactions, read fresh from the database.
+  const readSelectedTransactions = async () => {
+    if (selectAllMatching) {
+      const snapshot = await repo.getDocs(buildQuery(true));
+      return snapshot.docs.map((d) => ({ id: d.id, data: d.data() }));
+    }
+    const snapshots = await Promise.all(
+      [...selectedIds].map((id) =>
+        repo.getDoc(repo.doc(transactionsCollection, id))
+      )
+    );
+    return snapshots
+      .filter((snapshot) => snapshot.exists())
+      .map((snapshot) => ({ id: snapshot.id, data: snapshot.data() }));
+  };
+
+  // The fields a bulk action writes to one transaction, or null to skip it.
+  const getBulkUpdate = (action, t, value) => {
+    switch (action) {
+      case "category":
+        return t.type === "expense" && t.category !== value
+          ? { category: value }
+          : null;
+      case "type":
+        return t.type === value
+          ? null
+          : {
+              type: value,
+              category:
+                value === "expense"
+                  ? t.category || FALLBACK_CATEGORY_KEY
+                  : null,
+            };
+      case "shift":
+        return {
+          date: Timestamp.fromMillis(
+            t.date.toMillis() + value * 24 * 60 * 60 * 1000
+          ),
+        };
+      case "client":
+        return (t.clientId || null) === value
+          ? null
+          : { clientId: value, project: null };
+      default:
+        return null;
+    }
+  };
+
+  // edits: [{ id, data, updates }]. Writes them in batches with their
+  // history and refreshes the summary and list once at the end. Returns the
+  // edits that undo them.
+  const applyTransactionEdits = async (edits, source) => {
+    const reverts = [];
+    for (const chunk of chunkArray(edits, HISTORY_BATCH_SIZE)) {
+      const batch = createTransactionBatch();
+      chunk.forEach(({ id, data, updates }) => {
+        const changes = queueTransactionUpdate(
+          batch,
+          id,
+          data,
+          updates,
+          source
+        );
+        if (Object.keys(changes).length)
+          reverts.push({
+            id,
+            data: { ...data, ...updates },
+            updates: revertChanges(changes),
+          });
+      });
+      await commitWrite(batch.commit());
+    }
+    const recategorized = edits.filter(
+      ({ data, updates }) =>
+        "category" in updates && updates.category !== data.category
+    );
+    recategorized.forEach(({ data, updates }) => {
+      learnCategory(categoryModel, data.description, data.category, -1);
+      learnCategory(categoryModel, data.description, updates.category);
+    });
+    if (recategorized.length) await saveCategoryModel();
+    await updateGlobalSummary();
+    await resetAndRefresh();
+    return reverts;
+  };
+
+  const readBulkValue = (action) => {
+    if (action === "category") return bulkCategoryDropdown.value;
+    if (action === "type") return bulkTypeDropdown.value;
+    if (action === "client") return bulkClientDropdown.value || null;
+    if (action === "shift") {
+      const days = Number(bulkShiftDaysInput.value);
+      return Number.isInteger(days) && days !== 0 ? days : null;
+    }
+    return null;
+  };
+
+  const applyBulkAction = async () => {
+    const action = bulkActionSelect.value;
+    if (!action) return;
+    const value = readBulkValue(action);
+    if (action === "shift" && value === null) {
+      alert("Enter the number of days to move the dates by, e.g. 7 or -7.");
+      return;
+    }
+    if (
+      selectAllMatching &&
+      !confirm(`Apply this to all ${matchingCount} matching transactions?`)
+    )
+      return;
+    bulkApplyBtn.disabled = true;
+    try {
+      const selected = await readSelectedTransactions();
+      const plural = (count) =>
+        `${count} ${count === 1 ? "transaction" : "transactions"}`;
+      if (action === "delete") {
+        await moveToTrash(selected, "bulk");
+        await updateGlobalSummary();
+        await resetAndRefresh();
+        const ids = selected.map((t) => t.id);
+        showToast(`Moved ${plural(ids.length)} to trash.`, {
+          actionLabel: "Undo",
+          onAction: () => restoreFromTrash(ids, "undo"),
+        });
+      } else {
+        const edits = selected
+          .map((t) => ({ ...t, updates: getBulkUpdate(action, t.data, value) }))
+          .filter((edit) => edit.updates);
+        const reverts = await applyTransactionEdits(edits, "bulk");
+        const skipped = selected.length - edits.length;
+        showToast(
+          `Updated ${plural(edits.length)}.${
+            skipped ? ` ${plural(skipped)} needed no change.` : ""
+          }`,
+          reverts.length
+            ? {
+                actionLabel: "Undo",
+                onAction: () => applyTransactionEdits(reverts, "undo"),
+              }
+            : {}
+        );
+      }
+    } catch (e) {
+      console.error("Error applying bulk action:", e);
+      alert("Some transactions were not updated. Please try again.");
+      await updateGlobalSummary();
+      await refreshData();
+    }
+    bulkApplyBtn.disabled = false;
+  };
+
+  // --- RECURRING TRANSACTIONS ---
+  // Each run happens inside a Firestore transaction that re-reads the
+  // schedule, so a second tab starting at the same time retries against the
+  // updated generatedCount instead of writing the same occurrences again.
+  const generateRecurringTransactions = async () => {
+    const today = getTodayDateString();
+    let totalCreated = 0;
+    try {
+      const snapshot = await repo.getDocs(
+        query(recurringCollection, where("active", "==", true))
+      );
+      for (const scheduleDoc of snapshot.docs) {
+        let created;
+        do {
+          created = await repo.runTransaction(async (tx) => {
+            const fresh = await tx.get(scheduleDoc.ref);
+            if (!fresh.exists() || !fresh.data().active) return 0;
+            const schedule = fresh.data();
+            const due = getDueOccurrences(schedule, today);
+            if (due.length === 0) return 0;
+            const currency = schedule.currency || getBaseCurrency();
+            const rate = getRate(currency) || schedule.exchangeRate;
+            const batch = createTransactionBatch(tx);
+            due.forEach(({ date }) => {
+              const data = {
+                description: schedule.description,
+                ...convertToBase(schedule.amount, currency, rate),
+                date: Timestamp.fromDate(createTimezoneSafeDate(date)),
+                type: schedule.type,
+                searchTokens: buildSearchTokens(schedule.description),
+                clientId: schedule.clientId || null,
+                project: schedule.project || null,
+                recurringId: scheduleDoc.id,
+                createdAt: serverTimestamp(),
+              };
+              if (schedule.type === "expense")
+                data.category = schedule.category;
+              const occurrenceId = getOccurrenceId(scheduleDoc.id, date);
+              batch.set(repo.doc(transactionsCollection, occurrenceId), data);
+              batch.adjustRollups(data);
+              recordHistory(batch, occurrenceId, "create", {
+                source: "recurring",
+              });
+            });
+            const last = due[due.length - 1];
+            batch.update(scheduleDoc.ref, {
+              generatedCount: last.index + 1,
+              lastGeneratedDate: last.date,
+            });
+            batch.flushRollups();
+            return due.length;
+          });
+          totalCreated += created;
+        } while (created === MAX_OCCURRENCES_PER_RUN);
+      }
+    } catch (e) {
+      console.error("Error generating recurring transactions:", e);
+    }
+    return totalCreated;
+  };
+
+  const addRecurringSchedule = async (data, schedule) => {
+    try {
+      await repo.addDoc(recurringCollection, {
+        description: data.description,
+        amount: data.originalAmount,
+        currency: data.currency,
+        exchangeRate: data.exchangeRate,
+        type: data.type,
+        category: data.type === "expense" ? data.category : null,
+        clientId: data.clientId,
+        project: data.project,
+        ...schedule,
+        generatedCount: 0,
+        active: true,
+        createdAt: serverTimestamp(),
+      });
+      await generateRecurringTransactions();
+      await updateGlobalSummary();
+      await resetAndRefresh();
+    } catch (e) {
+      console.error("Error adding recurring schedule:", e);
+    }
+  };
+
+  // Applies description/amount/type/category to the schedule and every
+  // occurrence generated from it; the date change stays on the edited one.
+  const updateRecurringSeries = async (transactionId, recurringId, data) => {
+    const { date, ...template } = data;
+    const scheduleTemplate = {
+      description: data.description,
+      amount: data.originalAmount,
+      currency: data.currency,
+      exchangeRate: data.exchangeRate,
+      type: data.type,
+      category: data.category,
+      clientId: data.clientId,
+      project: data.project,
+    };
+    try {
+      const snapshot = await repo.getDocs(
+        query(transactionsCollection, where("recurringId", "==", recurringId))
+      );
+      const chunks = chunkArray(snapshot.docs, HISTORY_BATCH_SIZE);
+      for (let i = 0; i < chunks.length; i++) {
+        const batch = createTransactionBatch();
+        if (i === 0)
+          batch.update(
+            repo.doc(recurringCollection, recurringId),
+            scheduleTemplate
+          );
+        chunks[i].forEach((transactionDoc) =>
+          queueTransactionUpdate(
+            batch,
+            transactionDoc.id,
+            transactionDoc.data(),
+            transactionDoc.id === transactionId ? data : template,
+            "series"
+          )
+        );
+        await commitWrite(batch.commit());
+      }
+      await updateGlobalSummary();
+      await refreshData();
+    } catch (e) {
+      console.error("Error updating recurring series:", e);
+    }
+  };
+
+  const stopRecurringSeries = async (recurringId) => {
+    try {
+      await repo.updateDoc(repo.doc(recurringCollection, recurringId), {
+        active: false,
+        endDate: getTodayDateString(),
+      });
+    } catch (e) {
+      console.error("Error stopping recurring series:", e);
+    }
+  };
+
+  const showRecurringScope = async (recurringId) => {
+    editRecurringInfoEl.textContent =
+      "This transaction is part of a recurring series.";
+    editRecurringGroup.classList.remove("hidden");
+    try {
+      const scheduleSnap = await repo.getDoc(
+        repo.doc(recurringCollection, recurringId)
+      );
+      if (!scheduleSnap.exists()) return;
+      const schedule = scheduleSnap.data();
+      editRecurringInfoEl.textContent = `Part of a recurring series (${describeSchedule(
+        schedule
+      )}${schedule.active ? "" : ", stopped"}).`;
+      stopRecurringBtn.classList.toggle("hidden", !schedule.active);
+    } catch (e) {
+      console.error("Error loading recurring schedule:", e);
+    }
+  };
+
+  const openEditModal = (transaction) => {
+    editForm.elements["edit-id"].value = transaction.id;
+    editForm.elements["edit-description"].value = transaction.description;
+    const currency = transaction.currency || getBaseCurrency();
+    editForm.elements["edit-amount"].value =
+      transaction.originalAmount ?? transaction.amount;
+    populateCurrencyOptions(editCurrencyDropdown, currency);
+    syncExchangeRateInput(
+      currency,
+      editExchangeRateInput,
+      editExchangeRateGroup
+    );
+    if (transaction.exchangeRate && currency !== getBaseCurrency())
+      editExchangeRateInput.value = transaction.exchangeRate;
     editForm.elements["edit-date"].value = transaction.date
       .toDate()
       .toISOString()
@@ -355,72 +2242,2872 @@ async function initializeApp(user) {
       "hidden",
       transaction.type !== "expense"
     );
-    if (transaction.type === "expense")
-      editForm.elements["edit-category"].value =
-        transaction.category || "other";
-    editModal.classList.remove("hidden");
+    renderCategoryOptions(editCategoryDropdown, categories, {
+      keep: transaction.category,
+    });
+    if (transaction.type === "expense")
+      editForm.elements["edit-category"].value =
+        transaction.category || FALLBACK_CATEGORY_KEY;
+    editForm.elements["edit-recurring-id"].value =
+      transaction.recurringId || "";
+    if (transaction.recurringId) showRecurringScope(transaction.recurringId);
+    renderClientPicker(editClientDropdown, transaction.clientId || "");
+    renderProjectPicker(
+      editProjectDropdown,
+      editClientDropdown.value,
+      transaction.project || "",
+      editProjectGroup
+    );
+    renderEditAttachments(getAttachments(transaction));
+    loadTransactionHistory(transaction.id);
+    editModal.classList.remove("hidden");
+  };
+  const closeEditModal = () => {
+    editModal.classList.add("hidden");
+    editRecurringGroup.classList.add("hidden");
+    stopRecurringBtn.classList.remove("hidden");
+    renderEditAttachments([]);
+    editHistoryEl.open = false;
+    editHistoryList.innerHTML = "";
+    editForm.reset();
+  };
+
+  // --- STATEMENT IMPORT ---
+  const getKnownCategories = () =>
+    Array.from(categoryDropdown.options).map((option) => option.value);
+
+  const parseImportRecords = () => {
+    const { format, text, rows } = importState;
+    if (format === "ofx") return parseOFX(text);
+    if (format === "qif")
+      return parseQIF(text, { dateFormat: importDateFormatSelect.value });
+    const dataRows = importHasHeaderInput.checked ? rows.slice(1) : rows;
+    return mapCSVRows(dataRows, importState.mapping, {
+      dateFormat: importDateFormatSelect.value,
+      signConvention: importSignConventionSelect.value,
+    });
+  };
+
+  const renderImportMapping = () => {
+    const headerRow = importState.rows[0] || [];
+    const columnNames = headerRow.map((cell, i) =>
+      importHasHeaderInput.checked && cell ? cell : `Column ${i + 1}`
+    );
+    importMappingFieldsEl.innerHTML = IMPORT_FIELDS.map(
+      (field) => `
+        <label>
+          ${field}
+          <select data-field="${field}">
+            <option value="-1">&mdash; None &mdash;</option>
+            ${columnNames
+              .map(
+                (name, i) =>
+                  `<option value="${i}" ${
+                    importState.mapping[field] === i ? "selected" : ""
+                  }>${escapeHTML(name)}</option>`
+              )
+              .join("")}
+          </select>
+        </label>`
+    ).join("");
+  };
+
+  const renderImportPreview = () => {
+    const records = importState.records;
+    const validCount = records.filter((r) => !r.error).length;
+    const duplicateCount = records.filter((r) => r.duplicateOf).length;
+    importPreviewSummaryEl.textContent = `${records.length} rows parsed, ${validCount} valid, ${duplicateCount} likely duplicates (unchecked by default).`;
+    importPreviewBody.innerHTML = records
+      .map((r, i) => {
+        const status = r.error
+          ? r.error
+          : r.duplicateOf
+          ? `Possible duplicate of "${r.duplicateOf}"`
+          : "New";
+        const rowClass = r.error
+          ? "is-invalid"
+          : r.duplicateOf
+          ? "is-duplicate"
+          : "";
+        return `
+          <tr class="${rowClass}">
+            <td><input type="checkbox" data-index="${i}" ${
+          r.selected ? "checked" : ""
+        } ${r.error ? "disabled" : ""}></td>
+            <td>${r.date || ""}</td>
+            <td>${escapeHTML(r.description)}</td>
+            <td>${r.type === "expense" ? escapeHTML(r.category) : ""}${
+          r.suggested ? ` <span class="suggested-tag">suggested</span>` : ""
+        }</td>
+            <td class="${r.type}-color">${
+          r.type === "income" ? "+" : "-"
+        }${formatCurrency(r.amount)}</td>
+            <td class="import-status">${escapeHTML(status)}</td>
+          </tr>`;
+      })
+      .join("");
+    importSelectAllInput.checked = records.some((r) => r.selected);
+    confirmImportBtn.disabled = !records.some((r) => r.selected);
+    importPreviewEl.classList.remove("hidden");
+  };
+
+  const buildImportPreview = async () => {
+    const knownCategories = getKnownCategories();
+    const parsed = parseImportRecords().map((record) => {
+      const normalized = {
+        ...record,
+        description: record.description.trim(),
+        category:
+          record.type === "expense"
+            ? normalizeCategory(record.category, knownCategories)
+            : null,
+      };
+      return { ...normalized, error: validateRecord(normalized) };
+    });
+    await suggestImportCategories(parsed.filter((r) => !r.error));
+    let existing = [];
+    const bounds = getDateBounds(parsed.filter((r) => !r.error));
+    if (bounds) {
+      const rawExisting = await fetchChartData(
+        shiftDays(bounds.start, -3),
+        shiftDays(bounds.end, 3)
+      );
+      existing = rawExisting.map((t) => ({
+        description: t.description,
+        amount: t.amount,
+        type: t.type,
+        date: t.date.toDate().toISOString().split("T")[0],
+      }));
+    }
+    importState.records = flagDuplicates(parsed, existing).map((r) => ({
+      ...r,
+      selected: !r.error && !r.duplicateOf,
+    }));
+    renderImportPreview();
+  };
+
+  const handleImportFile = async (file) => {
+    const text = await file.text();
+    const format = detectFormat(file.name, text);
+    importState = { fileName: file.name, format, text, records: [] };
+    if (format === "csv") {
+      importState.rows = parseCSV(text);
+      importState.mapping = guessColumnMapping(importState.rows[0] || []);
+      renderImportMapping();
+    }
+    importMappingEl.classList.toggle("hidden", format !== "csv");
+    await buildImportPreview();
+  };
+
+  const loadImportHistory = async () => {
+    try {
+      const snapshot = await repo.getDocs(
+        query(importsCollection, orderBy("createdAt", "desc"), limit(10))
+      );
+      if (snapshot.empty) {
+        importHistoryList.innerHTML = `<li class="no-transactions">No imports yet.</li>`;
+        return;
+      }
+      importHistoryList.innerHTML = snapshot.docs
+        .map((importDoc) => {
+          const data = importDoc.data();
+          const importedOn = data.createdAt
+            ? data.createdAt.toDate().toLocaleDateString("en-US", {
+                month: "short",
+                day: "numeric",
+                year: "numeric",
+              })
+            : "Just now";
+          return `
+            <li>
+              <span>${escapeHTML(data.fileName)} &bull; ${
+            data.count
+          } rows &bull; ${importedOn}</span>
+              <button class="btn btn-secondary rollback-import-btn" data-id="${
+                importDoc.id
+              }">Roll Back</button>
+            </li>`;
+        })
+        .join("");
+    } catch (e) {
+      console.error("Error loading import history:", e);
+    }
+  };
+
+  const importTransactions = async (records) => {
+    const importRef = repo.doc(importsCollection);
+    const chunks = chunkArray(records, HISTORY_BATCH_SIZE);
+    try {
+      for (let i = 0; i < chunks.length; i++) {
+        const batch = createTransactionBatch();
+        // The import record goes in with the first chunk so a partially
+        // written import can still be found and rolled back.
+        if (i === 0) {
+          batch.set(importRef, {
+            fileName: importState.fileName,
+            format: importState.format,
+            count: records.length,
+            createdAt: serverTimestamp(),
+          });
+        }
+        chunks[i].forEach((record) => {
+          const data = {
+            description: record.description,
+            ...convertToBase(record.amount, getBaseCurrency(), 1),
+            date: Timestamp.fromDate(createTimezoneSafeDate(record.date)),
+            type: record.type,
+            searchTokens: buildSearchTokens(record.description),
+            importBatchId: importRef.id,
+            createdAt: serverTimestamp(),
+          };
+          if (record.type === "expense") data.category = record.category;
+          const transactionRef = repo.doc(transactionsCollection);
+          batch.set(transactionRef, data);
+          batch.adjustRollups(data);
+          recordHistory(batch, transactionRef.id, "create", {
+            source: "import",
+          });
+        });
+        await commitWrite(batch.commit());
+      }
+    } catch (e) {
+      console.error("Error importing transactions:", e);
+      alert(
+        "The import stopped part-way. Use Roll Back on the import to remove the rows that were written."
+      );
+    }
+    await updateGlobalSummary();
+    await resetAndRefresh();
+  };
+
+  const rollbackImport = async (importId) => {
+    try {
+      const snapshot = await repo.getDocs(
+        query(transactionsCollection, where("importBatchId", "==", importId))
+      );
+      await moveToTrash(
+        snapshot.docs.map((d) => ({ id: d.id, data: d.data() })),
+        "rollback"
+      );
+      await commitWrite(repo.deleteDoc(repo.doc(importsCollection, importId)));
+      await updateGlobalSummary();
+      await resetAndRefresh();
+      await loadImportHistory();
+    } catch (e) {
+      console.error("Error rolling back import:", e);
+    }
+  };
+
+  const openImportModal = () => {
+    importModal.classList.remove("hidden");
+    loadImportHistory();
+  };
+  const closeImportModal = () => {
+    importModal.classList.add("hidden");
+    importState = null;
+    importFileInput.value = "";
+    importMappingEl.classList.add("hidden");
+    importPreviewEl.classList.add("hidden");
+    importPreviewBody.innerHTML = "";
+    confirmImportBtn.disabled = true;
+  };
+
+  // --- INVOICES ---
+  const loadClients = async () => {
+    try {
+      const snapshot = await repo.getDocs(
+        query(clientsCollection, orderBy("name", "asc"))
+      );
+      clients = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    } catch (e) {
+      console.error("Error loading clients:", e);
+    }
+    renderClientSelects();
+  };
+
+  const addClient = async (client) => {
+    const docRef = await repo.addDoc(clientsCollection, {
+      ...client,
+      createdAt: serverTimestamp(),
+    });
+    clients.push({ id: docRef.id, ...client });
+    clients.sort((a, b) => a.name.localeCompare(b.name));
+    renderClientSelects();
+    return docRef.id;
+  };
+
+  // Sent invoices past their due date are persisted as overdue so the
+  // status filter and the receivables query see the same thing.
+  const refreshOverdueInvoices = async () => {
+    const today = getTodayDateString();
+    const snapshot = await repo.getDocs(
+      query(invoicesCollection, where("status", "==", "sent"))
+    );
+    const overdueDocs = snapshot.docs.filter((invoiceDoc) =>
+      isOverdue(invoiceDoc.data(), today)
+    );
+    for (const chunk of chunkArray(overdueDocs, WRITE_BATCH_SIZE)) {
+      const batch = repo.writeBatch();
+      chunk.forEach((invoiceDoc) =>
+        batch.update(invoiceDoc.ref, { status: "overdue" })
+      );
+      await commitWrite(batch.commit());
+    }
+  };
+
+  const loadInvoices = async () => {
+    try {
+      await refreshOverdueInvoices();
+      const snapshot = await repo.getDocs(
+        query(invoicesCollection, orderBy("issueDate", "desc"))
+      );
+      invoices = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    } catch (e) {
+      console.error("Error loading invoices:", e);
+    }
+    renderInvoiceList();
+  };
+
+  const renderInvoiceList = () => {
+    const status = invoiceStatusFilter.value;
+    const visible = invoices.filter(
+      (invoice) => status === "all" || invoice.status === status
+    );
+    if (visible.length === 0) {
+      invoiceList.innerHTML = `<li class="no-transactions">No invoices found.</li>`;
+      return;
+    }
+    invoiceList.innerHTML = visible
+      .map((invoice) => {
+        const actions = [
+          `<button class="btn btn-secondary" data-action="view" data-id="${invoice.id}">View</button>`,
+        ];
+        if (invoice.status === "draft") {
+          actions.push(
+            `<button class="btn btn-secondary" data-action="edit" data-id="${invoice.id}">Edit</button>`,
+            `<button class="btn btn-secondary" data-action="send" data-id="${invoice.id}">Mark Sent</button>`,
+            `<button class="btn btn-secondary" data-action="delete" data-id="${invoice.id}">Delete</button>`
+          );
+        }
+        if (OUTSTANDING_STATUSES.includes(invoice.status)) {
+          actions.push(
+            `<button class="btn" data-action="paid" data-id="${invoice.id}">Mark Paid</button>`
+          );
+        }
+        return `
+          <li>
+            <div class="invoice-info">
+              <span><strong>${escapeHTML(
+                invoice.number
+              )}</strong> &bull; ${escapeHTML(invoice.clientName)}</span>
+              <span class="invoice-meta">Due ${
+                invoice.dueDate
+              } &bull; ${formatCurrency(invoice.total, invoice.currency)}</span>
+            </div>
+            <div class="invoice-actions">
+              <span class="status-badge ${invoice.status}">${
+          invoice.status
+        }</span>
+              ${actions.join("")}
+            </div>
+          </li>`;
+      })
+      .join("");
+  };
+
+  const renderClientOptions = (selectedId) => {
+    invoiceClientDropdown.innerHTML = [
+      `<option value="" disabled ${
+        selectedId ? "" : "selected"
+      }>Select a client</option>`,
+      ...clients.map(
+        (client) =>
+          `<option value="${client.id}" ${
+            client.id === selectedId ? "selected" : ""
+          }>${escapeHTML(client.name)}</option>`
+      ),
+      `<option value="__new__">+ New client</option>`,
+    ].join("");
+    newClientFields.classList.add("hidden");
+  };
+
+  const addLineItemRow = (
+    item = { description: "", quantity: 1, rate: "" }
+  ) => {
+    const row = document.createElement("tr");
+    row.innerHTML = `
+      <td><input type="text" class="line-description" value="${escapeHTML(
+        item.description
+      )}" required /></td>
+      <td><input type="number" class="line-quantity" min="0" step="0.01" value="${
+        item.quantity
+      }" required /></td>
+      <td><input type="number" class="line-rate" min="0" step="0.01" value="${
+        item.rate
+      }" required /></td>
+      <td class="line-total">${formatCurrency(
+        calculateLineTotal(item),
+        invoiceCurrencyDropdown.value
+      )}</td>
+      <td><button type="button" class="delete-btn remove-line-btn" title="Remove">&times;</button></td>
+    `;
+    lineItemsBody.appendChild(row);
+  };
+
+  const readLineItems = () =>
+    Array.from(lineItemsBody.querySelectorAll("tr")).map((row) => ({
+      description: row.querySelector(".line-description").value.trim(),
+      quantity: parseFloat(row.querySelector(".line-quantity").value) || 0,
+      rate: parseFloat(row.querySelector(".line-rate").value) || 0,
+    }));
+
+  const updateInvoiceTotalsDisplay = () => {
+    const lineItems = readLineItems();
+    const currency = invoiceCurrencyDropdown.value;
+    Array.from(lineItemsBody.querySelectorAll("tr")).forEach((row, i) => {
+      row.querySelector(".line-total").textContent = formatCurrency(
+        calculateLineTotal(lineItems[i]),
+        currency
+      );
+    });
+    const { subtotal, tax, total } = calculateInvoiceTotals({
+      lineItems,
+      taxRate: parseFloat(invoiceForm.elements["invoice-tax-rate"].value),
+    });
+    invoiceTotalsEl.innerHTML = `
+      Subtotal: ${formatCurrency(subtotal, currency)}<br />
+      Tax: ${formatCurrency(tax, currency)}<br />
+      <strong>Total: ${formatCurrency(total, currency)}</strong>
+    `;
+  };
+
+  const openInvoiceEditor = (invoice = null) => {
+    invoiceForm.reset();
+    lineItemsBody.innerHTML = "";
+    const issueDate = getTodayDateString();
+    invoiceForm.elements["invoice-id"].value = invoice ? invoice.id : "";
+    invoiceForm.elements["invoice-number"].value = invoice
+      ? invoice.number
+      : getNextInvoiceNumber(invoices.map((i) => i.number));
+    invoiceForm.elements["invoice-issue-date"].value = invoice
+      ? invoice.issueDate
+      : issueDate;
+    invoiceForm.elements["invoice-due-date"].value = invoice
+      ? invoice.dueDate
+      : shiftDays(issueDate, INVOICE_PAYMENT_TERMS_DAYS);
+    invoiceForm.elements["invoice-tax-rate"].value = invoice
+      ? invoice.taxRate
+      : 0;
+    invoiceForm.elements["invoice-notes"].value = invoice
+      ? invoice.notes || ""
+      : "";
+    renderClientOptions(invoice ? invoice.clientId : null);
+    populateCurrencyOptions(
+      invoiceCurrencyDropdown,
+      invoice ? invoice.currency || getBaseCurrency() : getBaseCurrency()
+    );
+    (invoice ? invoice.lineItems : [undefined]).forEach((item) =>
+      addLineItemRow(item)
+    );
+    updateInvoiceTotalsDisplay();
+    invoiceListView.classList.add("hidden");
+    invoiceForm.classList.remove("hidden");
+  };
+
+  const closeInvoiceEditor = () => {
+    invoiceForm.classList.add("hidden");
+    invoiceListView.classList.remove("hidden");
+  };
+
+  const saveInvoice = async (form) => {
+    const invoiceId = form.elements["invoice-id"].value;
+    let clientId = form.elements["invoice-client"].value;
+    try {
+      if (clientId === "__new__") {
+        const name = form.elements["new-client-name"].value.trim();
+        if (!name) {
+          alert("Please enter a name for the new client.");
+          return false;
+        }
+        clientId = await addClient({
+          name,
+          email: form.elements["new-client-email"].value.trim(),
+          address: form.elements["new-client-address"].value.trim(),
+        });
+      }
+      const client = clients.find((c) => c.id === clientId);
+      const lineItems = readLineItems().filter(
+        (item) => item.description || item.rate
+      );
+      const taxRate = parseFloat(form.elements["invoice-tax-rate"].value) || 0;
+      const currency = form.elements["invoice-currency"].value;
+      const rate = getRate(currency);
+      if (!rate) {
+        alert(`Add an exchange rate for ${currency} under Currencies first.`);
+        return false;
+      }
+      const totals = calculateInvoiceTotals({ lineItems, taxRate });
+      const invoice = {
+        number: form.elements["invoice-number"].value.trim(),
+        clientId,
+        clientName: client ? client.name : "",
+        issueDate: form.elements["invoice-issue-date"].value,
+        dueDate: form.elements["invoice-due-date"].value,
+        lineItems,
+        taxRate,
+        notes: form.elements["invoice-notes"].value.trim(),
+        currency,
+        ...totals,
+        baseTotal: convertToBase(totals.total, currency, rate).amount,
+      };
+      if (invoiceId) {
+        await repo.updateDoc(repo.doc(invoicesCollection, invoiceId), invoice);
+      } else {
+        await repo.addDoc(invoicesCollection, {
+          ...invoice,
+          status: "draft",
+          paidDate: null,
+          transactionId: null,
+          createdAt: serverTimestamp(),
+        });
+      }
+      await loadInvoices();
+      return true;
+    } catch (e) {
+      console.error("Error saving invoice:", e);
+      return false;
+    }
+  };
+
+  const setInvoiceStatus = async (invoiceId, status) => {
+    try {
+      await repo.updateDoc(repo.doc(invoicesCollection, invoiceId), { status });
+      await loadInvoices();
+      await updateGlobalSummary();
+    } catch (e) {
+      console.error("Error updating invoice status:", e);
+    }
+  };
+
+  // Queues the income with queueNewTransaction and writes it in one batch
+  // with the invoice's paid status, each linked to the other.
+  const markInvoicePaid = async (invoice) => {
+    const paidDate = getTodayDateString();
+    const currency = invoice.currency || getBaseCurrency();
+    const rate =
+      getRate(currency) ||
+      (invoice.total ? invoice.baseTotal / invoice.total : 1);
+    // A failure can't leave the invoice outstanding with its payment
+    // recorded, or paid without one.
+    try {
+      const batch = createTransactionBatch();
+      const transactionId = queueNewTransaction(batch, {
+        description: `Invoice ${invoice.number} - ${invoice.clientName}`,
+        ...convertToBase(invoice.total, currency, rate),
+        date: Timestamp.fromDate(createTimezoneSafeDate(paidDate)),
+        type: "income",
+        invoiceId: invoice.id,
+        clientId: invoice.clientId || null,
+        project: null,
+      });
+      batch.update(repo.doc(invoicesCollection, invoice.id), {
+        status: "paid",
+        paidDate,
+        transactionId,
+      });
+      await commitWrite(batch.commit());
+    } catch (e) {
+      console.error("Error marking invoice paid:", e);
+      alert("Could not record the payment. Please try again.");
+      return;
+    }
+    await loadInvoices();
+    await updateGlobalSummary();
+    await resetAndRefresh();
+  };
+
+  const deleteInvoice = async (invoiceId) => {
+    try {
+      await repo.deleteDoc(repo.doc(invoicesCollection, invoiceId));
+      await loadInvoices();
+    } catch (e) {
+      console.error("Error deleting invoice:", e);
+    }
+  };
+
+  const viewInvoice = (invoice) => {
+    const client = clients.find((c) => c.id === invoice.clientId);
+    const invoiceWindow = window.open("", "_blank");
+    if (!invoiceWindow) {
+      alert("Please allow pop-ups to view the invoice.");
+      return;
+    }
+    invoiceWindow.document.write(renderInvoiceHTML(invoice, client));
+    invoiceWindow.document.close();
+  };
+
+  const openInvoicesModal = async () => {
+    invoicesModal.classList.remove("hidden");
+    closeInvoiceEditor();
+    await loadClients();
+    await loadInvoices();
+  };
+  const closeInvoicesModal = () => invoicesModal.classList.add("hidden");
+
+  // --- CURRENCIES ---
+  const loadPreferences = async () => {
+    try {
+      const snapshot = await repo.getDoc(preferencesRef);
+      if (!snapshot.exists()) return;
+      const preferences = snapshot.data();
+      if (preferences.baseCurrency) setBaseCurrency(preferences.baseCurrency);
+      if (preferences.tax) taxSettings = { ...taxSettings, ...preferences.tax };
+      currencyMigration = preferences.currencyMigration || null;
+      if (preferences.fiscalYearStart)
+        fiscalYearStart = preferences.fiscalYearStart;
+      // Custom ranges saved before they were checked may be incomplete.
+      if (
+        preferences.dashboardPeriod &&
+        getDashboardRange(
+          preferences.dashboardPeriod,
+          getTodayDateString(),
+          fiscalYearStart
+        )
+      )
+        dashboardSelection = {
+          ...dashboardSelection,
+          ...preferences.dashboardPeriod,
+        };
+    } catch (e) {
+      console.error("Error loading preferences:", e);
+    }
+  };
+
+  const renderRatesList = () => {
+    const base = getBaseCurrency();
+    const rates = getExchangeRates();
+    ratesBaseLabel.textContent = base;
+    const codes = Object.keys(rates)
+      .filter((code) => code !== base)
+      .sort();
+    ratesList.innerHTML =
+      codes.length === 0
+        ? `<li class="no-transactions">No exchange rates yet.</li>`
+        : codes
+            .map(
+              (code) => `
+          <li>
+            <span class="rate-code">${code}</span>
+            <input type="number" min="0" step="any" data-code="${code}" value="${rates[code]}" />
+            <button type="button" class="delete-btn" data-code="${code}" title="Remove">&times;</button>
+          </li>`
+            )
+            .join("");
+    populateCurrencyOptions(
+      newRateCurrencyDropdown,
+      SUPPORTED_CURRENCIES.find((code) => code !== base && !rates[code])
+    );
+  };
+
+  const saveRate = (code, value) => {
+    const rates = getExchangeRates();
+    if (value > 0) rates[code] = value;
+    else delete rates[code];
+    setExchangeRates(rates);
+  };
+
+  // Rewrites every stored base-currency figure so sums stay consistent.
+  // Foreign transactions keep their original amount and get a rebased rate.
+  const changeBaseCurrency = async (newBase) => {
+    const oldBase = getBaseCurrency();
+    const rates = getExchangeRates();
+    const newRates = rebaseRates(rates, oldBase, newBase);
+    if (!newRates) {
+      alert(`Add an exchange rate for ${newBase} before making it the base.`);
+      return false;
+    }
+    const oldBaseInNew = newRates[oldBase];
+    // A change that stopped part-way can only be finished, since some
+    // amounts are already in its currency.
+    if (currencyMigration && currencyMigration.to !== newBase) {
+      alert(
+        `Finish changing the base currency to ${currencyMigration.to} before picking another one.`
+      );
+      return false;
+    }
+    // The change is recorded first and every converted document is stamped
+    // with its new base, so a retry skips what was already converted.
+    const isConverted = (snapshotDoc) =>
+      snapshotDoc.data().baseCurrency === newBase;
+    const resuming = Boolean(currencyMigration);
+    let convertedCount = 0;
+    try {
+      const [
+        transactionSnapshot,
+        trashSnapshot,
+        invoiceSnapshot,
+        budgetSnapshot,
+        timeEntrySnapshot,
+      ] = await Promise.all([
+        repo.getDocs(transactionsCollection),
+        repo.getDocs(trashCollection),
+        repo.getDocs(invoicesCollection),
+        repo.getDocs(budgetsCollection),
+        repo.getDocs(timeEntriesCollection),
+      ]);
+      // An invoice's total can only be converted with a rate for its own
+      // currency, so the change stops before anything is written without one.
+      const missingRates = [
+        ...new Set(
+          invoiceSnapshot.docs
+            .filter((d) => !isConverted(d))
+            .map((d) => d.data().currency || oldBase)
+            .filter((currency) => currency !== newBase && !newRates[currency])
+        ),
+      ];
+      if (missingRates.length) {
+        alert(
+          `Some invoices are in ${missingRates.join(
+            ", "
+          )}. Add an exchange rate for ${
+            missingRates.length === 1 ? "it" : "each"
+          } before changing the base currency.`
+        );
+        return false;
+      }
+      currencyMigration = { from: oldBase, to: newBase };
+      await commitWrite(
+        repo.setDoc(preferencesRef, { currencyMigration }, { merge: true })
+      );
+      const rebaseTransaction = (t) => {
+        const currency = t.currency || oldBase;
+        const originalAmount = t.originalAmount ?? t.amount;
+        const exchangeRate =
+          currency === newBase
+            ? 1
+            : Math.round((t.exchangeRate || 1) * oldBaseInNew * 1e6) / 1e6;
+        return {
+          amount: Math.round(originalAmount * exchangeRate * 100) / 100,
+          originalAmount,
+          currency,
+          exchangeRate,
+          baseCurrency: newBase,
+        };
+      };
+      // Trashed transactions are rebased too, so they come back right.
+      const updates = trashSnapshot.docs
+        .filter((trashDoc) => !isConverted(trashDoc))
+        .map((trashDoc) => [trashDoc.ref, rebaseTransaction(trashDoc.data())]);
+      invoiceSnapshot.docs
+        .filter((d) => !isConverted(d))
+        .forEach((invoiceDoc) => {
+          const invoice = invoiceDoc.data();
+          const currency = invoice.currency || oldBase;
+          const rate = currency === newBase ? 1 : newRates[currency];
+          updates.push([
+            invoiceDoc.ref,
+            {
+              currency,
+              baseTotal: Math.round((invoice.total || 0) * rate * 100) / 100,
+              baseCurrency: newBase,
+            },
+          ]);
+        });
+      budgetSnapshot.docs
+        .filter((d) => !isConverted(d))
+        .forEach((budgetDoc) => {
+          const { amount } = budgetDoc.data();
+          updates.push([
+            budgetDoc.ref,
+            {
+              amount: Math.round(amount * oldBaseInNew * 100) / 100,
+              baseCurrency: newBase,
+            },
+          ]);
+        });
+      timeEntrySnapshot.docs
+        .filter((d) => !isConverted(d))
+        .forEach((entryDoc) => {
+          const { hourlyRate } = entryDoc.data();
+          updates.push([
+            entryDoc.ref,
+            {
+              hourlyRate:
+                Math.round((hourlyRate || 0) * oldBaseInNew * 100) / 100,
+              baseCurrency: newBase,
+            },
+          ]);
+        });
+      for (const chunk of chunkArray(
+        transactionSnapshot.docs.filter((d) => !isConverted(d)),
+        HISTORY_BATCH_SIZE
+      )) {
+        const batch = createTransactionBatch();
+        chunk.forEach((transactionDoc) =>
+          queueTransactionUpdate(
+            batch,
+            transactionDoc.id,
+            transactionDoc.data(),
+            rebaseTransaction(transactionDoc.data()),
+            "currency"
+          )
+        );
+        await commitWrite(batch.commit());
+        convertedCount += chunk.length;
+      }
+      for (const chunk of chunkArray(updates, WRITE_BATCH_SIZE)) {
+        const batch = repo.writeBatch();
+        chunk.forEach(([ref, data]) => batch.update(ref, data));
+        await commitWrite(batch.commit());
+        convertedCount += chunk.length;
+      }
+      await commitWrite(
+        repo.setDoc(
+          preferencesRef,
+          { baseCurrency: newBase, currencyMigration: null },
+          { merge: true }
+        )
+      );
+      currencyMigration = null;
+      setBaseCurrency(newBase);
+      setExchangeRates(newRates);
+      await loadTimeEntries();
+      return true;
+    } catch (e) {
+      console.error("Error changing base currency:", e);
+      if (!convertedCount && !resuming) {
+        currencyMigration = null;
+        repo
+          .setDoc(preferencesRef, { currencyMigration: null }, { merge: true })
+          .catch((err) =>
+            console.error("Error clearing currency change:", err)
+          );
+      }
+      alert(
+        convertedCount
+          ? `The change stopped part-way: ${convertedCount} records were converted to ${newBase}, the rest are still in ${oldBase}. Your base currency is still ${oldBase}. Pick ${newBase} again to convert the rest.`
+          : resuming
+          ? `Could not finish changing the base currency to ${newBase}. Your base currency is still ${oldBase}; pick ${newBase} again to retry.`
+          : "Could not change the base currency. Nothing was converted."
+      );
+      return false;
+    }
+  };
+
+  const importRatesFile = async (file) => {
+    try {
+      const text = await file.text();
+      const imported = parseRatesFile(file.name, text, getBaseCurrency());
+      const count = Object.keys(imported).length;
+      if (count === 0) {
+        alert("No exchange rates were found in that file.");
+        return;
+      }
+      setExchangeRates({ ...getExchangeRates(), ...imported });
+      renderRatesList();
+      alert(`Imported ${count} exchange rates.`);
+    } catch (e) {
+      console.error("Error importing rates file:", e);
+      alert(`Could not read the rates file: ${e.message}`);
+    }
+  };
+
+  const openCurrencyModal = () => {
+    populateCurrencyOptions(baseCurrencyDropdown);
+    renderRatesList();
+    currencyModal.classList.remove("hidden");
+  };
+  const closeCurrencyModal = () => {
+    currencyModal.classList.add("hidden");
+    ratesFileInput.value = "";
+    populateCurrencyOptions(currencyDropdown, currencyDropdown.value);
+    syncExchangeRateInput(currencyDropdown.value, exchangeRateInput);
+  };
+
+  // --- TAX PLAN ---
+  const renderTaxPlan = () => {
+    if (!taxSummary) return;
+    const { year, estimate, paid } = taxSummary;
+    taxModalYearEl.textContent = `(${year})`;
+    taxBreakdownList.innerHTML = [
+      ...estimate.lines.map(
+        (line) =>
+          `<li><span>${escapeHTML(line.label)}</span><span>${formatCurrency(
+            line.amount
+          )}</span></li>`
+      ),
+      `<li class="total"><span>Estimated tax</span><span>${formatCurrency(
+        estimate.total
+      )}</span></li>`,
+      `<li><span>Paid so far</span><span>${formatCurrency(paid)}</span></li>`,
+      `<li class="total"><span>Still owed</span><span>${formatCurrency(
+        Math.max(0, estimate.total - paid)
+      )}</span></li>`,
+    ].join("");
+    const today = getTodayDateString();
+    taxScheduleBody.innerHTML = getEstimatedPaymentSchedule(
+      year,
+      estimate.total,
+      paid
+    )
+      .map(
+        (installment) => `
+        <tr class="${
+          installment.remaining > 0 && installment.dueDate < today
+            ? "is-duplicate"
+            : ""
+        }">
+          <td>Q${installment.quarter}</td>
+          <td>${installment.dueDate}</td>
+          <td>${formatCurrency(installment.amount)}</td>
+          <td>${formatCurrency(installment.paid)}</td>
+          <td>${formatCurrency(installment.remaining)}</td>
+        </tr>`
+      )
+      .join("");
+  };
+
+  const loadTaxPayments = async () => {
+    try {
+      const snapshot = await repo.getDocs(
+        query(
+          taxPaymentsCollection,
+          where("year", "==", taxSummary.year),
+          orderBy("date", "desc")
+        )
+      );
+      taxPaymentsList.innerHTML = snapshot.empty
+        ? `<li class="no-transactions">No payments recorded for ${taxSummary.year}.</li>`
+        : snapshot.docs
+            .map((paymentDoc) => {
+              const payment = paymentDoc.data();
+              return `
+            <li>
+              <span>${payment.date} &bull; ${formatCurrency(
+                payment.amount
+              )}</span>
+              <button class="delete-btn" data-id="${
+                paymentDoc.id
+              }" title="Delete">&times;</button>
+            </li>`;
+            })
+            .join("");
+    } catch (e) {
+      console.error("Error loading tax payments:", e);
+    }
+  };
+
+  const recordTaxPayment = async (amount, date) => {
+    try {
+      await repo.addDoc(taxPaymentsCollection, {
+        amount,
+        date,
+        year: taxSummary.year,
+        createdAt: serverTimestamp(),
+      });
+      await updateGlobalSummary();
+      renderTaxPlan();
+      await loadTaxPayments();
+    } catch (e) {
+      console.error("Error recording tax payment:", e);
+    }
+  };
+
+  const deleteTaxPayment = async (paymentId) => {
+    try {
+      await repo.deleteDoc(repo.doc(taxPaymentsCollection, paymentId));
+      await updateGlobalSummary();
+      renderTaxPlan();
+      await loadTaxPayments();
+    } catch (e) {
+      console.error("Error deleting tax payment:", e);
+    }
+  };
+
+  const saveTaxSettings = async () => {
+    taxSettings = {
+      profile: taxProfileDropdown.value,
+      filingStatus: filingStatusDropdown.value,
+      flatRate: (parseFloat(flatTaxRateInput.value) || 0) / 100,
+    };
+    try {
+      await repo.setDoc(preferencesRef, { tax: taxSettings }, { merge: true });
+    } catch (e) {
+      console.error("Error saving tax settings:", e);
+    }
+    await updateGlobalSummary();
+    renderTaxPlan();
+  };
+
+  const syncTaxSettingsForm = () => {
+    const isFlat = taxProfileDropdown.value === "flat";
+    filingStatusGroup.classList.toggle("hidden", isFlat);
+    flatTaxRateGroup.classList.toggle("hidden", !isFlat);
+  };
+
+  const openTaxModal = async () => {
+    taxProfileDropdown.innerHTML = Object.entries(TAX_PROFILES)
+      .map(
+        ([id, profile]) =>
+          `<option value="${id}" ${
+            id === taxSettings.profile ? "selected" : ""
+          }>${profile.name}</option>`
+      )
+      .join("");
+    filingStatusDropdown.innerHTML = Object.entries(FILING_STATUSES)
+      .map(
+        ([id, label]) =>
+          `<option value="${id}" ${
+            id === taxSettings.filingStatus ? "selected" : ""
+          }>${label}</option>`
+      )
+      .join("");
+    flatTaxRateInput.value = Math.round(taxSettings.flatRate * 1000) / 10;
+    syncTaxSettingsForm();
+    taxPaymentForm.elements["tax-payment-date"].value = getTodayDateString();
+    taxModal.classList.remove("hidden");
+    renderTaxPlan();
+    await loadTaxPayments();
+  };
+  const closeTaxModal = () => taxModal.classList.add("hidden");
+
+  // --- CATEGORIES ---
+  const renderCategoryDropdowns = () => {
+    renderCategoryOptions(categoryDropdown, categories);
+    renderCategoryOptions(categoryFilterDropdown, categories, {
+      includeAll: true,
+      includeArchived: true,
+    });
+    renderCategoryOptions(editCategoryDropdown, categories);
+    renderCategoryOptions(bulkCategoryDropdown, categories);
+    renderCategoryOptions(budgetCategoryDropdown, categories);
+    renderCategoryOptions(searchCategoriesDropdown, categories, {
+      includeArchived: true,
+    });
+    Array.from(searchCategoriesDropdown.options).forEach((option) => {
+      option.selected = Boolean(
+        currentSearch && currentSearch.categories.includes(option.value)
+      );
+    });
+  };
+
+  // Defaults use their key as the document id so two tabs seeding at once
+  // write the same documents.
+  const seedDefaultCategories = async () => {
+    const batch = repo.writeBatch();
+    DEFAULT_CATEGORIES.forEach((category) =>
+      batch.set(repo.doc(categoriesCollection, category.key), {
+        ...category,
+        archived: false,
+        createdAt: serverTimestamp(),
+      })
+    );
+    await commitWrite(batch.commit());
+  };
+
+  const loadCategories = async () => {
+    try {
+      let snapshot = await repo.getDocs(categoriesCollection);
+      if (snapshot.empty) {
+        await seedDefaultCategories();
+        snapshot = await repo.getDocs(categoriesCollection);
+      }
+      categories = snapshot.docs
+        .map((doc) => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (e) {
+      console.error("Error loading categories:", e);
+      if (categories.length === 0)
+        categories = DEFAULT_CATEGORIES.map((c) => ({ id: c.key, ...c }));
+    }
+    renderCategoryDropdowns();
+  };
+
+  // Points every transaction and recurring schedule using oldKey at newKey.
+  const rewriteCategoryKey = async (oldKey, newKey) => {
+    const [transactionSnapshot, trashSnapshot, recurringSnapshot] =
+      await Promise.all([
+        repo.getDocs(
+          query(transactionsCollection, where("category", "==", oldKey))
+        ),
+        repo.getDocs(query(trashCollection, where("category", "==", oldKey))),
+        repo.getDocs(
+          query(recurringCollection, where("category", "==", oldKey))
+        ),
+      ]);
+    for (const chunk of chunkArray(
+      transactionSnapshot.docs,
+      HISTORY_BATCH_SIZE
+    )) {
+      const batch = createTransactionBatch();
+      chunk.forEach((transactionDoc) =>
+        queueTransactionUpdate(
+          batch,
+          transactionDoc.id,
+          transactionDoc.data(),
+          { category: newKey },
+          "categories"
+        )
+      );
+      await commitWrite(batch.commit());
+    }
+    // Trashed transactions move too, so a restore lands in a live category.
+    const refs = [...trashSnapshot.docs, ...recurringSnapshot.docs].map(
+      (snapshotDoc) => snapshotDoc.ref
+    );
+    for (const chunk of chunkArray(refs, WRITE_BATCH_SIZE)) {
+      const batch = repo.writeBatch();
+      chunk.forEach((ref) => batch.update(ref, { category: newKey }));
+      await commitWrite(batch.commit());
+    }
+    renameModelCategory(categoryModel, oldKey, newKey);
+    await saveCategoryModel();
+    // A budget moves with its category unless the target already has one
+    // for the same period, in which case the target's limit wins.
+    const [sourceBudgets, targetBudgets] = await Promise.all([
+      repo.getDocs(query(budgetsCollection, where("category", "==", oldKey))),
+      repo.getDocs(query(budgetsCollection, where("category", "==", newKey))),
+    ]);
+    if (!sourceBudgets.empty) {
+      const targetPeriods = targetBudgets.docs.map((d) => d.data().period);
+      const batch = repo.writeBatch();
+      sourceBudgets.docs.forEach((budgetDoc) => {
+        if (targetPeriods.includes(budgetDoc.data().period))
+          batch.delete(budgetDoc.ref);
+        else batch.update(budgetDoc.ref, { category: newKey });
+      });
+      await commitWrite(batch.commit());
+    }
+    if (currentFilter.category === oldKey) currentFilter.category = newKey;
+  };
+
+  const afterCategoryChange = async () => {
+    await loadCategories();
+    await loadBudgets();
+    renderCategoryManager();
+    await updateGlobalSummary();
+    await refreshData();
+  };
+
+  const addCategory = async (category) => {
+    const key = slugifyCategory(category.name);
+    if (!key) return;
+    if (findCategory(categories, key)) {
+      alert(`A category called "${category.name}" already exists.`);
+      return;
+    }
+    try {
+      await repo.addDoc(categoriesCollection, {
+        ...category,
+        key,
+        archived: false,
+        createdAt: serverTimestamp(),
+      });
+      await loadCategories();
+      renderCategoryManager();
+    } catch (e) {
+      console.error("Error adding category:", e);
+    }
+  };
+
+  const updateCategory = async (category, data) => {
+    try {
+      await repo.updateDoc(repo.doc(categoriesCollection, category.id), data);
+      Object.assign(category, data);
+      renderCategoryDropdowns();
+      renderCategoryManager();
+      renderTransactions();
+    } catch (e) {
+      console.error("Error updating category:", e);
+    }
+  };
+
+  const renameCategory = async (category, newName) => {
+    const newKey = slugifyCategory(newName);
+    if (!newKey) return;
+    if (newKey === category.key) {
+      await updateCategory(category, { name: newName });
+      return;
+    }
+    if (findCategory(categories, newKey)) {
+      alert(
+        `"${newName}" already exists. Use Merge to combine the two categories.`
+      );
+      renderCategoryManager();
+      return;
+    }
+    try {
+      // The key changes last, so a rename that fails part-way keeps the old
+      // key and trying again rewrites whatever still points at it.
+      await rewriteCategoryKey(category.key, newKey);
+      await commitWrite(
+        repo.updateDoc(repo.doc(categoriesCollection, category.id), {
+          key: newKey,
+          name: newName,
+        })
+      );
+      await afterCategoryChange();
+    } catch (e) {
+      console.error("Error renaming category:", e);
+      alert("The rename did not finish. Please try again.");
+    }
+  };
+
+  const mergeCategory = async (source, target) => {
+    try {
+      await rewriteCategoryKey(source.key, target.key);
+      await commitWrite(
+        repo.deleteDoc(repo.doc(categoriesCollection, source.id))
+      );
+      await afterCategoryChange();
+    } catch (e) {
+      console.error("Error merging categories:", e);
+      alert("The merge did not finish. Please try again.");
+    }
+  };
+
+  const renderCategoryManager = () => {
+    const showArchived = showArchivedCategoriesInput.checked;
+    const visible = categories.filter((c) => showArchived || !c.archived);
+    categoryManagerList.innerHTML = visible
+      .map((category) => {
+        const isFallback = category.key === FALLBACK_CATEGORY_KEY;
+        const mergeTargets = categories
+          .filter((c) => c.id !== category.id && !c.archived)
+          .map((c) => `<option value="${c.id}">${escapeHTML(c.name)}</option>`)
+          .join("");
+        return `
+          <li class="${category.archived ? "archived" : ""}" data-id="${
+          category.id
+        }">
+            <input type="text" class="icon-input" data-field="icon" value="${escapeHTML(
+              category.icon || ""
+            )}" maxlength="4" />
+            <input type="text" class="category-name-input" data-field="name" value="${escapeHTML(
+              category.name
+            )}" />
+            <input type="color" data-field="color" value="${category.color}" />
+            <label class="checkbox-label">
+              <input type="checkbox" data-field="taxDeductible" ${
+                category.taxDeductible ? "checked" : ""
+              } />
+              Deductible
+            </label>
+            <select data-field="scheduleCLine" title="Schedule C line" ${
+              category.taxDeductible ? "" : "disabled"
+            }>
+              ${SCHEDULE_C_LINES.map(
+                ({ line, label }) =>
+                  `<option value="${line}" ${
+                    line === getScheduleCLine(category) ? "selected" : ""
+                  }>Line ${line}: ${label}</option>`
+              ).join("")}
+            </select>
+            ${
+              isFallback
+                ? ""
+                : `<button class="btn btn-secondary" data-action="archive">${
+                    category.archived ? "Unarchive" : "Archive"
+                  }</button>
+            <select data-role="merge-target">
+              <option value="">Merge into...</option>
+              ${mergeTargets}
+            </select>`
+            }
+          </li>`;
+      })
+      .join("");
+  };
+
+  const openCategoriesModal = () => {
+    renderCategoryManager();
+    categoriesModal.classList.remove("hidden");
+  };
+  const closeCategoriesModal = () => categoriesModal.classList.add("hidden");
+
+  // --- CATEGORY SUGGESTIONS ---
+  // Built from the expense history the first time, then kept up to date as
+  // the user chooses and corrects categories.
+  const loadCategoryModel = async () => {
+    try {
+      const snapshot = await repo.getDoc(categoryModelRef);
+      if (
+        snapshot.exists() &&
+        snapshot.data().version === CATEGORY_MODEL_VERSION
+      ) {
+        categoryModel = snapshot.data();
+        return;
+      }
+      const expenses = await repo.getDocs(
+        query(transactionsCollection, where("type", "==", "expense"))
+      );
+      categoryModel = buildCategoryModel(expenses.docs.map((d) => d.data()));
+      await repo.setDoc(categoryModelRef, categoryModel);
+    } catch (e) {
+      console.error("Error loading category model:", e);
+    }
+  };
+
+  const saveCategoryModel = async () => {
+    try {
+      await repo.setDoc(categoryModelRef, categoryModel);
+    } catch (e) {
+      console.error("Error saving category model:", e);
+      showToast("Category suggestions could not be saved.", {
+        variant: "warning",
+      });
+    }
+  };
+
+  // `previous` is the { description, category } the choice replaces.
+  const recordCategoryChoice = (description, category, previous = null) => {
+    if (previous)
+      learnCategory(categoryModel, previous.description, previous.category, -1);
+    learnCategory(categoryModel, description, category);
+    saveCategoryModel();
+  };
+
+  const getSuggestableCategories = () =>
+    categories.filter((c) => !c.archived && c.key !== FALLBACK_CATEGORY_KEY);
+
+  // A confident suggestion from the user's own history, or null.
+  const suggestFromHistory = (description) => {
+    const suggestion = suggestCategory(
+      categoryModel,
+      description,
+      getSuggestableCategories().map((c) => c.key)
+    );
+    return suggestion && suggestion.confidence >= SUGGESTION_CONFIDENCE
+      ? suggestion
+      : null;
+  };
+
+  // A category key or null per description; all null without a provider
+  // that can follow a prompt.
+  const suggestWithAI = async (descriptions) => {
+    const suggestions = descriptions.map(() => null);
+    if (aiProvider.offline) return suggestions;
+    const options = getSuggestableCategories();
+    const chunks = chunkArray(descriptions, AI_CATEGORIZE_BATCH_SIZE);
+    for (const [index, chunk] of chunks.entries()) {
+      try {
+        const reply = await generateText(
+          aiProvider,
+          buildCategorizePrompt(chunk, options)
+        );
+        readCategorizeResponse(
+          reply,
+          chunk.length,
+          options.map((c) => c.key)
+        ).forEach((key, i) => {
+          suggestions[index * AI_CATEGORIZE_BATCH_SIZE + i] = key;
+        });
+      } catch (e) {
+        console.error("AI categorization failed:", e);
+      }
+    }
+    return suggestions;
+  };
+
+  // Fills in the add form's category from its description. The AI is only
+  // asked once the description is finished (on change), not per keystroke.
+  const suggestFormCategory = async (useAI) => {
+    const description = transactionForm.elements.description.value.trim();
+    if (categoryPicked || !description) return;
+    let category = (suggestFromHistory(description) || {}).category;
+    if (!category && useAI && typeDropdown.value === "expense") {
+      [category] = await suggestWithAI([description]);
+      if (
+        categoryPicked ||
+        transactionForm.elements.description.value.trim() !== description
+      )
+        return;
+    }
+    categoryDropdown.classList.toggle("is-suggested", Boolean(category));
+    if (category) categoryDropdown.value = category;
+  };
+
+  const resetFormCategorySuggestion = () => {
+    categoryPicked = false;
+    categoryDropdown.classList.remove("is-suggested");
+  };
+
+  // Import rows the file didn't categorize get the same suggestions.
+  const suggestImportCategories = async (records) => {
+    const unsure = [];
+    records.forEach((record) => {
+      if (
+        record.type !== "expense" ||
+        record.category !== FALLBACK_CATEGORY_KEY
+      )
+        return;
+      const suggestion = suggestFromHistory(record.description);
+      if (suggestion) {
+        record.category = suggestion.category;
+        record.suggested = true;
+      } else if (record.description) {
+        unsure.push(record);
+      }
+    });
+    const keys = await suggestWithAI(unsure.map((r) => r.description));
+    unsure.forEach((record, i) => {
+      if (!keys[i]) return;
+      record.category = keys[i];
+      record.suggested = true;
+    });
+  };
+
+  const renderReviewQueue = () => {
+    const suggestedCount = reviewItems.filter((item) => item.category).length;
+    reviewSummaryEl.textContent = reviewItems.length
+      ? `${reviewItems.length} ${
+          reviewItems.length === 1 ? "expense is" : "expenses are"
+        } filed under "${getCategoryLabel(
+          categories,
+          FALLBACK_CATEGORY_KEY
+        )}" or uncategorized; ${suggestedCount} ${
+          suggestedCount === 1 ? "has" : "have"
+        } a suggestion.`
+      : "Nothing to review. Every expense has a category.";
+    const options = getSuggestableCategories();
+    reviewBody.innerHTML = reviewItems
+      .map(
+        (item, i) => `
+          <tr>
+            <td><input type="checkbox" data-index="${i}" ${
+          item.selected ? "checked" : ""
+        } ${item.category ? "" : "disabled"}></td>
+            <td>${item.date.toDate().toISOString().split("T")[0]}</td>
+            <td>${escapeHTML(item.description)}</td>
+            <td class="expense-color">${formatCurrency(item.amount)}</td>
+            <td><select data-index="${i}">
+              <option value="">Choose...</option>
+              ${options
+                .map(
+                  (c) =>
+                    `<option value="${escapeHTML(c.key)}" ${
+                      c.key === item.category ? "selected" : ""
+                    }>${escapeHTML(c.name)}</option>`
+                )
+                .join("")}
+            </select></td>
+            <td class="import-status">${escapeHTML(item.source)}</td>
+          </tr>`
+      )
+      .join("");
+    reviewSelectAllInput.checked = reviewItems.some((item) => item.selected);
+    acceptReviewBtn.disabled = !reviewItems.some(
+      (item) => item.selected && item.category
+    );
+  };
+
+  const loadReviewQueue = async () => {
+    reviewSummaryEl.textContent = "Loading...";
+    reviewBody.innerHTML = "";
+    try {
+      const snapshot = await repo.getDocs(
+        query(
+          transactionsCollection,
+          where("type", "==", "expense"),
+          where("category", "in", [FALLBACK_CATEGORY_KEY, ""])
+        )
+      );
+      reviewItems = snapshot.docs
+        .map((transactionDoc) => {
+          const data = transactionDoc.data();
+          const suggestion = suggestFromHistory(data.description);
+          return {
+            id: transactionDoc.id,
+            data,
+            description: data.description,
+            amount: data.amount,
+            date: data.date,
+            category: suggestion ? suggestion.category : "",
+            source: suggestion
+              ? `History (${Math.round(suggestion.confidence * 100)}%)`
+              : "",
+            selected: Boolean(suggestion),
+          };
+        })
+        .sort((a, b) => b.date.toMillis() - a.date.toMillis());
+      renderReviewQueue();
+      const unsure = reviewItems.filter((item) => !item.category);
+      if (unsure.length && !aiProvider.offline) {
+        reviewSummaryEl.textContent = `Asking AI about ${unsure.length} ${
+          unsure.length === 1 ? "expense" : "expenses"
+        }...`;
+        const keys = await suggestWithAI(
+          unsure.map((item) => item.description)
+        );
+        unsure.forEach((item, i) => {
+          if (!keys[i] || item.category) return;
+          item.category = keys[i];
+          item.source = "AI";
+          item.selected = true;
+        });
+        renderReviewQueue();
+      }
+    } catch (e) {
+      console.error("Error loading review queue:", e);
+      reviewSummaryEl.textContent = "The review list could not be loaded.";
+    }
+  };
+
+  const acceptReviewSuggestions = async () => {
+    const accepted = reviewItems.filter(
+      (item) => item.selected && item.category
+    );
+    if (accepted.length === 0) return;
+    acceptReviewBtn.disabled = true;
+    try {
+      for (const chunk of chunkArray(accepted, HISTORY_BATCH_SIZE)) {
+        const batch = createTransactionBatch();
+        chunk.forEach((item) =>
+          queueTransactionUpdate(
+            batch,
+            item.id,
+            item.data,
+            { category: item.category },
+            "review"
+          )
+        );
+        await commitWrite(batch.commit());
+      }
+      accepted.forEach((item) =>
+        learnCategory(categoryModel, item.description, item.category)
+      );
+      await saveCategoryModel();
+      showToast(
+        `Recategorized ${accepted.length} ${
+          accepted.length === 1 ? "expense" : "expenses"
+        }.`
+      );
+      await refreshData();
+    } catch (e) {
+      console.error("Error applying category suggestions:", e);
+      alert("Some categories were not saved. Please try again.");
+    }
+    await loadReviewQueue();
+  };
+
+  const openReviewModal = () => {
+    reviewModal.classList.remove("hidden");
+    loadReviewQueue();
+  };
+  const closeReviewModal = () => reviewModal.classList.add("hidden");
+
+  // --- BUDGETS ---
+  // Same aggregation style as updateGlobalSummary, narrowed to one category.
+  const fetchCategorySpend = async (category, startDate, endDate) => {
+    const q = query(
+      transactionsCollection,
+      where("type", "==", "expense"),
+      where("category", "==", category),
+      where(
+        "date",
+        ">=",
+        Timestamp.fromDate(createTimezoneSafeDate(startDate))
+      ),
+      where("date", "<=", Timestamp.fromDate(new Date(endDate + "T23:59:59Z")))
+    );
+    const { total } = await repo.aggregate(q);
+    return total;
+  };
+
+  // Loads every budget with its spend for the period containing today.
+  const loadBudgets = async () => {
+    try {
+      const snapshot = await repo.getDocs(budgetsCollection);
+      const today = getTodayDateString();
+      budgets = await Promise.all(
+        snapshot.docs.map(async (budgetDoc) => {
+          const budget = { id: budgetDoc.id, ...budgetDoc.data() };
+          const { start, end } = getBudgetPeriodRange(budget.period, today);
+          const spent = await fetchCategorySpend(budget.category, start, end);
+          return { ...budget, start, end, spent };
+        })
+      );
+      budgets.sort(
+        (a, b) =>
+          getCategoryLabel(categories, a.category).localeCompare(
+            getCategoryLabel(categories, b.category)
+          ) || a.period.localeCompare(b.period)
+      );
+    } catch (e) {
+      console.error(
+        "Error loading budgets. A composite index on type, category and date may be required:",
+        e
+      );
+    }
+  };
+
+  const renderBudgetRow = ({ id, category, label, spent, limit }, editable) => {
+    const percent = limit > 0 ? Math.min(100, (spent / limit) * 100) : 0;
+    return `
+      <li class="${getBudgetLevel(spent, limit)}" data-id="${id || ""}">
+        <span>
+          <span class="category-dot" style="background-color: ${getCategoryColor(
+            categories,
+            category
+          )}"></span>
+          ${escapeHTML(getCategoryLabel(categories, category))}
+          <small>${label}</small>
+        </span>
+        <span class="budget-figures">
+          ${formatCurrency(spent)} of
+          ${
+            editable
+              ? `<input type="number" class="budget-amount-input" min="0.01" step="0.01" value="${limit}" />
+          <button class="link-btn" data-action="delete-budget">Remove</button>`
+              : formatCurrency(limit)
+          }
+        </span>
+        <div class="progress-container">
+          <div class="progress-bar" style="width: ${percent}%"></div>
+        </div>
+      </li>`;
+  };
+
+  const renderBudgetManager = () => {
+    budgetList.innerHTML = budgets.length
+      ? budgets
+          .map((budget) =>
+            renderBudgetRow(
+              {
+                id: budget.id,
+                category: budget.category,
+                label: BUDGET_PERIODS[budget.period].label,
+                spent: budget.spent,
+                limit: budget.amount,
+              },
+              true
+            )
+          )
+          .join("")
+      : `<p class="no-transactions">No budgets yet.</p>`;
+  };
+
+  // Each category has at most one budget per period; saving again updates it.
+  const saveBudget = async (category, period, amount) => {
+    if (!(amount > 0)) return;
+    const existing = budgets.find(
+      (b) => b.category === category && b.period === period
+    );
+    try {
+      if (existing) {
+        await repo.updateDoc(repo.doc(budgetsCollection, existing.id), {
+          amount,
+        });
+      } else {
+        await repo.addDoc(budgetsCollection, {
+          category,
+          period,
+          amount,
+          createdAt: serverTimestamp(),
+        });
+      }
+      await loadBudgets();
+      renderBudgetManager();
+    } catch (e) {
+      console.error("Error saving budget:", e);
+    }
+  };
+
+  const deleteBudget = async (budgetId) => {
+    try {
+      await repo.deleteDoc(repo.doc(budgetsCollection, budgetId));
+      budgets = budgets.filter((b) => b.id !== budgetId);
+      renderBudgetManager();
+    } catch (e) {
+      console.error("Error deleting budget:", e);
+    }
+  };
+
+  // Warns when a newly added expense pushes its category past a threshold.
+  const checkBudgetThresholds = async (expense) => {
+    const dateString = expense.date.toDate().toISOString().split("T")[0];
+    let warning = null;
+    for (const budget of budgets.filter(
+      (b) => b.category === expense.category
+    )) {
+      try {
+        const { start, end } = getBudgetPeriodRange(budget.period, dateString);
+        const after = await fetchCategorySpend(budget.category, start, end);
+        if (start === budget.start) budget.spent = after;
+        const threshold = getCrossedThreshold(
+          after - expense.amount,
+          after,
+          budget.amount
+        );
+        if (threshold && (!warning || threshold > warning.threshold))
+          warning = { threshold, budget, after };
+      } catch (e) {
+        console.error("Error checking budget:", e);
+      }
+    }
+    if (!warning) return;
+    const { threshold, budget, after } = warning;
+    const name = `${getCategoryLabel(
+      categories,
+      budget.category
+    )} (${BUDGET_PERIODS[budget.period].label.toLowerCase()})`;
+    showToast(
+      threshold >= 1
+        ? `Over budget: ${name} is at ${formatCurrency(
+            after
+          )} of ${formatCurrency(budget.amount)}.`
+        : `${name} has used ${Math.round(
+            (after / budget.amount) * 100
+          )}% of its ${formatCurrency(budget.amount)} budget.`,
+      { variant: threshold >= 1 ? "danger" : "warning" }
+    );
+  };
+
+  // Budgets are prorated to the report range, e.g. a monthly budget over a
+  // 90-day report is roughly three months' worth.
+  // spentByCategory: { category: amount } for the range, from the rollups.
+  const renderBudgetReport = (spentByCategory, startDateStr, endDateStr) => {
+    budgetReportContainer.classList.toggle("hidden", budgets.length === 0);
+    if (budgets.length === 0) return;
+    const dayCount = daysBetween(startDateStr, endDateStr) + 1;
+    budgetReportList.innerHTML = budgets
+      .map((budget) =>
+        renderBudgetRow(
+          {
+            category: budget.category,
+            label: `${BUDGET_PERIODS[budget.period].label} budget`,
+            spent: spentByCategory[budget.category] || 0,
+            limit: prorateBudget(budget, dayCount),
+          },
+          false
+        )
+      )
+      .join("");
+  };
+
+  const openBudgetsModal = async () => {
+    budgetsModal.classList.remove("hidden");
+    await loadBudgets();
+    renderBudgetManager();
+  };
+  const closeBudgetsModal = () => budgetsModal.classList.add("hidden");
+
+  // --- SEARCH ---
+  // Transactions written before search existed have no searchTokens.
+  const backfillSearchTokens = async () => {
+    try {
+      const preferences = await repo.getDoc(preferencesRef);
+      if (
+        preferences.exists() &&
+        preferences.data().searchIndexVersion >= SEARCH_INDEX_VERSION
+      )
+        return;
+      const snapshot = await repo.getDocs(transactionsCollection);
+      for (const chunk of chunkArray(snapshot.docs, WRITE_BATCH_SIZE)) {
+        const batch = repo.writeBatch();
+        chunk.forEach((transactionDoc) =>
+          batch.update(transactionDoc.ref, {
+            searchTokens: buildSearchTokens(transactionDoc.data().description),
+          })
+        );
+        await commitWrite(batch.commit());
+      }
+      await commitWrite(
+        repo.setDoc(
+          preferencesRef,
+          { searchIndexVersion: SEARCH_INDEX_VERSION },
+          { merge: true }
+        )
+      );
+    } catch (e) {
+      console.error("Error indexing transactions for search:", e);
+    }
+  };
+
+  const readSearchForm = () => {
+    const elements = searchForm.elements;
+    const parseAmount = (value) => (value === "" ? null : parseFloat(value));
+    const keyword = elements["search-keyword"].value.trim();
+    return {
+      keyword,
+      token: getSearchToken(keyword),
+      minAmount: parseAmount(elements["search-min-amount"].value),
+      maxAmount: parseAmount(elements["search-max-amount"].value),
+      startDate: elements["search-start-date"].value || null,
+      endDate: elements["search-end-date"].value || null,
+      categories: Array.from(searchCategoriesDropdown.selectedOptions).map(
+        (option) => option.value
+      ),
+    };
+  };
+
+  const applySearch = async () => {
+    const search = readSearchForm();
+    if (
+      search.minAmount !== null &&
+      search.maxAmount !== null &&
+      search.minAmount > search.maxAmount
+    ) {
+      alert("The minimum amount is larger than the maximum.");
+      return;
+    }
+    if (
+      search.startDate &&
+      search.endDate &&
+      search.startDate > search.endDate
+    ) {
+      alert("The start date is after the end date.");
+      return;
+    }
+    if (search.categories.length > MAX_SEARCH_CATEGORIES) {
+      alert(`Select at most ${MAX_SEARCH_CATEGORIES} categories.`);
+      return;
+    }
+    currentSearch = isSearchEmpty(search) ? null : search;
+    searchToggleBtn.classList.toggle("active", currentSearch !== null);
+    await resetAndRefresh();
+  };
+
+  const clearSearch = async () => {
+    searchForm.reset();
+    currentSearch = null;
+    searchToggleBtn.classList.remove("active");
+    await resetAndRefresh();
+  };
+
+  // --- STORAGE ---
+  const openStorageModal = () => {
+    storageCurrentEl.textContent = STORAGE_BACKENDS[repo.backend];
+    storageForm.reset();
+    storageForm.elements["storage-backend"].value = repo.backend;
+    storageModal.classList.remove("hidden");
+  };
+  const closeStorageModal = () => storageModal.classList.add("hidden");
+
+  // Copies everything into the other backend and switches to it. The old
+  // copy is only removed once the new one is complete.
+  const moveStorage = async (target, removeSource) => {
+    try {
+      let targetUserId = LOCAL_USER_ID;
+      if (target === "firestore") {
+        await auth.authStateReady();
+        const account =
+          auth.currentUser || (await signInAnonymously(auth)).user;
+        targetUserId = account.uid;
+      }
+      const data = await readUserData(repo);
+      const targetRepo = createRepository(target, targetUserId);
+      await mergeUserData(targetRepo, data);
+      await writeAttachmentFiles(
+        targetRepo,
+        await readAttachmentFiles(repo, [...data.transactions, ...data.trash])
+      );
+      // The move is complete at this point, so failing to clean up the old
+      // copy doesn't stop the switch.
+      if (removeSource) {
+        try {
+          await deleteUserData(repo, data);
+          await deleteAttachmentFiles(
+            [...data.transactions, ...data.trash].flatMap((d) =>
+              getAttachments(d.data)
+            )
+          );
+        } catch (e) {
+          console.error("Error removing moved data:", e);
+          alert(
+            "Your data was moved, but some of it could not be removed from the old storage."
+          );
+        }
+      }
+      setStorageBackend(target);
+      window.location.reload();
+    } catch (e) {
+      console.error("Error moving data:", e);
+      alert("Your data could not be moved. Nothing was switched.");
+    }
+  };
+
+  // --- ATTACHMENTS ---
+  // Cloud Storage uploads don't queue offline the way Firestore writes do.
+  const canUploadFiles = () => {
+    if (repo.backend === "local" || navigator.onLine) return true;
+    alert("Receipts can only be uploaded while you're online.");
+    return false;
+  };
+
+  // Uploads the files and appends them to the transaction's attachments.
+  // Returns the updated list, or null if nothing was attached.
+  const addAttachments = async (transactionId, files) => {
+    const errors = files.map(validateAttachment).filter(Boolean);
+    if (errors.length) alert(errors.join("\n"));
+    const validFiles = files.filter((file) => !validateAttachment(file));
+    if (validFiles.length === 0 || !canUploadFiles()) return null;
+    const transactionRef = repo.doc(transactionsCollection, transactionId);
+    const uploaded = [];
+    try {
+      for (const file of validFiles) {
+        const attachment = createAttachment(transactionId, file);
+        await repo.uploadFile(attachment.path, file);
+        uploaded.push(attachment);
+      }
+    } catch (e) {
+      console.error("Error uploading attachment:", e);
+      alert("Some files could not be uploaded.");
+    }
+    if (uploaded.length === 0) return null;
+    try {
+      const snapshot = await repo.getDoc(transactionRef);
+      const attachments = [...getAttachments(snapshot.data()), ...uploaded];
+      const batch = createTransactionBatch();
+      queueTransactionUpdate(batch, transactionId, snapshot.data(), {
+        attachments,
+      });
+      await commitWrite(batch.commit());
+      await refreshData();
+      return attachments;
+    } catch (e) {
+      console.error("Error saving attachments:", e);
+      deleteAttachmentFiles(uploaded);
+      return null;
+    }
+  };
+
+  const removeAttachment = async (transactionId, attachmentId) => {
+    try {
+      const transactionRef = repo.doc(transactionsCollection, transactionId);
+      const snapshot = await repo.getDoc(transactionRef);
+      const current = getAttachments(snapshot.data());
+      const attachments = current.filter((a) => a.id !== attachmentId);
+      const batch = createTransactionBatch();
+      queueTransactionUpdate(batch, transactionId, snapshot.data(), {
+        attachments,
+      });
+      await commitWrite(batch.commit());
+      deleteAttachmentFiles(current.filter((a) => a.id === attachmentId));
+      await refreshData();
+      return attachments;
+    } catch (e) {
+      console.error("Error removing attachment:", e);
+      return null;
+    }
+  };
+
+  // Files are removed after the document, so a failure leaves an unused
+  // file behind rather than a transaction pointing at nothing.
+  const deleteAttachmentFiles = (attachments) =>
+    Promise.all(
+      attachments.map((attachment) =>
+        repo
+          .deleteFile(attachment.path)
+          .catch((e) => console.error("Error deleting attachment:", e))
+      )
+    );
+
+  const renderEditAttachments = (attachments) => {
+    editAttachments = attachments;
+    editAttachmentList.innerHTML = attachments
+      .map(
+        (a) => `<li>
+          <span>&#128206; ${escapeHTML(a.name)} <small>${formatFileSize(
+          a.size
+        )}</small></span>
+          <span>
+            <button type="button" class="btn btn-secondary btn-small" data-action="view" data-attachment-id="${
+              a.id
+            }">View</button>
+            <button type="button" class="delete-btn" data-action="remove" data-attachment-id="${
+              a.id
+            }" title="Remove">&times;</button>
+          </span>
+        </li>`
+      )
+      .join("");
+  };
+
+  const revokeAttachmentPreviews = () => {
+    attachmentPreviewUrls
+      .filter((url) => url.startsWith("blob:"))
+      .forEach((url) => URL.revokeObjectURL(url));
+    attachmentPreviewUrls = [];
+  };
+
+  const openAttachmentPreview = async (title, attachments) => {
+    revokeAttachmentPreviews();
+    attachmentModalTitle.textContent = title;
+    attachmentPreviewEl.innerHTML = "<p>Loading...</p>";
+    attachmentModal.classList.remove("hidden");
+    const figures = [];
+    for (const attachment of attachments) {
+      const name = escapeHTML(attachment.name);
+      try {
+        const url = await repo.getFileURL(attachment.path);
+        attachmentPreviewUrls.push(url);
+        figures.push(`<figure>
+          ${
+            isImageAttachment(attachment)
+              ? `<img src="${url}" alt="${name}" />`
+              : `<iframe src="${url}" title="${name}"></iframe>`
+          }
+          <figcaption><a href="${url}" target="_blank" rel="noopener">${name}</a> &middot; ${formatFileSize(
+          attachment.size
+        )}</figcaption>
+        </figure>`);
+      } catch (e) {
+        console.error("Error loading attachment:", e);
+        figures.push(
+          `<figure><figcaption>${name} could not be loaded${
+            navigator.onLine ? "" : " while offline"
+          }.</figcaption></figure>`
+        );
+      }
+    }
+    attachmentPreviewEl.innerHTML = figures.join("");
+  };
+  const closeAttachmentPreview = () => {
+    attachmentModal.classList.add("hidden");
+    attachmentPreviewEl.innerHTML = "";
+    revokeAttachmentPreviews();
+  };
+
+  // Lists the report range's expenses that have nothing attached.
+  const renderMissingReceipts = (expenses) => {
+    missingReceipts = expenses.filter(isMissingReceipt);
+    const expenseCount = expenses.length;
+    if (expenseCount === 0) {
+      missingReceiptsSummaryEl.textContent = "No expenses in this period.";
+      missingReceiptsList.innerHTML = "";
+      return;
+    }
+    if (missingReceipts.length === 0) {
+      missingReceiptsSummaryEl.textContent =
+        "Every expense in this period has a receipt.";
+      missingReceiptsList.innerHTML = "";
+      return;
+    }
+    missingReceiptsSummaryEl.textContent = `${
+      missingReceipts.length
+    } of ${expenseCount} expenses (${formatCurrency(
+      missingReceipts.reduce((sum, t) => sum + t.amount, 0)
+    )}) have no receipt.`;
+    missingReceiptsList.innerHTML = [...missingReceipts]
+      .reverse()
+      .map(
+        (t) => `<li>
+          <span>${escapeHTML(t.description)} <small>${t.date
+          .toDate()
+          .toLocaleDateString("en-US", {
+            month: "short",
+            day: "numeric",
+            year: "numeric",
+          })} &bull; ${escapeHTML(
+          getCategoryLabel(categories, t.category)
+        )}</small></span>
+          <span>
+            ${formatCurrency(t.amount)}
+            <button class="btn btn-secondary btn-small" data-id="${
+              t.id
+            }">Attach</button>
+          </span>
+        </li>`
+      )
+      .join("");
+  };
+
+  // Reads the report range's expenses only while the section is open, since
+  // the rest of the report works from the rollups.
+  const loadMissingReceipts = async () => {
+    const range = missingReceiptsRange;
+    if (!range || !missingReceiptsContainer.open) return;
+    missingReceiptsSummaryEl.textContent = "Loading...";
+    missingReceiptsList.innerHTML = "";
+    try {
+      const snapshot = await repo.getDocs(
+        query(
+          transactionsCollection,
+          where("type", "==", "expense"),
+          ...getDateRangeConstraints(range.startDateStr, range.endDateStr),
+          orderBy("date", "asc")
+        )
+      );
+      // The report may have moved on to another range meanwhile.
+      if (missingReceiptsRange !== range) return;
+      renderMissingReceipts(
+        snapshot.docs.map((d) => ({ id: d.id, ...d.data() }))
+      );
+    } catch (e) {
+      console.error("Error loading missing receipts:", e);
+      missingReceiptsSummaryEl.textContent =
+        "This list needs a database index. Check the browser console for a link to create it.";
+    }
+  };
+
+  // --- TIME TRACKING ---
+  // Rates are in the base currency. Entries stay in the unbilled list until
+  // they are converted into an income transaction.
+  const getClientName = (clientId) => {
+    const client = clients.find((c) => c.id === clientId);
+    return client ? client.name : "";
+  };
+
+  // The most recent rate used for the client, to save retyping it.
+  const getLastHourlyRate = (clientId) => {
+    const entry = timeEntries.find(
+      (e) => (e.clientId || "") === clientId && e.hourlyRate
+    );
+    return entry ? entry.hourlyRate : "";
   };
-  const closeEditModal = () => {
-    editModal.classList.add("hidden");
-    editForm.reset();
+
+  const loadTimeEntries = async () => {
+    try {
+      const snapshot = await repo.getDocs(
+        query(timeEntriesCollection, where("billed", "==", false))
+      );
+      timeEntries = snapshot.docs
+        .map((doc) => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => b.start.toMillis() - a.start.toMillis());
+      runningTimer = timeEntries.find((e) => e.end === null) || null;
+    } catch (e) {
+      console.error("Error loading time entries:", e);
+    }
+    updateTimerDisplay();
   };
 
-  // --- AI AND CHART LOGIC ---
-  const generateAISummary = async (rawData) => {
-    aiSummaryContent.textContent = "Generating your financial summary...";
-    aiSummaryContent.classList.add("loading");
-    if (!GEMINI_API_KEY) {
-      aiSummaryContent.textContent =
-        "AI API key is missing. Please check your .env file.";
-      aiSummaryContent.classList.remove("loading");
+  const updateTimerDisplay = () => {
+    clearInterval(timerInterval);
+    const tick = () => {
+      const elapsed = runningTimer
+        ? formatTimer(getElapsedMs(runningTimer))
+        : "";
+      timerDisplayEl.textContent = elapsed || "0:00:00";
+      timerIndicatorEl.textContent = elapsed;
+    };
+    tick();
+    if (runningTimer) timerInterval = setInterval(tick, 1000);
+    timerIndicatorEl.classList.toggle("hidden", !runningTimer);
+    timerDisplayEl.classList.toggle("running", !!runningTimer);
+    timerToggleBtn.textContent = runningTimer ? "Stop Timer" : "Start Timer";
+    timerToggleBtn.classList.toggle("btn-danger", !!runningTimer);
+    [
+      "timer-client",
+      "timer-project",
+      "timer-rate",
+      "timer-description",
+    ].forEach((name) => (timerForm.elements[name].disabled = !!runningTimer));
+    if (runningTimer) {
+      timerForm.elements["timer-client"].value = runningTimer.clientId || "";
+      timerForm.elements["timer-project"].value = runningTimer.project || "";
+      timerForm.elements["timer-rate"].value = runningTimer.hourlyRate;
+      timerForm.elements["timer-description"].value =
+        runningTimer.description || "";
+    }
+  };
+
+  const readTimeFields = (form, prefix) => ({
+    clientId: form.elements[`${prefix}-client`].value || null,
+    project: form.elements[`${prefix}-project`].value.trim(),
+    description: form.elements[`${prefix}-description`].value.trim(),
+    hourlyRate: parseFloat(form.elements[`${prefix}-rate`].value) || 0,
+  });
+
+  const startTimer = async (fields) => {
+    try {
+      const entryRef = repo.doc(timeEntriesCollection);
+      const entry = {
+        ...fields,
+        start: Timestamp.now(),
+        end: null,
+        billed: false,
+        createdAt: serverTimestamp(),
+      };
+      await commitWrite(repo.setDoc(entryRef, entry));
+      runningTimer = { id: entryRef.id, ...entry };
+      timeEntries.unshift(runningTimer);
+      updateTimerDisplay();
+    } catch (e) {
+      console.error("Error starting timer:", e);
+    }
+  };
+
+  // Timers stopped within a few seconds are dropped rather than saved as
+  // zero hours.
+  const stopTimer = async () => {
+    if (!runningTimer) return;
+    const entryRef = repo.doc(timeEntriesCollection, runningTimer.id);
+    const end = Timestamp.now();
+    const hours = msToHours(getElapsedMs({ ...runningTimer, end }));
+    try {
+      await commitWrite(
+        hours > 0
+          ? repo.updateDoc(entryRef, { end, hours })
+          : repo.deleteDoc(entryRef)
+      );
+      await loadTimeEntries();
+      renderUnbilledEntries();
+      await updateGlobalSummary();
+    } catch (e) {
+      console.error("Error stopping timer:", e);
+    }
+  };
+
+  const addTimeEntry = async (fields, dateString, hours) => {
+    const start = createTimezoneSafeDate(dateString);
+    try {
+      await commitWrite(
+        repo.addDoc(timeEntriesCollection, {
+          ...fields,
+          start: Timestamp.fromDate(start),
+          end: Timestamp.fromMillis(start.getTime() + hours * 3600000),
+          hours,
+          billed: false,
+          createdAt: serverTimestamp(),
+        })
+      );
+      await loadTimeEntries();
+      renderUnbilledEntries();
+      await updateGlobalSummary();
+    } catch (e) {
+      console.error("Error adding time entry:", e);
+    }
+  };
+
+  const deleteTimeEntry = async (entryId) => {
+    try {
+      await commitWrite(
+        repo.deleteDoc(repo.doc(timeEntriesCollection, entryId))
+      );
+      await loadTimeEntries();
+      renderUnbilledEntries();
+      await updateGlobalSummary();
+    } catch (e) {
+      console.error("Error deleting time entry:", e);
+    }
+  };
+
+  const renderUnbilledEntries = () => {
+    const unbilled = timeEntries.filter((e) => e.end !== null);
+    const { hours, amount } = summarizeEntries(unbilled);
+    unbilledSummaryEl.textContent = unbilled.length
+      ? `${formatHours(hours)} unbilled, worth ${formatCurrency(amount)}.`
+      : "No unbilled time.";
+    unbilledList.innerHTML = [...groupEntriesByClient(unbilled)]
+      .map(([clientId, entries]) => {
+        const totals = summarizeEntries(entries);
+        return `<h4><span>${escapeHTML(
+          getClientName(clientId) || "No client"
+        )}</span><small>${formatHours(totals.hours)} &middot; ${formatCurrency(
+          totals.amount
+        )}</small></h4>
+        <ul>${entries
+          .map(
+            (entry) => `<li>
+              <input type="checkbox" data-id="${entry.id}" />
+              <span>${escapeHTML(
+                entry.description || entry.project || "Untitled"
+              )}<br /><small>${entry.start
+              .toDate()
+              .toLocaleDateString("en-US", {
+                month: "short",
+                day: "numeric",
+                year: "numeric",
+              })}${
+              entry.project ? ` &bull; ${escapeHTML(entry.project)}` : ""
+            } &bull; ${formatHours(getEntryHours(entry))} @ ${formatCurrency(
+              entry.hourlyRate
+            )}/h</small></span>
+              <span>${formatCurrency(getEntryAmount(entry))}</span>
+              <button class="delete-btn" data-action="delete-entry" data-id="${
+                entry.id
+              }" title="Delete">&times;</button>
+            </li>`
+          )
+          .join("")}</ul>`;
+      })
+      .join("");
+    convertTimeBtn.disabled = true;
+  };
+
+  const getSelectedTimeEntries = () =>
+    Array.from(unbilledList.querySelectorAll("input:checked"))
+      .map((input) => timeEntries.find((e) => e.id === input.dataset.id))
+      .filter(Boolean);
+
+  // One income transaction for everything selected; the entries keep a
+  // link to it so it's clear where the hours were billed.
+  const convertTimeToIncome = async (entries) => {
+    const { hours, amount } = summarizeEntries(entries);
+    if (amount <= 0) {
+      alert(
+        "The selected time has no hourly rate, so there's nothing to bill."
+      );
       return;
     }
-    const totalIncome = rawData
-      .filter((t) => t.type === "income")
-      .reduce((sum, t) => sum + t.amount, 0);
-    const totalExpenses = rawData
-      .filter((t) => t.type === "expense")
-      .reduce((sum, t) => sum + t.amount, 0);
-    const netProfit = totalIncome - totalExpenses;
-    let expenseBreakdown = {};
-    rawData
-      .filter((t) => t.type === "expense")
-      .forEach((t) => {
-        expenseBreakdown[t.category] =
-          (expenseBreakdown[t.category] || 0) + t.amount;
+    const description = describeBilledEntries(entries, getClientName);
+    if (
+      !confirm(
+        `Add ${formatCurrency(amount)} income for ${formatHours(
+          hours
+        )} as "${description}"?`
+      )
+    )
+      return;
+    // The income and the billed flags are written together, so time can't
+    // end up billed twice or income added without it.
+    try {
+      const batch = createTransactionBatch();
+      const transactionId = queueNewTransaction(batch, {
+        description,
+        ...convertToBase(amount, getBaseCurrency(), 1),
+        date: Timestamp.fromDate(createTimezoneSafeDate(getTodayDateString())),
+        type: "income",
+        ...getSharedClientFields(entries),
       });
-    const largestExpenseCategory = Object.keys(expenseBreakdown).reduce(
-      (a, b) => (expenseBreakdown[a] > expenseBreakdown[b] ? a : b),
-      null
+      entries.forEach((entry) =>
+        batch.update(repo.doc(timeEntriesCollection, entry.id), {
+          billed: true,
+          transactionId,
+          billedAt: serverTimestamp(),
+        })
+      );
+      await commitWrite(batch.commit());
+    } catch (e) {
+      console.error("Error billing time:", e);
+      alert("The income could not be added. Your time is still unbilled.");
+      return;
+    }
+    await updateGlobalSummary();
+    await resetAndRefresh();
+    await loadTimeEntries();
+    renderUnbilledEntries();
+    showToast(
+      `Added ${formatCurrency(amount)} income for ${formatHours(hours)}.`
     );
-    const prompt = `You are a helpful and encouraging financial assistant for a freelancer. Based on the following data, write a short, insightful summary (3-4 sentences max). Be positive but also point out one area for improvement if applicable. Format the response as a single paragraph. Data: Total Income: ${formatCurrency(
-      totalIncome
-    )}, Total Expenses: ${formatCurrency(
-      totalExpenses
-    )}, Net Profit: ${formatCurrency(netProfit)}, Largest Expense Category: ${
-      largestExpenseCategory || "None"
-    }.`;
+  };
+
+  const handleTimeClientChange = async (select, rateInput) => {
+    if (select.value === "__new__") await promptForNewClient(select);
+    const rate = getLastHourlyRate(select.value);
+    if (rate) rateInput.value = rate;
+  };
+
+  const openTimeModal = async () => {
+    timeModal.classList.remove("hidden");
+    await loadClients();
+    await loadTimeEntries();
+    if (!timeEntryForm.elements["entry-date"].value)
+      timeEntryForm.elements["entry-date"].value = getTodayDateString();
+    renderUnbilledEntries();
+  };
+  const closeTimeModal = () => timeModal.classList.add("hidden");
+
+  // --- CLIENTS AND PROJECTS ---
+  // Every client picker offers "+ New client", and a client's project
+  // picker "+ New project"; both are created as soon as they are picked.
+  const renderClientPicker = (select, selectedId = select.value) => {
+    select.innerHTML = [
+      `<option value="">${NO_CLIENT_LABEL}</option>`,
+      ...clients.map(
+        (client) =>
+          `<option value="${client.id}">${escapeHTML(client.name)}</option>`
+      ),
+      `<option value="__new__">+ New client</option>`,
+    ].join("");
+    select.value = clients.some((c) => c.id === selectedId) ? selectedId : "";
+  };
+
+  const renderClientSelects = () => {
+    [
+      clientDropdown,
+      editClientDropdown,
+      timerForm.elements["timer-client"],
+      timeEntryForm.elements["entry-client"],
+    ].forEach((select) => renderClientPicker(select));
+    const bulkClientValue = bulkClientDropdown.value;
+    bulkClientDropdown.innerHTML = [
+      `<option value="">${NO_CLIENT_LABEL}</option>`,
+      ...clients.map(
+        (client) =>
+          `<option value="${client.id}">${escapeHTML(client.name)}</option>`
+      ),
+    ].join("");
+    bulkClientDropdown.value = clients.some((c) => c.id === bulkClientValue)
+      ? bulkClientValue
+      : "";
+    const filterValue = clientFilterDropdown.value;
+    clientFilterDropdown.innerHTML = [
+      `<option value="all">All Clients</option>`,
+      ...clients.map(
+        (client) =>
+          `<option value="${client.id}">${escapeHTML(client.name)}</option>`
+      ),
+    ].join("");
+    clientFilterDropdown.value = clients.some((c) => c.id === filterValue)
+      ? filterValue
+      : "all";
+  };
+
+  // Hides the project picker until a client is chosen.
+  const renderProjectPicker = (
+    select,
+    clientId,
+    selected = "",
+    container = select
+  ) => {
+    const projects = [
+      ...getClientProjects(clients.find((c) => c.id === clientId)),
+    ];
+    if (selected && !projects.includes(selected)) projects.push(selected);
+    select.innerHTML = [
+      `<option value="">No project</option>`,
+      ...projects.map(
+        (project) =>
+          `<option value="${escapeHTML(project)}">${escapeHTML(
+            project
+          )}</option>`
+      ),
+      `<option value="__new__">+ New project</option>`,
+    ].join("");
+    select.value = selected || "";
+    container.classList.toggle("hidden", !clientId);
+  };
 
-    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent?key=${GEMINI_API_KEY}`;
+  const promptForNewClient = async (select) => {
+    const name = (prompt("Client name") || "").trim();
+    if (!name) {
+      select.value = "";
+      return;
+    }
+    try {
+      select.value = await addClient({
+        name,
+        email: "",
+        address: "",
+        projects: [],
+      });
+    } catch (e) {
+      console.error("Error adding client:", e);
+      select.value = "";
+    }
+  };
 
+  const promptForNewProject = async (clientId) => {
+    const name = (prompt("Project name") || "").trim();
+    const client = clients.find((c) => c.id === clientId);
+    if (!name || !client) return "";
+    const projects = addProjectName(getClientProjects(client), name);
     try {
-      const response = await fetch(apiUrl, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ contents: [{ parts: [{ text: prompt }] }] }),
+      await repo.updateDoc(repo.doc(clientsCollection, clientId), {
+        projects,
       });
-      if (!response.ok) {
-        throw new Error(`API responded with status: ${response.status}`);
+      client.projects = projects;
+      return projects.find((p) => p.toLowerCase() === name.toLowerCase());
+    } catch (e) {
+      console.error("Error adding project:", e);
+      return "";
+    }
+  };
+
+  const handleClientChange = async (
+    clientSelect,
+    projectSelect,
+    container = projectSelect
+  ) => {
+    if (clientSelect.value === "__new__")
+      await promptForNewClient(clientSelect);
+    renderProjectPicker(projectSelect, clientSelect.value, "", container);
+  };
+
+  const handleProjectChange = async (
+    clientSelect,
+    projectSelect,
+    container = projectSelect
+  ) => {
+    if (projectSelect.value !== "__new__") return;
+    const project = await promptForNewProject(clientSelect.value);
+    renderProjectPicker(projectSelect, clientSelect.value, project, container);
+  };
+
+  const readClientFields = (clientSelect, projectSelect) => {
+    const clientId = clients.some((c) => c.id === clientSelect.value)
+      ? clientSelect.value
+      : null;
+    return {
+      clientId,
+      project: (clientId && projectSelect.value) || null,
+    };
+  };
+
+  // Client and project for a set of time entries, when they all agree.
+  const getSharedClientFields = (entries) => {
+    const clientIds = new Set(entries.map((e) => e.clientId || null));
+    const projects = new Set(entries.map((e) => e.project || null));
+    const clientId = clientIds.size === 1 ? [...clientIds][0] : null;
+    return {
+      clientId,
+      project: clientId && projects.size === 1 ? [...projects][0] : null,
+    };
+  };
+
+  // entries: per-client totals from getClientRollupEntries.
+  const renderClientReport = (entries) => {
+    const rows = buildClientProfitability(entries, clients);
+    const hasClients = rows.some((row) => row.clientId !== null);
+    clientReportContainer.classList.toggle("hidden", !hasClients);
+    if (!hasClients) return;
+    clientReportBody.innerHTML = rows
+      .map(
+        (row) => `<tr class="${row.clientId === null ? "no-client" : ""}">
+          <td>${escapeHTML(row.name)}</td>
+          <td>${formatCurrency(row.revenue)}</td>
+          <td>${formatCurrency(row.expenses)}</td>
+          <td class="${
+            row.profit < 0 ? "expense-color" : "income-color"
+          }">${formatCurrency(row.profit)}</td>
+          <td>${
+            row.margin === null ? "&mdash;" : `${row.margin.toFixed(0)}%`
+          }</td>
+        </tr>`
+      )
+      .join("");
+  };
+
+  // --- FORECAST ---
+  // Projected profit has tax and savings set aside at the same rates the
+  // dashboard uses, so the balance line continues "Safe to Spend".
+  const getReserveRate = () => {
+    const taxRate =
+      taxSummary && taxSummary.netProfit > 0
+        ? taxSummary.estimate.total / taxSummary.netProfit
+        : TAX_RATE;
+    return Math.min(1, taxRate + SAVINGS_RATE);
+  };
+
+  const formatMonth = (monthKey, month = "short") =>
+    createTimezoneSafeDate(getMonthStart(monthKey)).toLocaleDateString(
+      "en-US",
+      { month, year: "numeric" }
+    );
+
+  const renderForecastWarning = (rows) => {
+    const negative = rows.find((row) => row.balance < 0);
+    const atRisk = rows.find((row) => row.low < 0);
+    forecastWarningEl.classList.toggle("hidden", !atRisk);
+    forecastWarningEl.classList.toggle("caution", !negative);
+    if (negative) {
+      forecastWarningEl.textContent = `Safe to spend is projected to fall to ${formatCurrency(
+        negative.balance
+      )} in ${formatMonth(
+        negative.month,
+        "long"
+      )}, after setting aside tax and savings.`;
+    } else if (atRisk) {
+      forecastWarningEl.textContent = `Safe to spend could fall below zero by ${formatMonth(
+        atRisk.month,
+        "long"
+      )} if income comes in at the low end of its usual range.`;
+    }
+  };
+
+  // Chart data for the history months followed by the forecast, in the
+  // shape processChartData returns plus the balance line and its band.
+  const buildForecastChartData = async (history, horizon) => {
+    const today = getTodayDateString();
+    const currentMonth = getMonthKey(createTimezoneSafeDate(today));
+    const { historyMonths, forecastEnd } = getForecastWindow(today, horizon);
+    const upcoming = await fetchChartData(shiftDays(today, 1), forecastEnd);
+    const isPast = (t) => getMonthKey(t.date.toDate()) < currentMonth;
+    const rows = buildForecast({
+      history: history.filter(isPast),
+      actual: history.filter((t) => !isPast(t)),
+      upcoming,
+      todayString: today,
+      horizon,
+      startingBalance: safeToSpend,
+      reserveRate: getReserveRate(),
+    });
+    renderForecastWarning(rows);
+    const pastTotals = getMonthlyTotals(history.filter(isPast), historyMonths);
+    const gap = historyMonths.map(() => null);
+    return {
+      labels: [...historyMonths, ...rows.map((row) => row.month)].map((m) =>
+        formatMonth(m)
+      ),
+      tooltipTitles: [
+        ...historyMonths.map((m) => formatMonth(m, "long")),
+        ...rows.map((row) => `${formatMonth(row.month, "long")} (forecast)`),
+      ],
+      incomeData: [
+        ...pastTotals.map((t) => t.income),
+        ...rows.map((row) => row.income),
+      ],
+      expenseData: [
+        ...pastTotals.map((t) => t.expense),
+        ...rows.map((row) => row.expense),
+      ],
+      forecastStart: historyMonths.length,
+      balanceData: [...gap, ...rows.map((row) => row.balance)],
+      lowData: [...gap, ...rows.map((row) => row.low)],
+      highData: [...gap, ...rows.map((row) => row.high)],
+    };
+  };
+
+  // --- QUICK ENTRY ---
+  const getQuickEntryContext = () => ({
+    today: getTodayDateString(),
+    baseCurrency: getBaseCurrency(),
+    currencies: SUPPORTED_CURRENCIES,
+    categories,
+    clients,
+  });
+
+  const validateQuickEntry = (entry) =>
+    validateRecord(entry) ||
+    (entry.currency !== getBaseCurrency() && !getRate(entry.currency)
+      ? `No exchange rate for ${entry.currency}`
+      : null);
+
+  // Lines the rules couldn't read go to the AI provider in one request; if
+  // that fails the rule-based results stay for the user to fix by hand.
+  const parseQuickEntriesWithAI = async (entries) => {
+    const lines = entries.map((entry) => entry.line);
+    const reply = await generateText(
+      aiProvider,
+      buildQuickEntryPrompt(lines, getQuickEntryContext())
+    );
+    return readQuickEntryResponse(reply, lines, getQuickEntryContext());
+  };
+
+  const renderQuickEntryPreview = () => {
+    const validCount = quickEntries.filter((entry) => !entry.error).length;
+    quickEntrySummaryEl.textContent =
+      validCount === quickEntries.length
+        ? `Check the ${
+            quickEntries.length === 1 ? "entry" : "entries"
+          } below, then add.`
+        : `${quickEntries.length - validCount} of ${
+            quickEntries.length
+          } lines need fixing before they can be added.`;
+    quickEntryBody.innerHTML = quickEntries
+      .map((entry, i) => {
+        const categoryOptions = categories
+          .filter((c) => !c.archived || c.key === entry.category)
+          .map(
+            (c) =>
+              `<option value="${escapeHTML(c.key)}" ${
+                c.key === entry.category ? "selected" : ""
+              }>${escapeHTML(c.name)}</option>`
+          )
+          .join("");
+        return `
+          <tr class="${
+            entry.error ? "is-invalid" : ""
+          }" data-index="${i}" title="${escapeHTML(
+          entry.error ? `${entry.error}: ${entry.line}` : entry.line
+        )}">
+            <td><input type="text" data-field="description" value="${escapeHTML(
+              entry.description
+            )}" /></td>
+            <td><input type="number" data-field="amount" min="0.01" step="0.01" value="${
+              isNaN(entry.amount) || entry.amount === null ? "" : entry.amount
+            }" /></td>
+            <td><select data-field="currency">${SUPPORTED_CURRENCIES.map(
+              (code) =>
+                `<option value="${code}" ${
+                  code === entry.currency ? "selected" : ""
+                }>${code}</option>`
+            ).join("")}</select></td>
+            <td><input type="date" data-field="date" value="${
+              entry.date || ""
+            }" /></td>
+            <td><select data-field="type">
+              <option value="income" ${
+                entry.type === "income" ? "selected" : ""
+              }>Income</option>
+              <option value="expense" ${
+                entry.type === "expense" ? "selected" : ""
+              }>Expense</option>
+            </select></td>
+            <td>${
+              entry.type === "expense"
+                ? `<select data-field="category">${categoryOptions}</select>`
+                : ""
+            }</td>
+            <td><button type="button" class="delete-btn" data-action="remove" title="Remove">&times;</button></td>
+          </tr>`;
+      })
+      .join("");
+    quickEntryAddBtn.textContent = `Add ${validCount} ${
+      validCount === 1 ? "transaction" : "transactions"
+    }`;
+    quickEntryAddBtn.disabled = validCount === 0;
+    quickEntryPreview.classList.toggle("hidden", quickEntries.length === 0);
+  };
+
+  const previewQuickEntry = async (text) => {
+    quickEntries = parseQuickEntries(text, getQuickEntryContext());
+    const unreadable = quickEntries.filter((entry) => entry.error);
+    if (unreadable.length && !aiProvider.offline) {
+      quickEntryPreview.classList.remove("hidden");
+      quickEntryBody.innerHTML = "";
+      quickEntrySummaryEl.textContent = `Reading ${unreadable.length} ${
+        unreadable.length === 1 ? "line" : "lines"
+      } with AI...`;
+      try {
+        const parsed = await parseQuickEntriesWithAI(unreadable);
+        quickEntries = quickEntries.map((entry) =>
+          entry.error ? parsed[unreadable.indexOf(entry)] : entry
+        );
+      } catch (e) {
+        console.error("AI quick entry parsing failed:", e);
+      }
+    }
+    // A line the rules flagged keeps its error when the AI couldn't read it.
+    quickEntries = quickEntries.map((entry) => ({
+      ...entry,
+      error: entry.error || validateQuickEntry(entry),
+    }));
+    renderQuickEntryPreview();
+  };
+
+  const updateQuickEntry = (index, field, value) => {
+    const entry = quickEntries[index];
+    if (!entry) return;
+    entry[field] = field === "amount" ? parseFloat(value) : value;
+    if (field === "type")
+      entry.category =
+        value === "expense" ? entry.category || FALLBACK_CATEGORY_KEY : "";
+    entry.error = validateQuickEntry(entry);
+    renderQuickEntryPreview();
+  };
+
+  const clearQuickEntry = () => {
+    quickEntries = [];
+    quickEntryInput.value = "";
+    quickEntryBody.innerHTML = "";
+    quickEntryPreview.classList.add("hidden");
+  };
+
+  // Adds the readable entries one by one through addTransaction; anything
+  // left unreadable stays in the preview.
+  // Every line goes in one batch, so they are all added or none are.
+  const addQuickEntries = async () => {
+    const ready = quickEntries.filter((entry) => !entry.error);
+    if (!ready.length) return;
+    quickEntryAddBtn.disabled = true;
+    const added = ready.map((entry) => {
+      const data = {
+        description: entry.description,
+        ...convertToBase(entry.amount, entry.currency, getRate(entry.currency)),
+        date: Timestamp.fromDate(createTimezoneSafeDate(entry.date)),
+        type: entry.type,
+        clientId: entry.clientId || null,
+        project: null,
+      };
+      if (data.type === "expense") data.category = entry.category;
+      return data;
+    });
+    let addedIds;
+    try {
+      const batch = createTransactionBatch();
+      addedIds = added.map((data) => queueNewTransaction(batch, data));
+      await commitWrite(batch.commit());
+    } catch (e) {
+      console.error("Error adding quick entries:", e);
+      alert("The transactions could not be added. Please try again.");
+      renderQuickEntryPreview();
+      return;
+    }
+    const expenses = added.filter((data) => data.type === "expense");
+    expenses.forEach((data) => {
+      learnCategory(categoryModel, data.description, data.category);
+      checkBudgetThresholds(data);
+    });
+    if (expenses.length) saveCategoryModel();
+    quickEntries = quickEntries.filter((entry) => entry.error);
+    if (quickEntries.length) {
+      quickEntryInput.value = quickEntries
+        .map((entry) => entry.line)
+        .join("\n");
+      renderQuickEntryPreview();
+    } else {
+      clearQuickEntry();
+    }
+    await updateGlobalSummary();
+    await resetAndRefresh();
+    showToast(
+      `Added ${addedIds.length} ${
+        addedIds.length === 1 ? "transaction" : "transactions"
+      }.`,
+      { actionLabel: "Undo", onAction: () => undoAdd(addedIds) }
+    );
+  };
+
+  // --- AI AND CHART LOGIC ---
+  // Streams the snapshot into the report, reusing the cached one while the
+  // range's data is unchanged. A newer request aborts the one in flight.
+  const generateAISummary = async (startDateStr, endDateStr, comparison) => {
+    if (summaryController) summaryController.abort();
+    const controller = new AbortController();
+    summaryController = controller;
+    aiSummaryContent.textContent = "Generating your financial summary...";
+    aiSummaryContent.classList.add("loading");
+    const facts = buildSummaryFacts({
+      startDate: startDateStr,
+      endDate: endDateStr,
+      currency: getBaseCurrency(),
+      ...comparison,
+      getCategoryName: (key) => getCategoryLabel(categories, key),
+    });
+    const cacheRef = repo.doc(
+      aiSummariesCollection,
+      `${startDateStr}_${endDateStr}_${aiProvider.id}`
+    );
+    try {
+      const dataHash = aiProvider.cacheable
+        ? await hashFacts({ facts, model: aiProvider.model })
+        : null;
+      if (dataHash) {
+        const cached = await repo.getDoc(cacheRef);
+        if (controller.signal.aborted) return;
+        if (cached.exists() && cached.data().dataHash === dataHash) {
+          aiSummaryContent.textContent = cached.data().summary;
+          return;
+        }
+      }
+      let summary = "";
+      for await (const chunk of aiProvider.stream({
+        prompt: buildSummaryPrompt(facts),
+        facts,
+        signal: controller.signal,
+      })) {
+        if (controller.signal.aborted) return;
+        if (!summary) aiSummaryContent.classList.remove("loading");
+        summary += chunk;
+        aiSummaryContent.textContent = summary;
+      }
+      if (!summary) throw new Error("The AI provider returned no text.");
+      if (dataHash) {
+        try {
+          await repo.setDoc(cacheRef, {
+            summary,
+            dataHash,
+            provider: aiProvider.id,
+            model: aiProvider.model,
+            startDate: startDateStr,
+            endDate: endDateStr,
+            createdAt: serverTimestamp(),
+          });
+        } catch (e) {
+          console.error("Error caching AI summary:", e);
+        }
       }
-      const result = await response.json();
-      const summary = result.candidates[0].content.parts[0].text;
-      aiSummaryContent.textContent = summary;
     } catch (error) {
+      if (controller.signal.aborted) return;
       console.error("AI summary generation failed:", error);
       aiSummaryContent.textContent =
         "Could not generate AI summary at this time.";
     } finally {
-      aiSummaryContent.classList.remove("loading");
+      if (summaryController === controller)
+        aiSummaryContent.classList.remove("loading");
     }
   };
 
@@ -437,8 +5124,8 @@ async function initializeApp(user) {
       orderBy("date", "asc")
     );
     try {
-      const querySnapshot = await getDocs(q);
-      return querySnapshot.docs.map((doc) => doc.data());
+      const querySnapshot = await repo.getDocs(q);
+      return querySnapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
     } catch (e) {
       console.error("Error fetching chart data:", e);
       alert(
@@ -448,21 +5135,29 @@ async function initializeApp(user) {
     }
   };
 
+  // Rollup entries with Timestamp dates, so they chart like transactions.
+  const getRollupChartEntries = (monthRollups, startDateStr, endDateStr) =>
+    getRollupEntries(monthRollups, startDateStr, endDateStr).map((entry) => ({
+      ...entry,
+      date: Timestamp.fromDate(createTimezoneSafeDate(entry.date)),
+    }));
+
+  const getChartAggregation = (startDateStr, endDateStr) => {
+    const start = createTimezoneSafeDate(startDateStr);
+    const end = createTimezoneSafeDate(endDateStr);
+    const dayCount = (end - start) / (1000 * 60 * 60 * 24) + 1;
+    if (dayCount > 365 * 2) return "yearly";
+    if (dayCount > 730) return "quarterly";
+    if (dayCount > 180) return "monthly";
+    if (dayCount > 45) return "weekly";
+    return "daily";
+  };
+
   const processChartData = (data, startDateStr, endDateStr) => {
     const groupedData = {};
     const start = createTimezoneSafeDate(startDateStr);
     const end = createTimezoneSafeDate(endDateStr);
-    const dayCount = (end - start) / (1000 * 60 * 60 * 24) + 1;
-    let aggregationType = "daily";
-    if (dayCount > 365 * 2) {
-      aggregationType = "yearly";
-    } else if (dayCount > 730) {
-      aggregationType = "quarterly";
-    } else if (dayCount > 180) {
-      aggregationType = "monthly";
-    } else if (dayCount > 45) {
-      aggregationType = "weekly";
-    }
+    const aggregationType = getChartAggregation(startDateStr, endDateStr);
     let currentDate = new Date(start.getTime());
     while (currentDate <= end) {
       let keyDate;
@@ -490,6 +5185,7 @@ async function initializeApp(user) {
       groupedData[keyDate.toISOString().split("T")[0]] = {
         income: 0,
         expense: 0,
+        categories: {},
       };
     }
     data.forEach((t) => {
@@ -516,7 +5212,10 @@ async function initializeApp(user) {
         if (t.type === "income") {
           groupedData[keyString].income += t.amount;
         } else {
-          groupedData[keyString].expense += t.amount;
+          const group = groupedData[keyString];
+          group.expense += t.amount;
+          group.categories[t.category] =
+            (group.categories[t.category] || 0) + t.amount;
         }
       }
     });
@@ -609,33 +5308,81 @@ async function initializeApp(user) {
       tooltipTitles,
       incomeData: sortedKeys.map((key) => groupedData[key].income),
       expenseData: sortedKeys.map((key) => groupedData[key].expense),
+      categoryData: Object.fromEntries(
+        getExpenseBreakdown(data).map(({ category }) => [
+          category,
+          sortedKeys.map((key) => groupedData[key].categories[category] || 0),
+        ])
+      ),
     };
   };
 
+  // Forecast bars are paler, and the projected balance is a dashed line
+  // inside its confidence band.
   const renderChart = (chartData) => {
     if (transactionsChart) {
       transactionsChart.destroy();
     }
+    const isForecast = chartData.forecastStart !== undefined;
+    const barColors = (rgb) =>
+      isForecast
+        ? chartData.labels.map((_, i) =>
+            i >= chartData.forecastStart
+              ? `rgba(${rgb}, 0.3)`
+              : `rgba(${rgb}, 0.7)`
+          )
+        : `rgba(${rgb}, 0.7)`;
+    const datasets = [
+      {
+        label: "Income",
+        data: chartData.incomeData,
+        backgroundColor: barColors("32, 201, 151"),
+        borderColor: "rgba(32, 201, 151, 1)",
+        borderWidth: 1,
+      },
+      {
+        label: "Expenses",
+        data: chartData.expenseData,
+        backgroundColor: barColors("250, 82, 82"),
+        borderColor: "rgba(250, 82, 82, 1)",
+        borderWidth: 1,
+      },
+    ];
+    if (isForecast) {
+      datasets.push(
+        {
+          type: "line",
+          label: "Safe to Spend (projected)",
+          data: chartData.balanceData,
+          borderColor: "rgba(76, 110, 245, 1)",
+          backgroundColor: "rgba(76, 110, 245, 1)",
+          borderDash: [6, 4],
+          tension: 0.2,
+        },
+        {
+          type: "line",
+          label: "band-high",
+          data: chartData.highData,
+          borderWidth: 0,
+          pointRadius: 0,
+          fill: false,
+        },
+        {
+          type: "line",
+          label: "band-low",
+          data: chartData.lowData,
+          borderWidth: 0,
+          pointRadius: 0,
+          backgroundColor: "rgba(76, 110, 245, 0.12)",
+          fill: "-1",
+        }
+      );
+    }
     transactionsChart = new Chart(chartCanvas, {
       type: "bar",
       data: {
         labels: chartData.labels,
-        datasets: [
-          {
-            label: "Income",
-            data: chartData.incomeData,
-            backgroundColor: "rgba(32, 201, 151, 0.7)",
-            borderColor: "rgba(32, 201, 151, 1)",
-            borderWidth: 1,
-          },
-          {
-            label: "Expenses",
-            data: chartData.expenseData,
-            backgroundColor: "rgba(250, 82, 82, 0.7)",
-            borderColor: "rgba(250, 82, 82, 1)",
-            borderWidth: 1,
-          },
-        ],
+        datasets,
       },
       options: {
         responsive: true,
@@ -643,19 +5390,62 @@ async function initializeApp(user) {
         scales: {
           y: {
             beginAtZero: true,
-            ticks: { callback: (value) => `$${formatCurrency(value)}` },
+            ticks: { callback: (value) => formatCurrency(value) },
           },
           x: { grid: { display: false } },
         },
         plugins: {
+          legend: {
+            labels: { filter: (item) => !item.text.startsWith("band-") },
+          },
           tooltip: {
+            filter: (item) => !item.dataset.label.startsWith("band-"),
             callbacks: {
               title: (tooltipItems) => {
                 const index = tooltipItems[0].dataIndex;
                 return chartData.tooltipTitles[index];
               },
               label: (context) =>
-                `${context.dataset.label}: $${formatCurrency(context.raw)}`,
+                `${context.dataset.label}: ${formatCurrency(context.raw)}`,
+            },
+          },
+        },
+      },
+    });
+  };
+
+  const renderCategoryDoughnut = (breakdown) => {
+    if (transactionsChart) {
+      transactionsChart.destroy();
+    }
+    const total = breakdown.reduce((sum, row) => sum + row.amount, 0);
+    transactionsChart = new Chart(chartCanvas, {
+      type: "doughnut",
+      data: {
+        labels: breakdown.map((row) =>
+          getCategoryLabel(categories, row.category)
+        ),
+        datasets: [
+          {
+            data: breakdown.map((row) => row.amount),
+            backgroundColor: breakdown.map((row) =>
+              getCategoryColor(categories, row.category)
+            ),
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: { position: "right" },
+          tooltip: {
+            callbacks: {
+              label: (context) =>
+                `${context.label}: ${formatCurrency(context.raw)} (${(
+                  (context.raw / total) *
+                  100
+                ).toFixed(0)}%)`,
             },
           },
         },
@@ -663,7 +5453,128 @@ async function initializeApp(user) {
     });
   };
 
-  const updateChart = async () => {
+  const renderCategoryTrendChart = (chartData) => {
+    if (transactionsChart) {
+      transactionsChart.destroy();
+    }
+    transactionsChart = new Chart(chartCanvas, {
+      type: "bar",
+      data: {
+        labels: chartData.labels,
+        datasets: Object.entries(chartData.categoryData).map(
+          ([category, data]) => ({
+            label: getCategoryLabel(categories, category),
+            data,
+            backgroundColor: getCategoryColor(categories, category),
+          })
+        ),
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: { stacked: true, grid: { display: false } },
+          y: {
+            stacked: true,
+            beginAtZero: true,
+            ticks: { callback: (value) => formatCurrency(value) },
+          },
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              title: (tooltipItems) =>
+                chartData.tooltipTitles[tooltipItems[0].dataIndex],
+              label: (context) =>
+                `${context.dataset.label}: ${formatCurrency(context.raw)}`,
+            },
+          },
+        },
+      },
+    });
+  };
+
+  // Totals for the range, the previous range of the same length and the same
+  // dates a year earlier. The earlier two carry their { startDate, endDate }.
+  // All three come from the rollups, read once for the earliest start.
+  const fetchComparison = async (startDateStr, endDateStr) => {
+    const { previous, lastYear } = getComparisonRanges(
+      startDateStr,
+      endDateStr
+    );
+    const monthRollups = await fetchRollups(
+      [previous.startDate, lastYear.startDate].sort()[0],
+      endDateStr
+    );
+    const summarize = ({ startDate, endDate }) =>
+      summarizeRollups(monthRollups, startDate, endDate);
+    return {
+      current: summarize({ startDate: startDateStr, endDate: endDateStr }),
+      previous: { ...previous, ...summarize(previous) },
+      lastYear: { ...lastYear, ...summarize(lastYear) },
+    };
+  };
+
+  const renderComparison = (comparison) => {
+    const { previous, lastYear } = comparison;
+    const periods = [comparison.current, previous, lastYear];
+    const formatRange = ({ startDate, endDate }) =>
+      [startDate, endDate]
+        .map((d) =>
+          createTimezoneSafeDate(d).toLocaleDateString("en-US", {
+            month: "short",
+            day: "numeric",
+            year: "numeric",
+          })
+        )
+        .join(" - ");
+    comparisonPreviousHeading.innerHTML = `Previous Period<small>${formatRange(
+      previous
+    )}</small>`;
+    comparisonLastYearHeading.innerHTML = `Last Year<small>${formatRange(
+      lastYear
+    )}</small>`;
+    // For expenses a rise is shown as bad news.
+    const renderChange = (current, before, higherIsBetter) => {
+      const change = getPercentChange(current, before);
+      if (change === null) return "<td>&mdash;</td>";
+      const isGood = higherIsBetter ? change >= 0 : change <= 0;
+      return `<td class="${isGood ? "income-color" : "expense-color"}">${
+        change > 0 ? "+" : ""
+      }${change.toFixed(0)}%</td>`;
+    };
+    const renderRow = (label, getValue, higherIsBetter, className = "") => {
+      const [current, before, yearAgo] = periods.map(getValue);
+      return `<tr class="${className}">
+        <td>${escapeHTML(label)}</td>
+        <td>${formatCurrency(current)}</td>
+        <td>${formatCurrency(before)}</td>
+        ${renderChange(current, before, higherIsBetter)}
+        <td>${formatCurrency(yearAgo)}</td>
+        ${renderChange(current, yearAgo, higherIsBetter)}
+      </tr>`;
+    };
+    const categoryKeys = [
+      ...new Set(periods.flatMap((period) => Object.keys(period.categories))),
+    ].sort(
+      (a, b) =>
+        (periods[0].categories[b] || 0) - (periods[0].categories[a] || 0)
+    );
+    comparisonBody.innerHTML = [
+      renderRow("Income", (p) => p.income, true, "comparison-total"),
+      renderRow("Expenses", (p) => p.expense, false, "comparison-total"),
+      renderRow("Net Profit", (p) => p.net, true, "comparison-total"),
+      ...categoryKeys.map((key) =>
+        renderRow(
+          getCategoryLabel(categories, key),
+          (p) => p.categories[key] || 0,
+          false
+        )
+      ),
+    ].join("");
+  };
+
+  const getReportDateRange = () => {
     const period = timePeriodFilter.value;
     let startDateStr, endDateStr;
     if (period === "custom") {
@@ -674,19 +5585,290 @@ async function initializeApp(user) {
       endDateStr = getTodayDateString();
       startDateStr = getDateStringDaysAgo(days - 1);
     }
-    if (!startDateStr || !endDateStr || startDateStr > endDateStr) {
+    if (!startDateStr || !endDateStr || startDateStr > endDateStr) return null;
+    return { startDateStr, endDateStr };
+  };
+
+  const updateChart = async () => {
+    const view = reportViewSelect.value;
+    forecastHorizonSelect.disabled = view !== "overview";
+    const horizon =
+      view === "overview" ? parseInt(forecastHorizonSelect.value) || 0 : 0;
+    // A forecast always looks back over whole months up to today, so the
+    // period picker only applies without one.
+    const range = horizon
+      ? {
+          startDateStr: getForecastWindow(getTodayDateString(), horizon)
+            .historyStart,
+          endDateStr: getTodayDateString(),
+        }
+      : getReportDateRange();
+    timePeriodFilter.disabled = horizon > 0;
+    customDateRangeEl.classList.toggle(
+      "hidden",
+      horizon > 0 || timePeriodFilter.value !== "custom"
+    );
+    forecastNoteEl.classList.toggle("hidden", !horizon);
+    if (!horizon) forecastWarningEl.classList.add("hidden");
+    if (!range) {
       aiSummaryContent.textContent = "Please select a valid date range.";
       aiSummaryContent.classList.remove("loading");
       return;
     }
-    const rawData = await fetchChartData(startDateStr, endDateStr);
-    const processedData = processChartData(rawData, startDateStr, endDateStr);
-    renderChart(processedData);
-    generateAISummary(rawData);
+    const { startDateStr, endDateStr } = range;
+    // Weekly and coarser charts and the budget and client sections only need
+    // totals, which the rollups hold; daily charts and the forecast work from
+    // the transactions.
+    const monthRollups = await fetchRollups(startDateStr, endDateStr);
+    const chartData =
+      horizon || getChartAggregation(startDateStr, endDateStr) === "daily"
+        ? await fetchChartData(startDateStr, endDateStr)
+        : getRollupChartEntries(monthRollups, startDateStr, endDateStr);
+    if (view === "categories") {
+      renderCategoryDoughnut(getExpenseBreakdown(chartData));
+    } else if (view === "category-trend") {
+      renderCategoryTrendChart(
+        processChartData(chartData, startDateStr, endDateStr)
+      );
+    } else {
+      renderChart(
+        horizon
+          ? await buildForecastChartData(chartData, horizon)
+          : processChartData(chartData, startDateStr, endDateStr)
+      );
+    }
+    const comparison = await fetchComparison(startDateStr, endDateStr);
+    // The forecast's range is its history window, not a chosen period.
+    comparisonContainer.classList.toggle("hidden", horizon > 0);
+    if (!horizon) renderComparison(comparison);
+    renderBudgetReport(
+      summarizeRollups(monthRollups, startDateStr, endDateStr).categories,
+      startDateStr,
+      endDateStr
+    );
+    renderClientReport(
+      getClientRollupEntries(monthRollups, startDateStr, endDateStr)
+    );
+    missingReceiptsRange = { startDateStr, endDateStr };
+    loadMissingReceipts();
+    generateAISummary(startDateStr, endDateStr, comparison);
+  };
+
+  // --- EXPORT ---
+  const describeCurrentFilter = () => {
+    let description = "All transactions";
+    if (currentFilter.type === "income") description = "Income only";
+    if (currentFilter.type === "expense") {
+      description =
+        currentFilter.category && currentFilter.category !== "all"
+          ? `Expenses in "${currentFilter.category}"`
+          : "Expenses only";
+    }
+    if (currentFilter.clientId)
+      description += ` for ${getClientLabel(clients, currentFilter.clientId)}`;
+    return currentSearch
+      ? `${description}, ${describeSearch(currentSearch, (key) =>
+          getCategoryLabel(categories, key)
+        )}`
+      : description;
+  };
+
+  const fetchExportData = async (startDate, endDate) => {
+    const q = query(
+      transactionsCollection,
+      ...buildFilterConstraints(),
+      where(
+        "date",
+        ">=",
+        Timestamp.fromDate(createTimezoneSafeDate(startDate))
+      ),
+      where("date", "<=", Timestamp.fromDate(new Date(endDate + "T23:59:59Z"))),
+      orderBy("date", "asc")
+    );
+    const querySnapshot = await repo.getDocs(q);
+    return querySnapshot.docs.map((doc) => {
+      const t = doc.data();
+      return {
+        description: t.description,
+        amount: t.amount,
+        date: t.date.toDate().toISOString().split("T")[0],
+        type: t.type,
+        category: t.category || "",
+        currency: t.currency || getBaseCurrency(),
+        originalAmount: t.originalAmount ?? t.amount,
+        exchangeRate: t.exchangeRate || 1,
+      };
+    });
+  };
+
+  const exportTransactions = async () => {
+    const range = getReportDateRange();
+    if (!range) {
+      alert("Please select a valid date range to export.");
+      return;
+    }
+    const format = exportFormatSelect.value;
+    const { startDateStr, endDateStr } = range;
+    exportBtn.disabled = true;
+    try {
+      const data = await fetchExportData(startDateStr, endDateStr);
+      // The rate the dashboard uses for a period ending on the same day.
+      const taxRate = getEffectiveTaxRate(
+        await loadRollups(),
+        Number(endDateStr.slice(0, 4))
+      );
+      const rows = buildExportRows(data, {
+        taxRate,
+        savingsRate: SAVINGS_RATE,
+      });
+      let content;
+      if (format === "json") {
+        content = toJSON(rows, {
+          startDate: startDateStr,
+          endDate: endDateStr,
+          filter: describeCurrentFilter(),
+          baseCurrency: getBaseCurrency(),
+          taxRate,
+          savingsRate: SAVINGS_RATE,
+        });
+      } else if (format === "qif") {
+        content = toQIF(rows);
+      } else {
+        content = toCSV(rows);
+      }
+      const { extension, mimeType } = EXPORT_FORMATS[format];
+      downloadFile(
+        `transactions_${startDateStr}_to_${endDateStr}.${extension}`,
+        content,
+        mimeType
+      );
+    } catch (e) {
+      console.error("Error exporting transactions:", e);
+      alert(
+        "The export requires a database index. Please check the browser console for a link to create it."
+      );
+    } finally {
+      exportBtn.disabled = false;
+    }
+  };
+
+  // --- PROFIT AND LOSS ---
+  const PROFIT_LOSS_TITLE = "Profit & Loss Statement";
+
+  // The last few tax years, defaulting to last year until the filing season
+  // is over.
+  const renderProfitLossPeriods = () => {
+    const today = new Date();
+    const year = today.getFullYear();
+    profitLossPeriodSelect.innerHTML = [
+      ...[0, 1, 2, 3, 4].map(
+        (offset) =>
+          `<option value="${year - offset}">Tax Year ${year - offset}</option>`
+      ),
+      `<option value="range">Report Date Range</option>`,
+      `<option value="all">All Time</option>`,
+    ].join("");
+    profitLossPeriodSelect.value = String(
+      today.getMonth() < 4 ? year - 1 : year
+    );
+  };
+
+  const getProfitLossPeriod = () => {
+    const value = profitLossPeriodSelect.value;
+    if (value === "all")
+      return { constraints: [], subtitle: "All time", fileSuffix: "all_time" };
+    const range =
+      value === "range"
+        ? getReportDateRange()
+        : { startDateStr: `${value}-01-01`, endDateStr: `${value}-12-31` };
+    if (!range) return null;
+    const { startDateStr, endDateStr } = range;
+    const formatDate = (dateString) =>
+      createTimezoneSafeDate(dateString).toLocaleDateString("en-US", {
+        month: "long",
+        day: "numeric",
+        year: "numeric",
+      });
+    return {
+      constraints: getDateRangeConstraints(startDateStr, endDateStr),
+      subtitle: `${value === "range" ? "" : `Tax year ${value}: `}${formatDate(
+        startDateStr
+      )} - ${formatDate(endDateStr)}`,
+      fileSuffix:
+        value === "range" ? `${startDateStr}_to_${endDateStr}` : value,
+    };
+  };
+
+  // Every transaction in the period regardless of the list filter, so the
+  // totals line up with the dashboard.
+  const buildProfitLossReport = async (period) => {
+    const snapshot = await repo.getDocs(
+      query(transactionsCollection, ...period.constraints)
+    );
+    return buildProfitAndLoss(
+      snapshot.docs.map((doc) => doc.data()),
+      { categories, clients }
+    );
+  };
+
+  const viewProfitLoss = async () => {
+    const period = getProfitLossPeriod();
+    if (!period) {
+      alert("Please select a valid date range.");
+      return;
+    }
+    // Opened before any await so pop-up blockers treat it as a click.
+    const reportWindow = window.open("", "_blank");
+    if (!reportWindow) {
+      alert("Please allow pop-ups to view the statement.");
+      return;
+    }
+    try {
+      const report = await buildProfitLossReport(period);
+      reportWindow.document.write(
+        renderProfitLossHTML(report, {
+          title: PROFIT_LOSS_TITLE,
+          subtitle: period.subtitle,
+        })
+      );
+      reportWindow.document.close();
+    } catch (e) {
+      console.error("Error building profit and loss statement:", e);
+      reportWindow.close();
+      alert("The statement could not be generated. Please try again.");
+    }
+  };
+
+  const downloadProfitLossPDF = async () => {
+    const period = getProfitLossPeriod();
+    if (!period) {
+      alert("Please select a valid date range.");
+      return;
+    }
+    profitLossPdfBtn.disabled = true;
+    try {
+      const report = await buildProfitLossReport(period);
+      downloadFile(
+        `profit_and_loss_${period.fileSuffix}.pdf`,
+        createReportPDF({
+          title: PROFIT_LOSS_TITLE,
+          subtitle: period.subtitle,
+          rows: getProfitLossRows(report),
+          footer: PROFIT_LOSS_NOTES,
+        }),
+        "application/pdf"
+      );
+    } catch (e) {
+      console.error("Error building profit and loss PDF:", e);
+      alert("The statement could not be generated. Please try again.");
+    } finally {
+      profitLossPdfBtn.disabled = false;
+    }
   };
 
   const openReportsModal = () => {
     reportsModal.classList.remove("hidden");
+    exportFilterNoteEl.textContent = `Exports include: ${describeCurrentFilter()}`;
     if (!startDateInput.value) {
       startDateInput.value = getDateStringDaysAgo(29);
       endDateInput.value = getTodayDateString();
@@ -698,12 +5880,56 @@ async function initializeApp(user) {
   // --- EVENT LISTENERS SETUP ---
   typeDropdown.addEventListener("change", (e) => {
     categoryDropdown.classList.toggle("hidden", e.target.value !== "expense");
+    if (e.target.value === "expense") suggestFormCategory(true);
   });
+  transactionForm.elements.description.addEventListener("input", () =>
+    suggestFormCategory(false)
+  );
+  transactionForm.elements.description.addEventListener("change", () =>
+    suggestFormCategory(true)
+  );
+  categoryDropdown.addEventListener("change", () => {
+    categoryPicked = true;
+    categoryDropdown.classList.remove("is-suggested");
+  });
+  repeatDropdown.addEventListener("change", (e) => {
+    const repeats = e.target.value !== "none";
+    // A receipt belongs to one occurrence, so a repeating transaction gets
+    // its receipts from Edit once the occurrences exist.
+    attachmentsInput.disabled = repeats;
+    attachmentsInput.title = repeats
+      ? "Attach receipts to an occurrence from Edit"
+      : "";
+    if (repeats) attachmentsInput.value = "";
+    repeatEndDropdown.classList.toggle("hidden", !repeats);
+    if (!repeats) repeatEndDropdown.value = "never";
+    repeatEndDateInput.classList.toggle(
+      "hidden",
+      !repeats || repeatEndDropdown.value !== "date"
+    );
+    repeatCountInput.classList.toggle(
+      "hidden",
+      !repeats || repeatEndDropdown.value !== "count"
+    );
+  });
+  repeatEndDropdown.addEventListener("change", (e) => {
+    repeatEndDateInput.classList.toggle("hidden", e.target.value !== "date");
+    repeatEndDateInput.required = e.target.value === "date";
+    repeatCountInput.classList.toggle("hidden", e.target.value !== "count");
+    repeatCountInput.required = e.target.value === "count";
+  });
+  currencyDropdown.addEventListener("change", (e) =>
+    syncExchangeRateInput(e.target.value, exchangeRateInput)
+  );
   transactionForm.addEventListener("submit", (e) => {
     e.preventDefault();
     const data = {
       description: e.target.elements.description.value,
-      amount: parseFloat(e.target.elements.amount.value),
+      ...convertToBase(
+        parseFloat(e.target.elements.amount.value),
+        e.target.elements.currency.value,
+        parseFloat(e.target.elements["exchange-rate"].value)
+      ),
       date: Timestamp.fromDate(
         createTimezoneSafeDate(e.target.elements.date.value)
       ),
@@ -711,17 +5937,129 @@ async function initializeApp(user) {
     };
     if (data.type === "expense")
       data.category = e.target.elements.category.value;
-    addTransaction(data);
+    Object.assign(data, readClientFields(clientDropdown, projectDropdown));
+    const files = Array.from(attachmentsInput.files);
+    const frequency = e.target.elements.repeat.value;
+    if (frequency === "none") {
+      addTransaction(data).then((id) => {
+        if (id)
+          showToast("Transaction added.", {
+            actionLabel: "Undo",
+            onAction: () => undoAdd([id]),
+          });
+        if (id && files.length) addAttachments(id, files);
+        if (id && data.type === "expense") checkBudgetThresholds(data);
+      });
+    } else {
+      const endType = e.target.elements["repeat-end"].value;
+      addRecurringSchedule(data, {
+        frequency,
+        startDate: e.target.elements.date.value,
+        endDate:
+          endType === "date"
+            ? e.target.elements["repeat-end-date"].value
+            : null,
+        count:
+          endType === "count"
+            ? parseInt(e.target.elements["repeat-count"].value)
+            : null,
+      });
+    }
     e.target.reset();
     e.target.elements.date.value = getTodayDateString();
+    populateCurrencyOptions(currencyDropdown);
+    syncExchangeRateInput(getBaseCurrency(), exchangeRateInput);
     categoryDropdown.classList.add("hidden");
+    resetFormCategorySuggestion();
+    renderProjectPicker(projectDropdown, null);
+    [repeatEndDropdown, repeatEndDateInput, repeatCountInput].forEach((el) => {
+      el.classList.add("hidden");
+      el.required = false;
+    });
+    attachmentsInput.disabled = false;
+    attachmentsInput.title = "";
+  });
+  trashBtn.addEventListener("click", openTrashModal);
+  closeTrashModalBtn.addEventListener("click", closeTrashModal);
+  trashBody.addEventListener("click", (e) => {
+    const target = e.target.closest("button");
+    if (!target) return;
+    const transactionId = target.dataset.id;
+    if (target.classList.contains("restore-btn")) {
+      target.disabled = true;
+      restoreFromTrash([transactionId]);
+    } else if (target.classList.contains("delete-btn")) {
+      const trashDoc = trashDocs.find((d) => d.id === transactionId);
+      if (
+        trashDoc &&
+        confirm("Delete this transaction for good? This can't be undone.")
+      )
+        deleteFromTrash([trashDoc]);
+    }
+  });
+  emptyTrashBtn.addEventListener("click", () => {
+    if (
+      trashDocs.length &&
+      confirm(
+        `Delete ${trashDocs.length} ${
+          trashDocs.length === 1 ? "transaction" : "transactions"
+        } for good? This can't be undone.`
+      )
+    )
+      deleteFromTrash(trashDocs);
+  });
+  reviewBtn.addEventListener("click", openReviewModal);
+  closeReviewModalBtn.addEventListener("click", closeReviewModal);
+  reviewBody.addEventListener("change", (e) => {
+    const item = reviewItems[e.target.dataset.index];
+    if (!item) return;
+    if (e.target.type === "checkbox") {
+      item.selected = e.target.checked;
+    } else {
+      item.category = e.target.value;
+      item.source = item.category ? "You" : "";
+      item.selected = Boolean(item.category);
+    }
+    renderReviewQueue();
+  });
+  reviewSelectAllInput.addEventListener("change", (e) => {
+    reviewItems.forEach((item) => {
+      if (item.category) item.selected = e.target.checked;
+    });
+    renderReviewQueue();
+  });
+  acceptReviewBtn.addEventListener("click", acceptReviewSuggestions);
+  quickEntryForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    if (quickEntryInput.value.trim()) previewQuickEntry(quickEntryInput.value);
+  });
+  // Enter previews; Shift+Enter starts a new line.
+  quickEntryInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      quickEntryForm.requestSubmit();
+    }
+  });
+  quickEntryBody.addEventListener("change", (e) => {
+    const field = e.target.dataset.field;
+    const row = e.target.closest("tr");
+    if (field && row)
+      updateQuickEntry(Number(row.dataset.index), field, e.target.value);
   });
+  quickEntryBody.addEventListener("click", (e) => {
+    if (!e.target.closest("[data-action='remove']")) return;
+    quickEntries.splice(Number(e.target.closest("tr").dataset.index), 1);
+    if (quickEntries.length) renderQuickEntryPreview();
+    else clearQuickEntry();
+  });
+  quickEntryAddBtn.addEventListener("click", addQuickEntries);
+  quickEntryCancelBtn.addEventListener("click", clearQuickEntry);
   mainFilters.addEventListener("click", (e) => {
     if (e.target.classList.contains("filter-btn")) {
       mainFilters.querySelector(".active").classList.remove("active");
       e.target.classList.add("active");
       const type = e.target.dataset.type;
-      currentFilter = { type };
+      currentFilter = { type, clientId: currentFilter.clientId };
       categoryFilters.classList.toggle("hidden", type !== "expense");
       if (type === "expense") {
         categoryFilterDropdown.value = "all";
@@ -734,16 +6072,75 @@ async function initializeApp(user) {
     currentFilter.category = e.target.value;
     resetAndRefresh();
   });
+  clientFilterDropdown.addEventListener("change", (e) => {
+    currentFilter.clientId = e.target.value === "all" ? null : e.target.value;
+    resetAndRefresh();
+  });
+  clientDropdown.addEventListener("change", () =>
+    handleClientChange(clientDropdown, projectDropdown)
+  );
+  projectDropdown.addEventListener("change", () =>
+    handleProjectChange(clientDropdown, projectDropdown)
+  );
+  editClientDropdown.addEventListener("change", () =>
+    handleClientChange(
+      editClientDropdown,
+      editProjectDropdown,
+      editProjectGroup
+    )
+  );
+  editProjectDropdown.addEventListener("change", () =>
+    handleProjectChange(
+      editClientDropdown,
+      editProjectDropdown,
+      editProjectGroup
+    )
+  );
   transactionList.addEventListener("click", (e) => {
     const target = e.target.closest("button");
     if (!target) return;
     const transactionId = target.dataset.id;
     if (target.classList.contains("delete-btn")) {
-      if (confirm("Are you sure?")) deleteTransaction(transactionId);
+      deleteTransaction(transactionId);
     } else if (target.classList.contains("edit-btn")) {
       const transaction = transactions.find((t) => t.id === transactionId);
       if (transaction) openEditModal(transaction);
+    } else if (target.classList.contains("attachment-btn")) {
+      const transaction = transactions.find((t) => t.id === transactionId);
+      if (transaction)
+        openAttachmentPreview(
+          transaction.description,
+          getAttachments(transaction)
+        );
+    }
+  });
+  transactionList.addEventListener("change", (e) => {
+    if (!e.target.classList.contains("select-transaction")) return;
+    if (selectAllMatching) {
+      // Unticking one row turns "all matching" back into this page.
+      selectAllMatching = false;
+      transactions.forEach((t) => selectedIds.add(t.id));
     }
+    if (e.target.checked) selectedIds.add(e.target.dataset.id);
+    else selectedIds.delete(e.target.dataset.id);
+    renderTransactions();
+  });
+  selectPageInput.addEventListener("change", (e) => {
+    selectAllMatching = false;
+    transactions.forEach((t) =>
+      e.target.checked ? selectedIds.add(t.id) : selectedIds.delete(t.id)
+    );
+    renderTransactions();
+  });
+  selectMatchingBtn.addEventListener("click", () => {
+    selectAllMatching = true;
+    renderTransactions();
+  });
+  bulkActionSelect.addEventListener("change", syncBulkActionInputs);
+  bulkApplyBtn.addEventListener("click", applyBulkAction);
+  bulkClearBtn.addEventListener("click", () => {
+    clearSelection();
+    renderTransactions();
   });
   nextPageBtn.addEventListener("click", () => {
     if (currentPage < totalPages) {
@@ -757,6 +6154,13 @@ async function initializeApp(user) {
       fetchTransactionsForPage(currentPage);
     }
   });
+  editCurrencyDropdown.addEventListener("change", (e) =>
+    syncExchangeRateInput(
+      e.target.value,
+      editExchangeRateInput,
+      editExchangeRateGroup
+    )
+  );
   editTypeDropdown.addEventListener("change", (e) => {
     editCategoryGroup.classList.toggle("hidden", e.target.value !== "expense");
   });
@@ -765,17 +6169,78 @@ async function initializeApp(user) {
     const id = e.target.elements["edit-id"].value;
     const data = {
       description: e.target.elements["edit-description"].value,
-      amount: parseFloat(e.target.elements["edit-amount"].value),
+      ...convertToBase(
+        parseFloat(e.target.elements["edit-amount"].value),
+        e.target.elements["edit-currency"].value,
+        parseFloat(e.target.elements["edit-exchange-rate"].value)
+      ),
       date: Timestamp.fromDate(
         createTimezoneSafeDate(e.target.elements["edit-date"].value)
       ),
       type: e.target.elements["edit-type"].value,
     };
+    data.searchTokens = buildSearchTokens(data.description);
     data.category =
       data.type === "expense" ? e.target.elements["edit-category"].value : null;
-    updateTransaction(id, data);
+    Object.assign(
+      data,
+      readClientFields(editClientDropdown, editProjectDropdown)
+    );
+    const recurringId = e.target.elements["edit-recurring-id"].value;
+    if (recurringId && e.target.elements["edit-scope"].value === "series") {
+      updateRecurringSeries(id, recurringId, data);
+    } else {
+      updateTransaction(id, data);
+    }
     closeEditModal();
   });
+  stopRecurringBtn.addEventListener("click", async () => {
+    const recurringId = editForm.elements["edit-recurring-id"].value;
+    if (!recurringId) return;
+    if (
+      confirm("Stop creating new occurrences? Existing transactions are kept.")
+    ) {
+      await stopRecurringSeries(recurringId);
+      closeEditModal();
+    }
+  });
+  editAttachmentsInput.addEventListener("change", async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = "";
+    const attachments = await addAttachments(
+      editForm.elements["edit-id"].value,
+      files
+    );
+    if (attachments) renderEditAttachments(attachments);
+  });
+  editAttachmentList.addEventListener("click", async (e) => {
+    const target = e.target.closest("button");
+    if (!target) return;
+    const transactionId = editForm.elements["edit-id"].value;
+    const attachmentId = target.dataset.attachmentId;
+    if (target.dataset.action === "view") {
+      openAttachmentPreview(
+        editForm.elements["edit-description"].value,
+        editAttachments.filter((a) => a.id === attachmentId)
+      );
+    } else if (
+      target.dataset.action === "remove" &&
+      confirm("Remove this attachment?")
+    ) {
+      const attachments = await removeAttachment(transactionId, attachmentId);
+      if (attachments) renderEditAttachments(attachments);
+    }
+  });
+  closeAttachmentModalBtn.addEventListener("click", closeAttachmentPreview);
+  missingReceiptsContainer.addEventListener("toggle", loadMissingReceipts);
+  missingReceiptsList.addEventListener("click", (e) => {
+    const target = e.target.closest("button");
+    if (!target) return;
+    const transaction = missingReceipts.find((t) => t.id === target.dataset.id);
+    if (!transaction) return;
+    closeReportsModal();
+    openEditModal(transaction);
+  });
   closeModalBtn.addEventListener("click", closeEditModal);
   cancelEditBtn.addEventListener("click", closeEditModal);
   reportsBtn.addEventListener("click", openReportsModal);
@@ -786,15 +6251,502 @@ async function initializeApp(user) {
     updateChart();
   });
   startDateInput.addEventListener("change", updateChart);
+  forecastHorizonSelect.addEventListener("change", updateChart);
+  reportViewSelect.addEventListener("change", updateChart);
+  profitLossViewBtn.addEventListener("click", viewProfitLoss);
+  profitLossPdfBtn.addEventListener("click", downloadProfitLossPDF);
   endDateInput.addEventListener("change", updateChart);
+  exportBtn.addEventListener("click", exportTransactions);
+  categoriesBtn.addEventListener("click", openCategoriesModal);
+  closeCategoriesModalBtn.addEventListener("click", closeCategoriesModal);
+  showArchivedCategoriesInput.addEventListener("change", renderCategoryManager);
+  budgetsBtn.addEventListener("click", openBudgetsModal);
+  closeBudgetsModalBtn.addEventListener("click", closeBudgetsModal);
+  budgetList.addEventListener("change", (e) => {
+    if (!e.target.classList.contains("budget-amount-input")) return;
+    const budget = budgets.find(
+      (b) => b.id === e.target.closest("li").dataset.id
+    );
+    if (budget)
+      saveBudget(budget.category, budget.period, parseFloat(e.target.value));
+  });
+  budgetList.addEventListener("click", (e) => {
+    const target = e.target.closest("button[data-action='delete-budget']");
+    if (target && confirm("Remove this budget?"))
+      deleteBudget(target.closest("li").dataset.id);
+  });
+  budgetForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    saveBudget(
+      e.target.elements["budget-category"].value,
+      e.target.elements["budget-period"].value,
+      parseFloat(e.target.elements["budget-amount"].value)
+    );
+    e.target.elements["budget-amount"].value = "";
+  });
+  toastCloseBtn.addEventListener("click", hideToast);
+  timeBtn.addEventListener("click", openTimeModal);
+  closeTimeModalBtn.addEventListener("click", closeTimeModal);
+  timerForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    if (runningTimer) stopTimer();
+    else startTimer(readTimeFields(e.target, "timer"));
+  });
+  timerForm.elements["timer-client"].addEventListener("change", (e) =>
+    handleTimeClientChange(e.target, timerForm.elements["timer-rate"])
+  );
+  timeEntryForm.elements["entry-client"].addEventListener("change", (e) =>
+    handleTimeClientChange(e.target, timeEntryForm.elements["entry-rate"])
+  );
+  timeEntryForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    addTimeEntry(
+      readTimeFields(e.target, "entry"),
+      e.target.elements["entry-date"].value,
+      parseFloat(e.target.elements["entry-hours"].value)
+    );
+    e.target.elements["entry-description"].value = "";
+    e.target.elements["entry-hours"].value = "";
+  });
+  unbilledList.addEventListener("change", () => {
+    convertTimeBtn.disabled = getSelectedTimeEntries().length === 0;
+  });
+  unbilledList.addEventListener("click", (e) => {
+    const target = e.target.closest("button[data-action='delete-entry']");
+    if (target && confirm("Delete this time entry?"))
+      deleteTimeEntry(target.dataset.id);
+  });
+  convertTimeBtn.addEventListener("click", () => {
+    const entries = getSelectedTimeEntries();
+    if (entries.length) convertTimeToIncome(entries);
+  });
+  storageBtn.addEventListener("click", openStorageModal);
+  closeStorageModalBtn.addEventListener("click", closeStorageModal);
+  storageForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const target = e.target.elements["storage-backend"].value;
+    if (target === repo.backend) {
+      closeStorageModal();
+      return;
+    }
+    const removeSource = e.target.elements["storage-remove-source"].checked;
+    if (
+      !confirm(
+        `Move all of your data to "${STORAGE_BACKENDS[target]}"?${
+          removeSource ? " The current copy will be deleted afterwards." : ""
+        }`
+      )
+    )
+      return;
+    e.submitter.disabled = true;
+    await moveStorage(target, removeSource);
+    e.submitter.disabled = false;
+  });
+  [
+    dashboardPeriodSelect,
+    dashboardStartDateInput,
+    dashboardEndDateInput,
+    fiscalYearStartSelect,
+  ].forEach((el) => el.addEventListener("change", saveDashboardSettings));
+  rebuildRollupsBtn.addEventListener("click", async () => {
+    rebuildRollupsBtn.disabled = true;
+    try {
+      const months = await rebuildRollups();
+      await updateGlobalSummary();
+      await resetAndRefresh();
+      showToast(
+        `Totals rebuilt for ${months} ${months === 1 ? "month" : "months"}.`
+      );
+    } catch (e) {
+      console.error("Error rebuilding monthly totals:", e);
+      alert("The totals could not be rebuilt. Please try again.");
+    }
+    rebuildRollupsBtn.disabled = false;
+  });
+  accountBtn.addEventListener("click", openAccountModal);
+  closeAccountModalBtn.addEventListener("click", closeAccountModal);
+  signOutBtn.addEventListener("click", signOutOfAccount);
+  accountForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const email = e.target.elements["account-email"].value.trim();
+    const password = e.target.elements["account-password"].value;
+    accountErrorEl.classList.add("hidden");
+    try {
+      if (e.submitter && e.submitter.dataset.mode === "sign-in")
+        await signInWithEmail(email, password);
+      else await createAccount(email, password);
+    } catch (error) {
+      showAccountError(error);
+    }
+  });
+  googleSignInBtn.addEventListener("click", async () => {
+    accountErrorEl.classList.add("hidden");
+    try {
+      await continueWithGoogle();
+    } catch (error) {
+      showAccountError(error);
+    }
+  });
+  window.addEventListener("offline", updateSyncStatus);
+  window.addEventListener("online", async () => {
+    updateSyncStatus();
+    try {
+      await repo.waitForPendingWrites();
+    } catch (e) {
+      console.error("Error waiting for queued changes:", e);
+    }
+    await updateGlobalSummary();
+    await refreshData();
+  });
+  searchToggleBtn.addEventListener("click", () =>
+    searchPanel.classList.toggle("hidden")
+  );
+  searchForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    applySearch();
+  });
+  clearSearchBtn.addEventListener("click", clearSearch);
+  categoryManagerList.addEventListener("change", (e) => {
+    const row = e.target.closest("li");
+    const category = row && categories.find((c) => c.id === row.dataset.id);
+    if (!category) return;
+    const field = e.target.dataset.field;
+    if (field === "name") {
+      const newName = e.target.value.trim();
+      if (!newName || newName === category.name) return;
+      if (
+        confirm(
+          `Rename "${category.name}" to "${newName}"? Existing transactions will be updated.`
+        )
+      )
+        renameCategory(category, newName);
+      else e.target.value = category.name;
+    } else if (field === "taxDeductible") {
+      updateCategory(category, { taxDeductible: e.target.checked });
+    } else if (field) {
+      updateCategory(category, { [field]: e.target.value });
+    } else if (e.target.dataset.role === "merge-target") {
+      const target = categories.find((c) => c.id === e.target.value);
+      if (!target) return;
+      if (
+        confirm(
+          `Move every "${category.name}" transaction to "${target.name}" and remove "${category.name}"?`
+        )
+      )
+        mergeCategory(category, target);
+      else e.target.value = "";
+    }
+  });
+  categoryManagerList.addEventListener("click", (e) => {
+    const target = e.target.closest("button[data-action='archive']");
+    if (!target) return;
+    const category = categories.find(
+      (c) => c.id === target.closest("li").dataset.id
+    );
+    if (category) updateCategory(category, { archived: !category.archived });
+  });
+  categoryForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    addCategory({
+      name: e.target.elements["new-category-name"].value.trim(),
+      icon: e.target.elements["new-category-icon"].value.trim(),
+      color: e.target.elements["new-category-color"].value,
+      taxDeductible: e.target.elements["new-category-deductible"].checked,
+    });
+    e.target.reset();
+  });
+  taxPlanBtn.addEventListener("click", openTaxModal);
+  closeTaxModalBtn.addEventListener("click", closeTaxModal);
+  [taxProfileDropdown, filingStatusDropdown, flatTaxRateInput].forEach((el) =>
+    el.addEventListener("change", () => {
+      syncTaxSettingsForm();
+      saveTaxSettings();
+    })
+  );
+  taxPaymentForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    recordTaxPayment(
+      parseFloat(e.target.elements["tax-payment-amount"].value),
+      e.target.elements["tax-payment-date"].value
+    );
+    e.target.elements["tax-payment-amount"].value = "";
+  });
+  taxPaymentsList.addEventListener("click", (e) => {
+    const target = e.target.closest(".delete-btn");
+    if (target && confirm("Delete this tax payment?"))
+      deleteTaxPayment(target.dataset.id);
+  });
+  currencyBtn.addEventListener("click", openCurrencyModal);
+  closeCurrencyModalBtn.addEventListener("click", closeCurrencyModal);
+  baseCurrencyDropdown.addEventListener("change", async (e) => {
+    const newBase = e.target.value;
+    if (
+      !confirm(
+        `Convert all stored totals from ${getBaseCurrency()} to ${newBase} using the current rates?`
+      )
+    ) {
+      e.target.value = getBaseCurrency();
+      return;
+    }
+    e.target.disabled = true;
+    const changed = await changeBaseCurrency(newBase);
+    e.target.disabled = false;
+    if (!changed) {
+      e.target.value = getBaseCurrency();
+      return;
+    }
+    renderRatesList();
+    await loadBudgets();
+    await updateGlobalSummary();
+    await refreshData();
+  });
+  ratesList.addEventListener("change", (e) => {
+    const code = e.target.dataset.code;
+    if (code) saveRate(code, parseFloat(e.target.value));
+  });
+  ratesList.addEventListener("click", (e) => {
+    const target = e.target.closest(".delete-btn");
+    if (!target) return;
+    saveRate(target.dataset.code, 0);
+    renderRatesList();
+  });
+  addRateBtn.addEventListener("click", () => {
+    const value = parseFloat(newRateValueInput.value);
+    if (!(value > 0)) return;
+    saveRate(newRateCurrencyDropdown.value, value);
+    newRateValueInput.value = "";
+    renderRatesList();
+  });
+  ratesFileInput.addEventListener("change", (e) => {
+    const file = e.target.files[0];
+    if (file) importRatesFile(file);
+  });
+  invoicesBtn.addEventListener("click", openInvoicesModal);
+  closeInvoicesModalBtn.addEventListener("click", closeInvoicesModal);
+  invoiceStatusFilter.addEventListener("change", renderInvoiceList);
+  newInvoiceBtn.addEventListener("click", () => openInvoiceEditor());
+  cancelInvoiceBtn.addEventListener("click", closeInvoiceEditor);
+  addLineItemBtn.addEventListener("click", () => {
+    addLineItemRow();
+    updateInvoiceTotalsDisplay();
+  });
+  lineItemsBody.addEventListener("click", (e) => {
+    if (!e.target.classList.contains("remove-line-btn")) return;
+    e.target.closest("tr").remove();
+    updateInvoiceTotalsDisplay();
+  });
+  invoiceForm.addEventListener("input", (e) => {
+    if (
+      e.target.closest("#line-items-body") ||
+      e.target.id === "invoice-tax-rate" ||
+      e.target.id === "invoice-currency"
+    )
+      updateInvoiceTotalsDisplay();
+  });
+  invoiceClientDropdown.addEventListener("change", (e) => {
+    newClientFields.classList.toggle("hidden", e.target.value !== "__new__");
+  });
+  invoiceForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    if (readLineItems().every((item) => !item.description)) {
+      alert("Add at least one line item.");
+      return;
+    }
+    if (await saveInvoice(e.target)) closeInvoiceEditor();
+  });
+  invoiceList.addEventListener("click", (e) => {
+    const target = e.target.closest("button");
+    if (!target) return;
+    const invoice = invoices.find((i) => i.id === target.dataset.id);
+    if (!invoice) return;
+    switch (target.dataset.action) {
+      case "view":
+        viewInvoice(invoice);
+        break;
+      case "edit":
+        openInvoiceEditor(invoice);
+        break;
+      case "send":
+        setInvoiceStatus(invoice.id, "sent");
+        break;
+      case "paid":
+        if (
+          confirm(
+            `Record ${formatCurrency(invoice.total, invoice.currency)} from ${
+              invoice.clientName
+            } as income today?`
+          )
+        ) {
+          // Off until the write settles, so a second click can't record the
+          // payment twice.
+          target.disabled = true;
+          markInvoicePaid(invoice).finally(() => (target.disabled = false));
+        }
+        break;
+      case "delete":
+        if (confirm("Delete this draft invoice?")) deleteInvoice(invoice.id);
+        break;
+    }
+  });
+  importBtn.addEventListener("click", openImportModal);
+  closeImportModalBtn.addEventListener("click", closeImportModal);
+  cancelImportBtn.addEventListener("click", closeImportModal);
+  importFileInput.addEventListener("change", (e) => {
+    const file = e.target.files[0];
+    if (file) handleImportFile(file);
+  });
+  importMappingFieldsEl.addEventListener("change", (e) => {
+    if (!importState || !e.target.dataset.field) return;
+    importState.mapping[e.target.dataset.field] = parseInt(e.target.value);
+    buildImportPreview();
+  });
+  importHasHeaderInput.addEventListener("change", () => {
+    if (!importState || importState.format !== "csv") return;
+    renderImportMapping();
+    buildImportPreview();
+  });
+  [importDateFormatSelect, importSignConventionSelect].forEach((select) =>
+    select.addEventListener("change", () => {
+      if (importState) buildImportPreview();
+    })
+  );
+  importPreviewBody.addEventListener("change", (e) => {
+    const index = e.target.dataset.index;
+    if (index === undefined) return;
+    importState.records[index].selected = e.target.checked;
+    confirmImportBtn.disabled = !importState.records.some((r) => r.selected);
+  });
+  importSelectAllInput.addEventListener("change", (e) => {
+    if (!importState) return;
+    importState.records.forEach((r) => {
+      if (!r.error) r.selected = e.target.checked;
+    });
+    renderImportPreview();
+  });
+  confirmImportBtn.addEventListener("click", async () => {
+    const selected = importState.records.filter((r) => r.selected);
+    if (selected.length === 0) return;
+    confirmImportBtn.disabled = true;
+    await importTransactions(selected);
+    closeImportModal();
+  });
+  importHistoryList.addEventListener("click", (e) => {
+    const target = e.target.closest(".rollback-import-btn");
+    if (!target) return;
+    if (confirm("Remove every transaction created by this import?"))
+      rollbackImport(target.dataset.id);
+  });
 
   // --- INITIAL DATA LOAD ---
+  updateSyncStatus();
   transactionForm.elements.date.value = getTodayDateString();
+  await loadPreferences();
+  if (currencyMigration)
+    showToast(
+      `Changing the base currency to ${currencyMigration.to} didn't finish. Pick ${currencyMigration.to} again under Currencies to convert the rest.`
+    );
+  renderDashboardControls();
+  await backfillSearchTokens();
+  await ensureRollups();
+  populateCurrencyOptions(currencyDropdown);
+  renderProfitLossPeriods();
+  await purgeExpiredTrash();
+  await loadCategories();
+  await loadCategoryModel();
+  await loadBudgets();
+  await loadClients();
+  await loadTimeEntries();
+  await generateRecurringTransactions();
+  try {
+    await refreshOverdueInvoices();
+  } catch (e) {
+    console.error("Error refreshing overdue invoices:", e);
+  }
   await updateGlobalSummary();
   await resetAndRefresh();
 }
 
 // --- UI RENDERING FUNCTIONS ---
+// Shows how a dashboard figure moved since the previous period, as a
+// percentage or, with `points`, in percentage points. higherIsBetter picks
+// the colour; null leaves it plain.
+function renderPeriodChange(
+  el,
+  current,
+  previous,
+  { higherIsBetter = true, points = false } = {}
+) {
+  const change = points
+    ? current - previous
+    : getPercentChange(current, previous);
+  el.classList.remove("income-color", "expense-color");
+  if (change === null) {
+    el.textContent = "No previous figure";
+    return;
+  }
+  const rounded = Math.round(change);
+  el.textContent =
+    rounded === 0
+      ? "Level with previous"
+      : `${rounded > 0 ? "+" : ""}${rounded}${
+          points ? " pts" : "%"
+        } vs previous`;
+  if (rounded !== 0 && higherIsBetter !== null)
+    el.classList.add(
+      rounded > 0 === higherIsBetter ? "income-color" : "expense-color"
+    );
+}
+function renderDashboardPeriod(range) {
+  dashboardCustomRangeEl.classList.toggle(
+    "hidden",
+    dashboardPeriodSelect.value !== "custom"
+  );
+  const formatRange = ({ startDate, endDate }) =>
+    [startDate, endDate]
+      .map((d) =>
+        createTimezoneSafeDate(d).toLocaleDateString("en-US", {
+          month: "short",
+          day: "numeric",
+          year: "numeric",
+        })
+      )
+      .join(" - ");
+  dashboardPeriodRangeEl.textContent = range
+    ? `${formatRange(range)}, compared with ${formatRange(range.previous)}`
+    : "Pick a start date on or before the end date.";
+}
+function clearSelection() {
+  selectedIds = new Set();
+  selectAllMatching = false;
+}
+function syncBulkActionInputs() {
+  const action = bulkActionSelect.value;
+  bulkCategoryDropdown.classList.toggle("hidden", action !== "category");
+  bulkTypeDropdown.classList.toggle("hidden", action !== "type");
+  bulkShiftDaysInput.classList.toggle("hidden", action !== "shift");
+  bulkClientDropdown.classList.toggle("hidden", action !== "client");
+  bulkApplyBtn.disabled = !action;
+}
+function renderBulkBar() {
+  const count = selectAllMatching ? matchingCount : selectedIds.size;
+  const pageSelected =
+    transactions.length > 0 &&
+    (selectAllMatching || transactions.every((t) => selectedIds.has(t.id)));
+  bulkBar.classList.toggle("hidden", transactions.length === 0);
+  selectPageInput.checked = pageSelected;
+  bulkSelectionEl.textContent = !count
+    ? "Select transactions to change several at once"
+    : selectAllMatching
+    ? `All ${count} matching selected`
+    : `${count} selected`;
+  selectMatchingBtn.textContent = `Select all ${matchingCount} matching`;
+  selectMatchingBtn.classList.toggle(
+    "hidden",
+    !pageSelected || selectAllMatching || matchingCount <= transactions.length
+  );
+  bulkActionsEl.classList.toggle("hidden", count === 0);
+  syncBulkActionInputs();
+}
 function updatePaginationUI() {
   pageInfoEl.textContent = `Page ${currentPage} of ${totalPages}`;
   prevPageBtn.disabled = currentPage === 1;
@@ -802,30 +6754,71 @@ function updatePaginationUI() {
 }
 function renderTransactions() {
   transactionList.innerHTML = "";
+  renderBulkBar();
   if (transactions.length === 0) {
     transactionList.innerHTML = `<p class="no-transactions">No transactions found for the selected filter.</p>`;
     return;
   }
   transactions.forEach((t) => {
     const item = document.createElement("li");
+    const isSelected = selectAllMatching || selectedIds.has(t.id);
+    item.classList.toggle("is-selected", isSelected);
     const date = t.date.toDate();
     const formattedDate = date.toLocaleDateString("en-US", {
       month: "short",
       day: "numeric",
       year: "numeric",
     });
+    const category = findCategory(categories, t.category);
     const categoryDisplay = t.category
-      ? `&bull; ${t.category.charAt(0).toUpperCase() + t.category.slice(1)}`
+      ? `&bull; <span class="category-dot" style="background-color: ${getCategoryColor(
+          categories,
+          t.category
+        )}"></span> ${escapeHTML(
+          `${
+            category && category.icon ? category.icon + " " : ""
+          }${getCategoryLabel(categories, t.category)}`
+        )}`
+      : "";
+    const originalDisplay =
+      t.currency && t.currency !== getBaseCurrency()
+        ? `<span class="original-amount">${formatCurrency(
+            t.originalAmount,
+            t.currency
+          )} @ ${t.exchangeRate}</span>`
+        : "";
+    const clientLabel = getClientLabel(clients, t.clientId, t.project);
+    const clientDisplay = clientLabel
+      ? `&bull; <span class="client-tag">${escapeHTML(clientLabel)}</span>`
+      : "";
+    const recurringDisplay = t.recurringId
+      ? `<span class="recurring-badge" title="Recurring">&#8635;</span>`
+      : "";
+    const attachmentCount = getAttachments(t).length;
+    const attachmentDisplay = attachmentCount
+      ? `<button class="attachment-btn" data-id="${
+          t.id
+        }" title="View ${attachmentCount} attachment${
+          attachmentCount === 1 ? "" : "s"
+        }">&#128206;${attachmentCount > 1 ? attachmentCount : ""}</button>`
+      : "";
+    const pendingDisplay = t.hasPendingWrites
+      ? `<span class="pending-badge" title="Saved on this device, waiting to sync">Pending sync</span>`
       : "";
     item.innerHTML = `
+      <input type="checkbox" class="select-transaction" data-id="${
+        t.id
+      }" title="Select" ${isSelected ? "checked" : ""}>
       <div class="transaction-item-main">
-        <span class="description">${t.description}</span>
-        <span class="transaction-date">${formattedDate} ${categoryDisplay}</span>
+        <span class="description">${escapeHTML(t.description)}</span>
+        <span class="transaction-date">${formattedDate} ${categoryDisplay} ${clientDisplay} ${recurringDisplay} ${pendingDisplay}</span>
       </div>
       <div class="transaction-actions">
           <span class="amount ${t.type}-color">
-            ${t.type === "income" ? "+" : "-"}$${formatCurrency(t.amount)}
+            ${t.type === "income" ? "+" : "-"}${formatCurrency(t.amount)}
+            ${originalDisplay}
           </span>
+          ${attachmentDisplay}
           <button class="edit-btn" data-id="${
             t.id
           }" title="Edit">&#9998;</button>
@@ -0,0 +1,235 @@
+// A minimal PDF writer for tabular text reports, so statements can be saved
+// as PDF without a server or a PDF library. It only knows the two standard
+// Helvetica fonts, which every PDF reader ships, and the WinAnsi character
+// set; anything else is printed as "?".
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+const FONT_SIZE = 10;
+const LINE_HEIGHT = 16;
+
+// Helvetica and Helvetica-Bold advance widths for characters 32-126, in
+// thousandths of the font size, from the standard AFM files.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584,
+  584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+  278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278,
+  556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556,
+  500, 389, 280, 389, 584,
+];
+
+// Characters outside Latin-1 that WinAnsi still has a code for.
+const WIN_ANSI_EXTRAS = {
+  "€": 0x80,
+  "…": 0x85,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+};
+
+function toWinAnsi(text) {
+  return Array.from(String(text ?? ""))
+    .map((char) => {
+      const code = char.charCodeAt(0);
+      if (WIN_ANSI_EXTRAS[char])
+        return String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+      // Locales such as fr-FR group digits with narrow no-break spaces.
+      if (char === "\u00a0" || char === "\u202f") return " ";
+      if (
+        char.length === 1 &&
+        ((code >= 32 && code <= 126) || (code >= 0xa1 && code <= 0xff))
+      )
+        return char;
+      return "?";
+    })
+    .join("");
+}
+
+function measure(text, size, bold) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return (total * size) / 1000;
+}
+
+function fitText(text, maxWidth, size, bold) {
+  if (measure(text, size, bold) <= maxWidth) return text;
+  let fitted = text;
+  while (fitted && measure(`${fitted}...`, size, bold) > maxWidth)
+    fitted = fitted.slice(0, -1);
+  return `${fitted}...`;
+}
+
+const escapePDFString = (text) => text.replace(/[\\()]/g, "\\$&");
+
+function drawText(text, x, y, size, bold) {
+  return `BT /${bold ? "F2" : "F1"} ${size} Tf ${x.toFixed(2)} ${y.toFixed(
+    2
+  )} Td (${escapePDFString(text)}) Tj ET`;
+}
+
+function drawRule(y, weight) {
+  return `${weight} w ${MARGIN} ${y.toFixed(2)} m ${
+    PAGE_WIDTH - MARGIN
+  } ${y.toFixed(2)} l S`;
+}
+
+// Lays the rows out top to bottom, starting a new page when one fills up.
+// title/subtitle head the first page; footer notes follow the last row.
+function layoutPages({ title, subtitle, rows, footer = [] }) {
+  const pages = [];
+  let commands = [];
+  let y = PAGE_HEIGHT - MARGIN;
+  const newPage = () => {
+    pages.push(commands);
+    commands = [];
+    y = PAGE_HEIGHT - MARGIN;
+  };
+  const ensureRoom = (height) => {
+    if (y - height < MARGIN) newPage();
+  };
+  const valueWidth = 150;
+  const right = PAGE_WIDTH - MARGIN;
+
+  commands.push(drawText(toWinAnsi(title), MARGIN, y - 18, 18, true));
+  y -= 30;
+  if (subtitle) {
+    commands.push(
+      drawText(toWinAnsi(subtitle), MARGIN, y - FONT_SIZE, FONT_SIZE, false)
+    );
+    y -= LINE_HEIGHT;
+  }
+  y -= LINE_HEIGHT / 2;
+
+  rows.forEach((row) => {
+    const size = row.heading ? 12 : FONT_SIZE;
+    const gap = row.heading || row.spaceBefore ? LINE_HEIGHT / 2 : 0;
+    ensureRoom(gap + LINE_HEIGHT);
+    y -= gap;
+    const bold = Boolean(row.bold || row.heading);
+    const baseline = y - size - 2;
+    if (row.rule) commands.push(drawRule(y, 0.75));
+    const x = MARGIN + (row.indent ? 14 : 0);
+    const label = fitText(
+      toWinAnsi(row.label),
+      right - valueWidth - x,
+      size,
+      bold
+    );
+    commands.push(drawText(label, x, baseline, size, bold));
+    if (row.value) {
+      const value = toWinAnsi(row.value);
+      commands.push(
+        drawText(
+          value,
+          right - measure(value, size, bold),
+          baseline,
+          size,
+          bold
+        )
+      );
+    }
+    if (row.heading) commands.push(drawRule(baseline - 4, 0.5));
+    y -= LINE_HEIGHT + (row.heading ? 2 : 0);
+  });
+
+  footer.forEach((note) => {
+    ensureRoom(LINE_HEIGHT);
+    commands.push(
+      drawText(
+        fitText(toWinAnsi(note), right - MARGIN, 8, false),
+        MARGIN,
+        y - 14,
+        8,
+        false
+      )
+    );
+    y -= LINE_HEIGHT - 4;
+  });
+  pages.push(commands);
+  return pages;
+}
+
+// Serializes the pages into PDF 1.4 bytes. Every character written is a
+// single byte, so string lengths double as byte offsets for the xref table.
+function serialize(pages) {
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+  const catalogId = addObject("");
+  const pagesId = addObject("");
+  const regularFontId = addObject(
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"
+  );
+  const boldFontId = addObject(
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+  );
+  const pageIds = pages.map((commands, index) => {
+    const stream = [
+      ...commands,
+      drawText(
+        `Page ${index + 1} of ${pages.length}`,
+        PAGE_WIDTH - MARGIN - 60,
+        MARGIN / 2,
+        8,
+        false
+      ),
+    ].join("\n");
+    const contentId = addObject(
+      `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`
+    );
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> ` +
+        `/Contents ${contentId} 0 R >>`
+    );
+  });
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds
+    .map((id) => `${id} 0 R`)
+    .join(" ")}] /Count ${pageIds.length} >>`;
+
+  let output = "%PDF-1.4\n";
+  const offsets = objects.map((body, index) => {
+    const offset = output.length;
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  output += `trailer\n<< /Size ${
+    objects.length + 1
+  } /Root ${catalogId} 0 R >>\n`;
+  output += `startxref\n${xrefOffset}\n%%EOF`;
+  return Uint8Array.from(output, (char) => char.charCodeAt(0));
+}
+
+// rows: [{ label, value, bold, indent, heading, rule, spaceBefore }] with
+// `value` already formatted. Returns the PDF file as bytes.
+export function createReportPDF(report) {
+  return serialize(layoutPages(report));
+}
@@ -0,0 +1,244 @@
+import { formatCurrency, escapeHTML } from "./utils.js";
+import {
+  DEFAULT_CATEGORIES,
+  findCategory,
+  getCategoryLabel,
+} from "./categories.js";
+
+// Profit & Loss statement and Schedule C worksheet. Totals are plain sums of
+// `amount` over every transaction in the range, the same figures the
+// dashboard aggregates, so the statement matches the summary cards.
+
+// Expense lines of IRS Schedule C (Form 1040). `share` is the part of the
+// spending that is deductible.
+export const SCHEDULE_C_LINES = [
+  { line: "8", label: "Advertising" },
+  { line: "9", label: "Car and truck expenses" },
+  { line: "10", label: "Commissions and fees" },
+  { line: "11", label: "Contract labor" },
+  { line: "13", label: "Depreciation and section 179" },
+  { line: "14", label: "Employee benefit programs" },
+  { line: "15", label: "Insurance (other than health)" },
+  { line: "16b", label: "Interest (other)" },
+  { line: "17", label: "Legal and professional services" },
+  { line: "18", label: "Office expense" },
+  { line: "19", label: "Pension and profit-sharing plans" },
+  { line: "20a", label: "Rent or lease: vehicles and equipment" },
+  { line: "20b", label: "Rent or lease: other business property" },
+  { line: "21", label: "Repairs and maintenance" },
+  { line: "22", label: "Supplies" },
+  { line: "23", label: "Taxes and licenses" },
+  { line: "24a", label: "Travel" },
+  { line: "24b", label: "Deductible meals", share: 0.5 },
+  { line: "25", label: "Utilities" },
+  { line: "26", label: "Wages" },
+  { line: "27a", label: "Other expenses" },
+];
+const OTHER_EXPENSES_LINE = "27a";
+
+// Categories created before lines could be picked fall back to the default
+// category with the same key, then to "Other expenses".
+export function getScheduleCLine(category) {
+  const line =
+    (category && category.scheduleCLine) ||
+    (category &&
+      (findCategory(DEFAULT_CATEGORIES, category.key) || {}).scheduleCLine);
+  return SCHEDULE_C_LINES.find((l) => l.line === line)
+    ? line
+    : OTHER_EXPENSES_LINE;
+}
+
+// Deleted categories are kept in the statement but treated as not
+// deductible unless they match a default one.
+function findTaxCategory(categories, key) {
+  return findCategory(categories, key) || findCategory(DEFAULT_CATEGORIES, key);
+}
+
+function sortByAmount(rows) {
+  return rows.sort((a, b) => b.amount - a.amount);
+}
+
+// Income is grouped by client, or by description when there is none.
+export function buildProfitAndLoss(transactions, { categories, clients }) {
+  const incomeGroups = new Map();
+  const expenseGroups = new Map();
+  transactions.forEach((t) => {
+    if (t.type === "income") {
+      const client = clients.find((c) => c.id === t.clientId);
+      const label = client
+        ? client.name
+        : (t.description || "").trim() || "Other income";
+      const key = client ? `client:${client.id}` : label.toLowerCase();
+      if (!incomeGroups.has(key)) incomeGroups.set(key, { label, amount: 0 });
+      incomeGroups.get(key).amount += t.amount;
+    } else {
+      const key = t.category || "";
+      if (!expenseGroups.has(key)) {
+        const category = findTaxCategory(categories, key);
+        const deductible = Boolean(category && category.taxDeductible);
+        expenseGroups.set(key, {
+          key,
+          label: getCategoryLabel(categories, key) || "Uncategorized",
+          amount: 0,
+          deductible,
+          line: deductible ? getScheduleCLine(category) : null,
+        });
+      }
+      expenseGroups.get(key).amount += t.amount;
+    }
+  });
+  const income = sortByAmount([...incomeGroups.values()]);
+  const expenses = sortByAmount([...expenseGroups.values()]);
+  const totalIncome = income.reduce((sum, row) => sum + row.amount, 0);
+  const totalExpenses = expenses.reduce((sum, row) => sum + row.amount, 0);
+  const scheduleC = SCHEDULE_C_LINES.map((line) => {
+    const amount = expenses
+      .filter((row) => row.line === line.line)
+      .reduce((sum, row) => sum + row.amount, 0);
+    return { ...line, amount, deductible: amount * (line.share ?? 1) };
+  }).filter((line) => line.amount !== 0);
+  const totalDeductions = scheduleC.reduce(
+    (sum, line) => sum + line.deductible,
+    0
+  );
+  return {
+    income,
+    totalIncome,
+    expenses,
+    totalExpenses,
+    netProfit: totalIncome - totalExpenses,
+    scheduleC,
+    totalDeductions,
+    excludedExpenses: totalExpenses - totalDeductions,
+    tentativeProfit: totalIncome - totalDeductions,
+  };
+}
+
+export const PROFIT_LOSS_NOTES = [
+  "The Schedule C figures are a worksheet to copy from, not a filed return.",
+  "Lines 2-7 (returns, cost of goods sold) and line 30 (home office) are not tracked.",
+  "Meals on line 24b are shown at the 50% deductible share.",
+];
+
+// One list of rows shared by the HTML and PDF versions so they always agree.
+export function getProfitLossRows(report, money = formatCurrency) {
+  const rows = [{ label: "Income", heading: true }];
+  report.income.forEach((row) =>
+    rows.push({ label: row.label, value: money(row.amount), indent: true })
+  );
+  rows.push(
+    {
+      label: "Total Income",
+      value: money(report.totalIncome),
+      bold: true,
+      rule: true,
+    },
+    { label: "Expenses", heading: true }
+  );
+  report.expenses.forEach((row) =>
+    rows.push({
+      label: row.deductible ? row.label : `${row.label} (not deductible)`,
+      value: money(row.amount),
+      indent: true,
+    })
+  );
+  rows.push(
+    {
+      label: "Total Expenses",
+      value: money(report.totalExpenses),
+      bold: true,
+      rule: true,
+    },
+    {
+      label: "Net Profit",
+      value: money(report.netProfit),
+      bold: true,
+      spaceBefore: true,
+    },
+    { label: "Schedule C Worksheet", heading: true },
+    {
+      label: "Line 1 - Gross receipts or sales",
+      value: money(report.totalIncome),
+    }
+  );
+  report.scheduleC.forEach((line) =>
+    rows.push({
+      label: `Line ${line.line} - ${line.label}`,
+      value: money(line.deductible),
+      indent: true,
+    })
+  );
+  rows.push(
+    {
+      label: "Line 28 - Total expenses",
+      value: money(report.totalDeductions),
+      bold: true,
+      rule: true,
+    },
+    {
+      label: "Line 31 - Tentative net profit",
+      value: money(report.tentativeProfit),
+      bold: true,
+    },
+    {
+      label: "Expenses left off Schedule C",
+      value: money(report.excludedExpenses),
+      spaceBefore: true,
+    }
+  );
+  return rows;
+}
+
+// Returns a standalone, print-friendly HTML document.
+export function renderProfitLossHTML(report, { title, subtitle }) {
+  const rows = getProfitLossRows(report)
+    .map((row) => {
+      if (row.heading)
+        return `<tr class="heading"><th colspan="2">${escapeHTML(
+          row.label
+        )}</th></tr>`;
+      const classes = [
+        row.bold && "bold",
+        row.rule && "rule",
+        row.indent && "indent",
+        row.spaceBefore && "gap",
+      ].filter(Boolean);
+      return `<tr class="${classes.join(" ")}">
+          <td>${escapeHTML(row.label)}</td>
+          <td class="num">${escapeHTML(row.value)}</td>
+        </tr>`;
+    })
+    .join("");
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHTML(title)}</title>
+    <style>
+      body { font-family: "Inter", Arial, sans-serif; color: #212529; margin: 40px; max-width: 720px; }
+      h1 { margin: 0; font-size: 1.8rem; }
+      .subtitle { color: #6c757d; margin: 0.3rem 0 1.5rem; }
+      table { width: 100%; border-collapse: collapse; }
+      td, th { padding: 6px 0; text-align: left; }
+      .heading th { font-size: 1.1rem; padding-top: 1.5rem; border-bottom: 1px solid #adb5bd; }
+      .indent td:first-child { padding-left: 1rem; }
+      .bold td { font-weight: 700; }
+      .rule td { border-top: 1px solid #212529; }
+      .gap td { padding-top: 1rem; }
+      .num { text-align: right; white-space: nowrap; }
+      .notes { margin-top: 2rem; color: #6c757d; font-size: 0.85rem; }
+      .print-btn { margin-top: 2rem; padding: 10px 18px; }
+      @media print { .print-btn { display: none; } body { margin: 0; } }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHTML(title)}</h1>
+    <p class="subtitle">${escapeHTML(subtitle)}</p>
+    <table><tbody>${rows}</tbody></table>
+    <div class="notes">
+      ${PROFIT_LOSS_NOTES.map((note) => `<p>${escapeHTML(note)}</p>`).join("")}
+    </div>
+    <button class="print-btn" onclick="window.print()">Print</button>
+  </body>
+</html>`;
+}
@@ -0,0 +1,285 @@
+import { parseAmount, parseDate, validateRecord } from "./importer.js";
+import { FALLBACK_CATEGORY_KEY } from "./categories.js";
+import { shiftDays, toDateString } from "./dates.js";
+
+// Turns free text such as "paid 45.99 for Adobe yesterday" or "received
+// $2,000 from Acme on Oct 3" into transaction records, one per line. Records
+// have the importer's shape plus the currency and client:
+// { description, amount, date: "YYYY-MM-DD", type, category, currency,
+//   clientId, error }
+// context: { today: "YYYY-MM-DD", baseCurrency, currencies, categories,
+//   clients }
+
+const INCOME_WORDS =
+  /\b(received|receive|got paid|paid by|earned|income|invoice paid|payment from|deposit|refund from)\b/i;
+const EXPENSE_WORDS =
+  /\b(paid|pay|spent|spend|bought|buy|purchased?|ordered|cost|bill)\b/i;
+// Dropped from the description: the verbs anywhere, connecting words only
+// at either end so "Uber to airport" keeps its "to".
+const VERB_WORDS =
+  /\b(received|receive|got paid|paid by|paid|pay|spent|spend|bought|buy|purchased?|ordered|earned|payment|cost)\b/gi;
+const EDGE_WORDS =
+  /^(?:(?:of|for|from|by|on|at|to|a|an|the|with)\s+)+|(?:\s+(?:of|for|from|by|on|at|to|a|an|the|with))+$/gi;
+
+const CURRENCY_SYMBOLS = { $: "USD", "€": "EUR", "£": "GBP", "¥": "JPY" };
+
+// Well-known merchants and words for the default category keys; only used
+// when the user still has a category with that key.
+const CATEGORY_HINTS = {
+  software:
+    /\b(adobe|figma|github|notion|slack|zoom|dropbox|canva|subscription|saas|software|app|license|hosting|domain|aws)\b/i,
+  travel:
+    /\b(uber|lyft|taxi|cab|flight|airline|airfare|hotel|airbnb|train|rail|bus|parking|fuel|gas station)\b/i,
+  food: /\b(coffee|cafe|lunch|dinner|breakfast|restaurant|meal|snack|starbucks|groceries)\b/i,
+  bill: /\b(internet|phone|mobile|electricity|electric|utility|utilities|rent|insurance|bill)\b/i,
+  work: /\b(equipment|supplies|printer|paper|desk|chair|monitor|laptop|office)\b/i,
+};
+
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+const MONTH_PATTERN =
+  "(jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\\.?";
+
+// Null for a day the month doesn't have, such as Feb 30.
+function getValidDate(year, monthIndex, day) {
+  const date = new Date(Date.UTC(year, monthIndex, day));
+  return date.getUTCMonth() === monthIndex ? toDateString(date) : null;
+}
+
+// A day and month without a year means the most recent one, since quick
+// entries are nearly always for things that already happened.
+function resolveMonthDay(monthIndex, day, year, today) {
+  if (year) return getValidDate(Number(year), monthIndex, day);
+  const thisYear = Number(today.slice(0, 4));
+  const date = getValidDate(thisYear, monthIndex, day);
+  return date && date > today
+    ? getValidDate(thisYear - 1, monthIndex, day)
+    : date;
+}
+
+// Each matcher returns a date string for its match, or null to skip it.
+const DATE_MATCHERS = [
+  [/\b(?:on\s+)?today\b/i, (m, today) => today],
+  [/\b(?:on\s+)?yesterday\b/i, (m, today) => shiftDays(today, -1)],
+  [
+    /\b(\d{1,3})\s+days?\s+ago\b/i,
+    (m, today) => shiftDays(today, -Number(m[1])),
+  ],
+  [
+    /\b(?:on\s+)?(?:last\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/i,
+    (m, today) => {
+      const current = new Date(`${today}T12:00:00Z`).getUTCDay();
+      const target = WEEKDAYS.indexOf(m[1].toLowerCase());
+      return shiftDays(today, -((current - target + 7) % 7 || 7));
+    },
+  ],
+  [
+    /\b(?:on\s+)?(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}\/\d{1,2}\/\d{2,4})\b/,
+    (m) => parseDate(m[1]),
+  ],
+  [
+    /\b(?:on\s+)?(\d{1,2})\/(\d{1,2})\b(?!\/)/,
+    (m, today) => resolveMonthDay(Number(m[1]) - 1, Number(m[2]), null, today),
+  ],
+  [
+    new RegExp(
+      `\\b(?:on\\s+)?${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`,
+      "i"
+    ),
+    (m, today) =>
+      resolveMonthDay(
+        MONTHS.indexOf(m[1].slice(0, 3).toLowerCase()),
+        Number(m[2]),
+        m[3],
+        today
+      ),
+  ],
+  [
+    new RegExp(
+      `\\b(?:on\\s+)?(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s+(\\d{4}))?\\b`,
+      "i"
+    ),
+    (m, today) =>
+      resolveMonthDay(
+        MONTHS.indexOf(m[2].slice(0, 3).toLowerCase()),
+        Number(m[1]),
+        m[3],
+        today
+      ),
+  ],
+];
+
+function extractDate(text, today) {
+  for (const [pattern, resolve] of DATE_MATCHERS) {
+    const match = text.match(pattern);
+    const date = match && resolve(match, today);
+    if (date) return { date, rest: text.replace(match[0], " ") };
+  }
+  return { date: today, rest: text };
+}
+
+// "$2,000", "45.99 EUR", "1.234,56 EUR", "€12", "2k". Once the date is gone
+// the amount is the number next to a currency, or else the last number; a
+// line with more than one of those is flagged for a closer look.
+function extractAmount(text, currencies) {
+  const codes = currencies.join("|");
+  const pattern = new RegExp(
+    `(?:\\b(${codes})\\s?|([$€£¥])\\s?)?(\\d(?:[\\d.,]*\\d)?)(k\\b)?(?:\\s?(${codes})\\b)?`,
+    "gi"
+  );
+  const matches = [...text.matchAll(pattern)];
+  if (!matches.length)
+    return { amount: NaN, currency: null, ambiguous: false, rest: text };
+  const withCurrency = matches.filter((m) => m[1] || m[2] || m[5]);
+  const candidates = withCurrency.length ? withCurrency : matches;
+  const match = candidates[candidates.length - 1];
+  const amount = parseAmount(match[3]) * (match[4] ? 1000 : 1);
+  const code = (match[1] || match[5] || "").toUpperCase();
+  return {
+    amount,
+    currency: code || CURRENCY_SYMBOLS[match[2]] || null,
+    ambiguous: candidates.length > 1,
+    rest: text.replace(match[0], " "),
+  };
+}
+
+function findClient(text, clients) {
+  const lower = text.toLowerCase();
+  return (
+    clients
+      .filter((c) => c.name && lower.includes(c.name.toLowerCase()))
+      .sort((a, b) => b.name.length - a.name.length)[0] || null
+  );
+}
+
+function guessCategory(text, categories) {
+  const lower = text.toLowerCase();
+  const active = categories.filter((c) => !c.archived);
+  const named = active.find((c) => {
+    const name = c.name
+      .toLowerCase()
+      .replace(/[^a-z0-9 ]/g, "")
+      .trim();
+    return name && new RegExp(`\\b${name}\\b`).test(lower);
+  });
+  if (named) return named.key;
+  const hinted = Object.keys(CATEGORY_HINTS).find(
+    (key) => CATEGORY_HINTS[key].test(text) && active.some((c) => c.key === key)
+  );
+  return hinted || FALLBACK_CATEGORY_KEY;
+}
+
+function tidyDescription(text) {
+  const description = text
+    .replace(VERB_WORDS, " ")
+    .replace(/[,;]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(EDGE_WORDS, "");
+  return description.charAt(0).toUpperCase() + description.slice(1);
+}
+
+export function parseQuickEntry(line, context) {
+  const { date, rest: withoutDate } = extractDate(line, context.today);
+  const { amount, currency, ambiguous, rest } = extractAmount(
+    withoutDate,
+    context.currencies
+  );
+  // "paid by Acme" is income even though it starts like an expense.
+  const type =
+    INCOME_WORDS.test(line) ||
+    (!EXPENSE_WORDS.test(line) && /\bfrom\b/i.test(line))
+      ? "income"
+      : "expense";
+  const client = findClient(line, context.clients);
+  const record = {
+    description: tidyDescription(rest),
+    amount,
+    date,
+    type,
+    category: type === "expense" ? guessCategory(line, context.categories) : "",
+    currency: currency || context.baseCurrency,
+    clientId: client ? client.id : null,
+  };
+  // "bought 2 monitors for 400" could mean either number, so the line goes
+  // to the AI provider or back to the user rather than guessing.
+  const error =
+    validateRecord(record) || (ambiguous ? "More than one amount" : null);
+  return { ...record, error };
+}
+
+export function parseQuickEntries(text, context) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => ({ line, ...parseQuickEntry(line, context) }));
+}
+
+// --- AI PARSING ---
+// For lines the rules couldn't read. The model is asked for JSON and its
+// answer goes through the same checks as a parsed line.
+export function buildQuickEntryPrompt(lines, context) {
+  const categoryKeys = context.categories
+    .filter((c) => !c.archived)
+    .map((c) => `${c.key} (${c.name})`)
+    .join(", ");
+  return `Convert each line below into a bookkeeping transaction for a freelancer. Today is ${
+    context.today
+  }. Reply with only a JSON array, one object per line in the same order, each with: "description" (short, e.g. the merchant or client), "amount" (positive number), "currency" (ISO code, default ${
+    context.baseCurrency
+  }), "date" (YYYY-MM-DD), "type" ("income" or "expense") and "category" (for expenses, one of: ${categoryKeys}).
+
+${lines.map((line, i) => `${i + 1}. ${line}`).join("\n")}`;
+}
+
+export function readQuickEntryResponse(text, lines, context) {
+  const start = text.indexOf("[");
+  const end = text.lastIndexOf("]");
+  if (start === -1 || end < start) throw new Error("No JSON array in reply.");
+  const items = JSON.parse(text.slice(start, end + 1));
+  return lines.map((line, i) => {
+    const item = items[i] || {};
+    const type = item.type === "income" ? "income" : "expense";
+    const currency = String(item.currency || "").toUpperCase();
+    const client = findClient(line, context.clients);
+    const record = {
+      description: String(item.description || "").trim(),
+      amount: Math.abs(parseAmount(item.amount)),
+      date: parseDate(item.date),
+      type,
+      category:
+        type === "expense"
+          ? context.categories.some((c) => c.key === item.category)
+            ? item.category
+            : FALLBACK_CATEGORY_KEY
+          : "",
+      currency: context.currencies.includes(currency)
+        ? currency
+        : context.baseCurrency,
+      clientId: client ? client.id : null,
+    };
+    return { line, ...record, error: validateRecord(record) };
+  });
+}
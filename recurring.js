@@ -0,0 +1,87 @@
+// Schedule math for recurring transactions (retainers, subscriptions, bills).
+// A schedule looks like:
+// { description, amount, type, category, frequency, startDate: "YYYY-MM-DD",
+//   endDate: "YYYY-MM-DD" | null, count: number | null, generatedCount }
+
+export const FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+// Each occurrence is up to three writes (the transaction, its history entry
+// and its month's rollup), which stays under Firestore's 500 writes per
+// transaction.
+export const MAX_OCCURRENCES_PER_RUN = 150;
+
+function daysInMonth(year, monthIndex) {
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+// Returns the date string of the occurrence `steps` intervals after start.
+// Monthly and yearly schedules clamp to the end of shorter months, so a
+// series starting Jan 31 lands on Feb 28/29 and goes back to the 31st after.
+export function addInterval(startDateString, frequency, steps) {
+  const [year, month, day] = startDateString.split("-").map(Number);
+  let date;
+  switch (frequency) {
+    case "daily":
+      date = new Date(Date.UTC(year, month - 1, day + steps));
+      break;
+    case "weekly":
+      date = new Date(Date.UTC(year, month - 1, day + steps * 7));
+      break;
+    case "monthly": {
+      const monthIndex = month - 1 + steps;
+      const targetYear = year + Math.floor(monthIndex / 12);
+      const targetMonth = ((monthIndex % 12) + 12) % 12;
+      date = new Date(
+        Date.UTC(
+          targetYear,
+          targetMonth,
+          Math.min(day, daysInMonth(targetYear, targetMonth))
+        )
+      );
+      break;
+    }
+    case "yearly":
+      date = new Date(
+        Date.UTC(
+          year + steps,
+          month - 1,
+          Math.min(day, daysInMonth(year + steps, month - 1))
+        )
+      );
+      break;
+    default:
+      throw new Error(`Unknown frequency: ${frequency}`);
+  }
+  return date.toISOString().split("T")[0];
+}
+
+// Occurrences that are due on or before `todayString` and haven't been
+// generated yet, as [{ index, date }].
+export function getDueOccurrences(
+  schedule,
+  todayString,
+  max = MAX_OCCURRENCES_PER_RUN
+) {
+  const due = [];
+  for (let i = schedule.generatedCount || 0; due.length < max; i++) {
+    if (schedule.count && i >= schedule.count) break;
+    const date = addInterval(schedule.startDate, schedule.frequency, i);
+    if (schedule.endDate && date > schedule.endDate) break;
+    if (date > todayString) break;
+    due.push({ index: i, date });
+  }
+  return due;
+}
+
+// Deterministic ids make generation idempotent: two tabs generating the
+// same occurrence write the same document instead of a duplicate.
+export function getOccurrenceId(scheduleId, dateString) {
+  return `${scheduleId}_${dateString}`;
+}
+
+export function describeSchedule(schedule) {
+  const frequency =
+    schedule.frequency.charAt(0).toUpperCase() + schedule.frequency.slice(1);
+  if (schedule.count) return `${frequency}, ${schedule.count} times`;
+  if (schedule.endDate) return `${frequency} until ${schedule.endDate}`;
+  return frequency;
+}
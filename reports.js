@@ -0,0 +1,63 @@
+import { daysBetween, shiftDays, toDateString } from "./dates.js";
+
+// Category breakdowns and period-over-period comparisons for the reports
+// modal. Ranges are inclusive "YYYY-MM-DD" strings in UTC.
+
+// Feb 29 falls back to Feb 28 in a year without one.
+function shiftYears(dateString, years) {
+  const [year, month, day] = dateString.split("-").map(Number);
+  const lastDay = new Date(Date.UTC(year + years, month, 0)).getUTCDate();
+  return toDateString(
+    new Date(Date.UTC(year + years, month - 1, Math.min(day, lastDay)))
+  );
+}
+
+export function getComparisonRanges(startDate, endDate) {
+  const dayCount = daysBetween(startDate, endDate) + 1;
+  const previousEnd = shiftDays(startDate, -1);
+  return {
+    previous: {
+      startDate: shiftDays(previousEnd, 1 - dayCount),
+      endDate: previousEnd,
+    },
+    lastYear: {
+      startDate: shiftYears(startDate, -1),
+      endDate: shiftYears(endDate, -1),
+    },
+  };
+}
+
+// Expense totals per category key, largest first.
+export function getExpenseBreakdown(transactions) {
+  const totals = {};
+  transactions
+    .filter((t) => t.type === "expense")
+    .forEach((t) => {
+      totals[t.category] = (totals[t.category] || 0) + t.amount;
+    });
+  return Object.entries(totals)
+    .map(([category, amount]) => ({ category, amount }))
+    .sort((a, b) => b.amount - a.amount);
+}
+
+export function summarizePeriod(transactions) {
+  const income = transactions
+    .filter((t) => t.type === "income")
+    .reduce((sum, t) => sum + t.amount, 0);
+  const breakdown = getExpenseBreakdown(transactions);
+  const expense = breakdown.reduce((sum, row) => sum + row.amount, 0);
+  return {
+    income,
+    expense,
+    net: income - expense,
+    categories: Object.fromEntries(
+      breakdown.map((row) => [row.category, row.amount])
+    ),
+  };
+}
+
+// Null when there is nothing to compare against.
+export function getPercentChange(current, previous) {
+  if (!previous) return null;
+  return ((current - previous) / Math.abs(previous)) * 100;
+}
@@ -0,0 +1,120 @@
+import { Timestamp } from "firebase/firestore";
+
+// Storage interface shared by the Firestore and on-device backends. Both
+// backends expose the same Firestore-shaped methods, so the app builds
+// queries once with the helpers below and runs them against either:
+//
+//   collection(name)               users/{uid}/{name}; name may be a
+//                                  path such as "transactions/{id}/history"
+//   doc(collectionRef, id?)        a new id when omitted
+//   getDocs(queryOrCollection)     { docs, empty, size }
+//   getDoc(docRef)                 { id, ref, exists(), data(), metadata }
+//   addDoc, setDoc(ref, data, { merge }), updateDoc, deleteDoc
+//   writeBatch()                   { set, update, delete, commit }
+//                                  values may use increment(by)
+//   runTransaction(fn)             fn receives { get, set, update, delete }
+//   aggregate(query, field)        { count, total }
+//   waitForPendingWrites()
+//   uploadFile(path, file), readFile(path), getFileURL(path), deleteFile(path)
+//                                  paths are relative to the user's folder
+//
+// Dates are stored as Firestore Timestamps by both backends.
+
+export { Timestamp };
+
+export const STORAGE_BACKENDS = {
+  firestore: "Cloud (Firebase)",
+  local: "This device only",
+};
+const STORAGE_BACKEND_KEY = "freelanceFinance.storageBackend";
+const DEFAULT_STORAGE_BACKEND = "firestore";
+
+export function getStorageBackend() {
+  const backend = localStorage.getItem(STORAGE_BACKEND_KEY);
+  return STORAGE_BACKENDS[backend] ? backend : DEFAULT_STORAGE_BACKEND;
+}
+export function setStorageBackend(backend) {
+  localStorage.setItem(STORAGE_BACKEND_KEY, backend);
+}
+
+// --- QUERY BUILDERS ---
+// Each backend turns the server timestamp sentinel into its own notion of
+// "now" when the document is written.
+export const SERVER_TIMESTAMP = Object.freeze({ type: "serverTimestamp" });
+export const serverTimestamp = () => SERVER_TIMESTAMP;
+
+// Adds `by` to a number field as part of the write, counting a missing field
+// as 0. It may sit inside nested maps of a set with { merge: true }.
+export class Increment {
+  constructor(by) {
+    this.by = by;
+  }
+}
+export const increment = (by) => new Increment(by);
+
+export const where = (field, op, value) => ({
+  type: "where",
+  field,
+  op,
+  value,
+});
+export const orderBy = (field, direction = "asc") => ({
+  type: "orderBy",
+  field,
+  direction,
+});
+export const limit = (count) => ({ type: "limit", count });
+// `cursor` is a document snapshot returned by the same backend's getDocs.
+export const startAfter = (cursor) => ({ type: "startAfter", cursor });
+
+class RepositoryQuery {
+  constructor(ref, constraints) {
+    this.ref = ref;
+    this.constraints = constraints;
+  }
+}
+
+// Accepts a collection or an existing query, so constraints can be added
+// to a query built elsewhere.
+export function query(source, ...constraints) {
+  const base = toQuery(source);
+  return new RepositoryQuery(base.ref, [...base.constraints, ...constraints]);
+}
+
+export function toQuery(source) {
+  return source instanceof RepositoryQuery
+    ? source
+    : new RepositoryQuery(source, []);
+}
+
+const isPlainMap = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+// Replaces increment sentinels at any depth with resolve(by, current),
+// where `current` is what the same path holds in `base`.
+export function resolveIncrements(data, resolve, base = {}) {
+  return Object.fromEntries(
+    Object.entries(data).map(([key, value]) => {
+      const current = base ? base[key] : undefined;
+      if (value instanceof Increment) return [key, resolve(value.by, current)];
+      if (isPlainMap(value))
+        return [
+          key,
+          resolveIncrements(value, resolve, isPlainMap(current) ? current : {}),
+        ];
+      return [key, value];
+    })
+  );
+}
+
+// Replaces the server timestamp sentinel in a document's top-level fields.
+export function resolveServerTimestamps(data, now) {
+  return Object.fromEntries(
+    Object.entries(data).map(([key, value]) => [
+      key,
+      value === SERVER_TIMESTAMP ? now() : value,
+    ])
+  );
+}
@@ -0,0 +1,211 @@
+import { increment } from "./repository.js";
+
+// Monthly rollups: running totals kept in rollups/{YYYY-MM} next to the
+// transactions, so the dashboard, the coarser report charts and the budget
+// and client reports don't have to read every transaction. A rollup looks like
+// { month, count, incomeCount, expenseCount, incomeCents, expenseCents,
+//   categoryCents: { key: cents },
+//   days: { DD: { incomeCents, expenseCents, categoryCents,
+//     clientCents: { clientId: { incomeCents, expenseCents } } } } }
+// Amounts are whole cents so repeated increments never drift. The per-day
+// figures let any date range be summed exactly. Days and months are UTC, the
+// same as the dashboard's date ranges.
+
+// Bump to have every client rebuild its rollups on the next start.
+// Version 2 added the per-client figures.
+export const ROLLUP_VERSION = 2;
+// Firestore map keys can't be empty, so expenses without a category are
+// counted under this key and reported with an empty one.
+const NO_CATEGORY_KEY = "_none";
+const ROLLUP_FIELDS = ["amount", "type", "date", "category", "clientId"];
+
+const toCents = (amount) => Math.round((Number(amount) || 0) * 100);
+const fromCents = (cents) => (cents || 0) / 100;
+const toCategoryKey = (category) => category || NO_CATEGORY_KEY;
+const fromCategoryKey = (key) => (key === NO_CATEGORY_KEY ? "" : key);
+
+function addTo(counts, key, value) {
+  counts[key] = (counts[key] || 0) + value;
+}
+
+// Adds a transaction's amounts (sign 1) or takes them away (sign -1) from
+// `deltas`, a map of month to rollup-shaped changes.
+export function addRollupDelta(deltas, t, sign = 1) {
+  const day = t.date.toDate().toISOString().split("T")[0];
+  const month = day.slice(0, 7);
+  if (!deltas[month]) {
+    deltas[month] = {
+      month,
+      count: 0,
+      incomeCount: 0,
+      expenseCount: 0,
+      incomeCents: 0,
+      expenseCents: 0,
+      categoryCents: {},
+      days: {},
+    };
+  }
+  const delta = deltas[month];
+  const dayKey = day.slice(8);
+  if (!delta.days[dayKey])
+    delta.days[dayKey] = { incomeCents: 0, expenseCents: 0, categoryCents: {} };
+  const dayDelta = delta.days[dayKey];
+  const cents = toCents(t.amount) * sign;
+  // Only transactions with a client are kept per client; the rest is what's
+  // left of the day's totals.
+  if (t.clientId) {
+    if (!dayDelta.clientCents) dayDelta.clientCents = {};
+    if (!dayDelta.clientCents[t.clientId])
+      dayDelta.clientCents[t.clientId] = { incomeCents: 0, expenseCents: 0 };
+    addTo(
+      dayDelta.clientCents[t.clientId],
+      t.type === "income" ? "incomeCents" : "expenseCents",
+      cents
+    );
+  }
+  delta.count += sign;
+  if (t.type === "income") {
+    delta.incomeCount += sign;
+    delta.incomeCents += cents;
+    dayDelta.incomeCents += cents;
+  } else {
+    const category = toCategoryKey(t.category);
+    delta.expenseCount += sign;
+    delta.expenseCents += cents;
+    addTo(delta.categoryCents, category, cents);
+    dayDelta.expenseCents += cents;
+    addTo(dayDelta.categoryCents, category, cents);
+  }
+  return deltas;
+}
+
+// The writes that apply `deltas`, one per month: { month, data } where data
+// holds increments for the figures that changed, for a set with
+// { merge: true }.
+export function getRollupWrites(deltas) {
+  const toIncrements = (changes) =>
+    Object.fromEntries(
+      Object.entries(changes).flatMap(([key, value]) => {
+        if (typeof value === "number")
+          return value ? [[key, increment(value)]] : [];
+        const nested = toIncrements(value);
+        return Object.keys(nested).length ? [[key, nested]] : [];
+      })
+    );
+  return Object.values(deltas).map(({ month, ...changes }) => ({
+    month,
+    data: { month, ...toIncrements(changes) },
+  }));
+}
+
+export function buildRollups(transactions) {
+  const rollups = {};
+  transactions.forEach((t) => addRollupDelta(rollups, t));
+  return Object.values(rollups);
+}
+
+// Whether an edit's changes (from diffTransaction) move any rollup figure.
+export function affectsRollups(changes) {
+  return ROLLUP_FIELDS.some((field) => field in changes);
+}
+
+// Calls fn(dateString, day) for each day of the rollups inside the range.
+function forEachDay(rollups, startDate, endDate, fn) {
+  rollups.forEach((rollup) => {
+    Object.entries(rollup.days || {}).forEach(([dayKey, day]) => {
+      const date = `${rollup.month}-${dayKey}`;
+      if (date >= startDate && date <= endDate) fn(date, day);
+    });
+  });
+}
+
+// The same shape as summarizePeriod in reports.js.
+export function summarizeRollups(rollups, startDate, endDate) {
+  let incomeCents = 0;
+  let expenseCents = 0;
+  const categoryCents = {};
+  forEachDay(rollups, startDate, endDate, (date, day) => {
+    incomeCents += day.incomeCents || 0;
+    expenseCents += day.expenseCents || 0;
+    Object.entries(day.categoryCents || {}).forEach(([key, cents]) =>
+      addTo(categoryCents, key, cents)
+    );
+  });
+  const categories = Object.entries(categoryCents)
+    .filter(([, cents]) => cents !== 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([key, cents]) => [fromCategoryKey(key), fromCents(cents)]);
+  return {
+    income: fromCents(incomeCents),
+    expense: fromCents(expenseCents),
+    net: fromCents(incomeCents - expenseCents),
+    categories: Object.fromEntries(categories),
+  };
+}
+
+// Stand-ins for the transactions in the range, one per day and category
+// ({ date: "YYYY-MM-DD", type, category, amount }), for code that buckets
+// transactions by date.
+export function getRollupEntries(rollups, startDate, endDate) {
+  const entries = [];
+  forEachDay(rollups, startDate, endDate, (date, day) => {
+    if (day.incomeCents)
+      entries.push({
+        date,
+        type: "income",
+        amount: fromCents(day.incomeCents),
+      });
+    Object.entries(day.categoryCents || {}).forEach(([key, cents]) => {
+      if (cents)
+        entries.push({
+          date,
+          type: "expense",
+          category: fromCategoryKey(key),
+          amount: fromCents(cents),
+        });
+    });
+  });
+  return entries.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Stand-ins for the transactions in the range, one per client and type
+// ({ clientId, type, amount }), with clientId null for those without a
+// client. Shaped for buildClientProfitability in clients.js.
+export function getClientRollupEntries(rollups, startDate, endDate) {
+  const unassigned = { incomeCents: 0, expenseCents: 0 };
+  const byClient = {};
+  forEachDay(rollups, startDate, endDate, (date, day) => {
+    unassigned.incomeCents += day.incomeCents || 0;
+    unassigned.expenseCents += day.expenseCents || 0;
+    Object.entries(day.clientCents || {}).forEach(([clientId, cents]) => {
+      if (!byClient[clientId])
+        byClient[clientId] = { incomeCents: 0, expenseCents: 0 };
+      byClient[clientId].incomeCents += cents.incomeCents || 0;
+      byClient[clientId].expenseCents += cents.expenseCents || 0;
+      unassigned.incomeCents -= cents.incomeCents || 0;
+      unassigned.expenseCents -= cents.expenseCents || 0;
+    });
+  });
+  const toEntries = (clientId, { incomeCents, expenseCents }) =>
+    [
+      { clientId, type: "income", amount: fromCents(incomeCents) },
+      { clientId, type: "expense", amount: fromCents(expenseCents) },
+    ].filter((entry) => entry.amount !== 0);
+  return [
+    ...Object.entries(byClient).flatMap(([clientId, cents]) =>
+      toEntries(clientId, cents)
+    ),
+    ...toEntries(null, unassigned),
+  ];
+}
+
+// All-time totals and the number of transactions.
+export function getRollupTotals(rollups) {
+  const sum = (field) =>
+    rollups.reduce((total, rollup) => total + (rollup[field] || 0), 0);
+  return {
+    income: fromCents(sum("incomeCents")),
+    expense: fromCents(sum("expenseCents")),
+    count: sum("count"),
+  };
+}
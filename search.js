@@ -0,0 +1,83 @@
+import { formatCurrency } from "./utils.js";
+
+// Description search. Firestore has no full-text search, so every
+// transaction stores `searchTokens`: each word of its description and that
+// word's prefixes, lower-cased. A keyword is then one array-contains filter,
+// which keeps cursor pagination and count queries working.
+// A search looks like:
+// { keyword, token, minAmount, maxAmount, startDate, endDate, categories }
+
+export const SEARCH_INDEX_VERSION = 1;
+// Firestore's limit on the number of values in an "in" filter.
+export const MAX_SEARCH_CATEGORIES = 30;
+const MIN_PREFIX_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 15;
+
+export function splitWords(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+export function buildSearchTokens(description) {
+  const tokens = new Set();
+  splitWords(description).forEach((word) => {
+    const capped = word.slice(0, MAX_TOKEN_LENGTH);
+    for (
+      let length = Math.min(MIN_PREFIX_LENGTH, capped.length);
+      length <= capped.length;
+      length++
+    ) {
+      tokens.add(capped.slice(0, length));
+    }
+  });
+  return [...tokens];
+}
+
+// Only one array-contains filter is allowed per query, so a multi-word
+// keyword is narrowed to its longest word.
+export function getSearchToken(keyword) {
+  const words = splitWords(keyword);
+  if (words.length === 0) return null;
+  return words
+    .reduce((longest, word) => (word.length > longest.length ? word : longest))
+    .slice(0, MAX_TOKEN_LENGTH);
+}
+
+export function isSearchEmpty(search) {
+  return (
+    !search.token &&
+    search.minAmount === null &&
+    search.maxAmount === null &&
+    !search.startDate &&
+    !search.endDate &&
+    search.categories.length === 0
+  );
+}
+
+export function describeSearch(search, getLabel = (key) => key) {
+  const parts = [];
+  if (search.token) parts.push(`matching "${search.token}"`);
+  if (search.minAmount !== null && search.maxAmount !== null) {
+    parts.push(
+      `${formatCurrency(search.minAmount)} to ${formatCurrency(
+        search.maxAmount
+      )}`
+    );
+  } else if (search.minAmount !== null) {
+    parts.push(`at least ${formatCurrency(search.minAmount)}`);
+  } else if (search.maxAmount !== null) {
+    parts.push(`at most ${formatCurrency(search.maxAmount)}`);
+  }
+  if (search.startDate && search.endDate) {
+    parts.push(`${search.startDate} to ${search.endDate}`);
+  } else if (search.startDate) {
+    parts.push(`from ${search.startDate}`);
+  } else if (search.endDate) {
+    parts.push(`until ${search.endDate}`);
+  }
+  if (search.categories.length)
+    parts.push(`in ${search.categories.map(getLabel).join(", ")}`);
+  return parts.join(", ");
+}
@@ -0,0 +1,49 @@
+// Service worker source. vite.config.js fills in the file list and cache
+// version at build time and emits the result as dist/sw.js.
+const CACHE_PREFIX = "freelance-finance-";
+const CACHE_NAME = CACHE_PREFIX + self.__CACHE_VERSION;
+const PRECACHE_FILES = self.__PRECACHE_FILES;
+
+const toScopeURL = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE_FILES.map(toScopeURL)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// Pages go to the network first so a new deploy is picked up straight
+// away. Built assets have content hashes in their names, so the cached
+// copy is always current. Firestore and other origins are left alone.
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  if (new URL(request.url).origin !== self.location.origin) return;
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request).catch(() => caches.match(toScopeURL("./")))
+    );
+    return;
+  }
+  event.respondWith(
+    caches.match(request).then((cached) => cached || fetch(request))
+  );
+});
@@ -0,0 +1,263 @@
+import { toDateString } from "./dates.js";
+
+// Pluggable tax estimation. Each profile turns a year's net profit into an
+// estimated liability; the quarterly schedule and payment tracking work the
+// same for every profile.
+//
+// US federal figures come from the IRS inflation adjustments for each year
+// and need a new entry every autumn. Unknown years fall back to the latest.
+
+export const FILING_STATUSES = {
+  single: "Single",
+  married: "Married Filing Jointly",
+  head: "Head of Household",
+};
+
+const SE_EARNINGS_FACTOR = 0.9235;
+const SOCIAL_SECURITY_RATE = 0.124;
+const MEDICARE_RATE = 0.029;
+const ADDITIONAL_MEDICARE_RATE = 0.009;
+const SE_TAX_MINIMUM_EARNINGS = 400;
+const ADDITIONAL_MEDICARE_THRESHOLD = {
+  single: 200000,
+  married: 250000,
+  head: 200000,
+};
+
+// Brackets are [upper bound of taxable income, marginal rate].
+const US_FEDERAL_YEARS = {
+  2024: {
+    standardDeduction: { single: 14600, married: 29200, head: 21900 },
+    socialSecurityWageBase: 168600,
+    brackets: {
+      single: [
+        [11600, 0.1],
+        [47150, 0.12],
+        [100525, 0.22],
+        [191950, 0.24],
+        [243725, 0.32],
+        [609350, 0.35],
+        [Infinity, 0.37],
+      ],
+      married: [
+        [23200, 0.1],
+        [94300, 0.12],
+        [201050, 0.22],
+        [383900, 0.24],
+        [487450, 0.32],
+        [731200, 0.35],
+        [Infinity, 0.37],
+      ],
+      head: [
+        [16550, 0.1],
+        [63100, 0.12],
+        [100500, 0.22],
+        [191950, 0.24],
+        [243700, 0.32],
+        [609350, 0.35],
+        [Infinity, 0.37],
+      ],
+    },
+  },
+  2025: {
+    standardDeduction: { single: 15750, married: 31500, head: 23625 },
+    socialSecurityWageBase: 176100,
+    brackets: {
+      single: [
+        [11925, 0.1],
+        [48475, 0.12],
+        [103350, 0.22],
+        [197300, 0.24],
+        [250525, 0.32],
+        [626350, 0.35],
+        [Infinity, 0.37],
+      ],
+      married: [
+        [23850, 0.1],
+        [96950, 0.12],
+        [206700, 0.22],
+        [394600, 0.24],
+        [501050, 0.32],
+        [751600, 0.35],
+        [Infinity, 0.37],
+      ],
+      head: [
+        [17000, 0.1],
+        [64850, 0.12],
+        [103350, 0.22],
+        [197300, 0.24],
+        [250500, 0.32],
+        [626350, 0.35],
+        [Infinity, 0.37],
+      ],
+    },
+  },
+  2026: {
+    standardDeduction: { single: 16100, married: 32200, head: 24150 },
+    socialSecurityWageBase: 184500,
+    brackets: {
+      single: [
+        [12400, 0.1],
+        [50400, 0.12],
+        [105700, 0.22],
+        [201775, 0.24],
+        [256225, 0.32],
+        [640600, 0.35],
+        [Infinity, 0.37],
+      ],
+      married: [
+        [24800, 0.1],
+        [100800, 0.12],
+        [211400, 0.22],
+        [403550, 0.24],
+        [512450, 0.32],
+        [768700, 0.35],
+        [Infinity, 0.37],
+      ],
+      head: [
+        [17700, 0.1],
+        [67450, 0.12],
+        [105700, 0.22],
+        [201750, 0.24],
+        [256200, 0.32],
+        [640600, 0.35],
+        [Infinity, 0.37],
+      ],
+    },
+  },
+};
+
+const round = (number) => Math.round(number * 100) / 100;
+
+function getUSFederalYear(year) {
+  if (US_FEDERAL_YEARS[year]) return US_FEDERAL_YEARS[year];
+  const latest = Math.max(...Object.keys(US_FEDERAL_YEARS).map(Number));
+  return US_FEDERAL_YEARS[Math.min(year, latest)] || US_FEDERAL_YEARS[latest];
+}
+
+export function calculateProgressiveTax(taxableIncome, brackets) {
+  let tax = 0;
+  let lowerBound = 0;
+  for (const [upperBound, rate] of brackets) {
+    if (taxableIncome <= lowerBound) break;
+    tax += (Math.min(taxableIncome, upperBound) - lowerBound) * rate;
+    lowerBound = upperBound;
+  }
+  return round(tax);
+}
+
+export function calculateSelfEmploymentTax(
+  netProfit,
+  { filingStatus = "single", socialSecurityWageBase }
+) {
+  const earnings = Math.max(0, netProfit) * SE_EARNINGS_FACTOR;
+  if (earnings < SE_TAX_MINIMUM_EARNINGS) {
+    return { seTax: 0, seDeduction: 0 };
+  }
+  const socialSecurity =
+    Math.min(earnings, socialSecurityWageBase) * SOCIAL_SECURITY_RATE;
+  const medicare = earnings * MEDICARE_RATE;
+  const additionalMedicare =
+    Math.max(0, earnings - ADDITIONAL_MEDICARE_THRESHOLD[filingStatus]) *
+    ADDITIONAL_MEDICARE_RATE;
+  return {
+    seTax: round(socialSecurity + medicare + additionalMedicare),
+    // Half of SE tax (excluding the additional Medicare tax) is deductible.
+    seDeduction: round((socialSecurity + medicare) / 2),
+  };
+}
+
+// --- PROFILES ---
+// Every profile exposes `estimate(input)` where input is
+// { netProfit, year, filingStatus, flatRate } and returns at least
+// { total, lines: [{ label, amount }] }.
+export const TAX_PROFILES = {
+  "us-federal": {
+    name: "US Federal (self-employed)",
+    estimate({ netProfit, year, filingStatus = "single" }) {
+      const config = getUSFederalYear(year);
+      const { seTax, seDeduction } = calculateSelfEmploymentTax(netProfit, {
+        filingStatus,
+        socialSecurityWageBase: config.socialSecurityWageBase,
+      });
+      const standardDeduction = config.standardDeduction[filingStatus];
+      const taxableIncome = Math.max(
+        0,
+        netProfit - seDeduction - standardDeduction
+      );
+      const incomeTax = calculateProgressiveTax(
+        taxableIncome,
+        config.brackets[filingStatus]
+      );
+      return {
+        total: round(seTax + incomeTax),
+        taxableIncome: round(taxableIncome),
+        lines: [
+          { label: "Net profit", amount: round(netProfit) },
+          { label: "Self-employment tax", amount: seTax },
+          { label: "Deductible half of SE tax", amount: -seDeduction },
+          { label: "Standard deduction", amount: -standardDeduction },
+          { label: "Taxable income", amount: round(taxableIncome) },
+          { label: "Federal income tax", amount: incomeTax },
+        ],
+      };
+    },
+  },
+  flat: {
+    name: "Flat rate on net profit",
+    estimate({ netProfit, flatRate }) {
+      const total = round(Math.max(0, netProfit) * flatRate);
+      return {
+        total,
+        taxableIncome: round(Math.max(0, netProfit)),
+        lines: [
+          { label: "Net profit", amount: round(netProfit) },
+          { label: `Tax at ${round(flatRate * 100)}%`, amount: total },
+        ],
+      };
+    },
+  },
+};
+
+export function estimateTax(profileId, input) {
+  const profile = TAX_PROFILES[profileId] || TAX_PROFILES.flat;
+  return profile.estimate(input);
+}
+
+// --- ESTIMATED PAYMENTS ---
+// Weekend due dates roll forward to Monday.
+function adjustForWeekend(date) {
+  const day = date.getUTCDay();
+  if (day === 6) date.setUTCDate(date.getUTCDate() + 2);
+  if (day === 0) date.setUTCDate(date.getUTCDate() + 1);
+  return date;
+}
+
+export function getQuarterlyDueDates(year) {
+  return [
+    [year, 3, 15],
+    [year, 5, 15],
+    [year, 8, 15],
+    [year + 1, 0, 15],
+  ].map(([y, monthIndex, day]) =>
+    toDateString(adjustForWeekend(new Date(Date.UTC(y, monthIndex, day))))
+  );
+}
+
+// Splits the year's estimate into four equal installments and applies the
+// payments made so far to the earliest installments first.
+export function getEstimatedPaymentSchedule(year, totalTax, totalPaid) {
+  const installment = round(totalTax / 4);
+  return getQuarterlyDueDates(year).map((dueDate, i) => {
+    const paid = round(
+      Math.min(installment, Math.max(0, totalPaid - installment * i))
+    );
+    return {
+      quarter: i + 1,
+      dueDate,
+      amount: installment,
+      paid,
+      remaining: round(installment - paid),
+    };
+  });
+}
@@ -0,0 +1,87 @@
+// Time tracking. An entry looks like:
+// { clientId, project, description, start, end, hours, hourlyRate, billed,
+//   transactionId } with start/end as Timestamps and hourlyRate in the base
+// currency. A running timer is an entry whose `end` is null; `hours` is only
+// set once it stops, so aggregates skip it.
+
+const MS_PER_HOUR = 3600000;
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+export function getElapsedMs(entry, now = Date.now()) {
+  const end = entry.end ? entry.end.toMillis() : now;
+  return Math.max(0, end - entry.start.toMillis());
+}
+
+export function getEntryHours(entry) {
+  return typeof entry.hours === "number"
+    ? entry.hours
+    : round(getElapsedMs(entry) / MS_PER_HOUR);
+}
+
+export function msToHours(ms) {
+  return round(ms / MS_PER_HOUR);
+}
+
+export function getEntryAmount(entry) {
+  return round(getEntryHours(entry) * (entry.hourlyRate || 0));
+}
+
+export function summarizeEntries(entries) {
+  return {
+    hours: round(entries.reduce((sum, e) => sum + getEntryHours(e), 0)),
+    amount: round(entries.reduce((sum, e) => sum + getEntryAmount(e), 0)),
+  };
+}
+
+// "1:05:09" for the running timer.
+export function formatTimer(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${Math.floor(totalSeconds / 3600)}:${pad(
+    Math.floor((totalSeconds % 3600) / 60)
+  )}:${pad(totalSeconds % 60)}`;
+}
+
+// "2h 30m" for stored entries.
+export function formatHours(hours) {
+  const totalMinutes = Math.round(hours * 60);
+  const h = Math.floor(totalMinutes / 60);
+  const m = totalMinutes % 60;
+  if (h === 0) return `${m}m`;
+  return m === 0 ? `${h}h` : `${h}h ${m}m`;
+}
+
+// Groups entries by client, keeping the order they were passed in.
+export function groupEntriesByClient(entries) {
+  const groups = new Map();
+  entries.forEach((entry) => {
+    const key = entry.clientId || "";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+  return groups;
+}
+
+// Description for the income transaction created from billed entries, e.g.
+// "Acme Co - Website redesign (12.5h)".
+export function describeBilledEntries(entries, getClientName) {
+  const names = [
+    ...new Set(entries.map((e) => getClientName(e.clientId)).filter(Boolean)),
+  ];
+  const projects = [...new Set(entries.map((e) => e.project).filter(Boolean))];
+  const subject = [
+    names.join(", ") || "Billable time",
+    projects.length === 1 ? projects[0] : "",
+  ]
+    .filter(Boolean)
+    .join(" - ");
+  return `${subject} (${summarizeEntries(entries).hours}h)`;
+}
+
+export function getEffectiveHourlyRate(netProfit, hours) {
+  return hours > 0 ? netProfit / hours : null;
+}
@@ -0,0 +1,24 @@
+import { getBaseCurrency } from "./currency.js";
+
+// Formatting helpers shared by main.js and the feature modules.
+
+export function formatCurrency(number, currency = getBaseCurrency()) {
+  if (typeof number !== "number" || isNaN(number)) {
+    number = 0;
+  }
+  try {
+    return number.toLocaleString(navigator.language, {
+      style: "currency",
+      currency,
+    });
+  } catch (e) {
+    return `${currency} ${number.toFixed(2)}`;
+  }
+}
+export function escapeHTML(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
@@ -1,6 +1,40 @@
 import { defineConfig } from "vite";
+import { readFileSync } from "node:fs";
+import { createHash } from "node:crypto";
+
+// Public files are copied as-is and are not part of the bundle, so they are
+// listed here for the service worker to precache.
+const PUBLIC_FILES = ["manifest.webmanifest", "icon.svg"];
+
+// Builds sw.js from its source with the list of files in this build, so the
+// whole app can be served from the cache when offline.
+function serviceWorker() {
+  return {
+    name: "freelance-finance-service-worker",
+    apply: "build",
+    generateBundle(options, bundle) {
+      const files = [
+        ...new Set([
+          "./",
+          "index.html",
+          ...Object.keys(bundle),
+          ...PUBLIC_FILES,
+        ]),
+      ];
+      const version = createHash("sha256")
+        .update(files.join("\n"))
+        .digest("hex")
+        .slice(0, 12);
+      const source = readFileSync("sw.js", "utf8")
+        .replace("self.__CACHE_VERSION", JSON.stringify(version))
+        .replace("self.__PRECACHE_FILES", JSON.stringify(files));
+      this.emitFile({ type: "asset", fileName: "sw.js", source });
+    },
+  };
+}
 
 // https://vitejs.dev/config/
 export default defineConfig({
   base: "/Freelance-Finance/",
+  plugins: [serviceWorker()],
 });